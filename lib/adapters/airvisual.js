@@ -0,0 +1,62 @@
+// Adapter for AirVisual / IQAir Node devices
+//
+// The Node reports pollutants either as objects ({ conc, aqius }) under
+// pm25/pm10/pm1 or under the older p2/p1/p01 keys, and pressure in Pa.
+
+const { toNumber, round, toIsoTimestamp } = require('./helpers');
+
+// Map AirVisual pollutant codes to our metric names
+const POLLUTANT_CODES = {
+  p2: 'pm25',
+  pm25: 'pm25',
+  p1: 'pm10',
+  pm10: 'pm10',
+  p01: 'pm1',
+  pm1: 'pm1',
+  co2: 'co2'
+};
+
+// Read a concentration that may be a plain number or a { conc } object
+function concentration(current, ...keys) {
+  for (const key of keys) {
+    const value = current[key];
+    if (value === undefined || value === null) {
+      continue;
+    }
+    return toNumber(typeof value === 'object' ? value.conc : value);
+  }
+  return null;
+}
+
+function normalize(payload) {
+  if (!payload || typeof payload !== 'object' || !payload.current) {
+    throw new Error('AirVisual payload is missing "current"');
+  }
+
+  const current = payload.current;
+  const pressure = toNumber(current.pr);
+  const aqi = current.aqius !== undefined ? current.aqius :
+              (current.pm25 && current.pm25.aqius) || (current.p2 && current.p2.aqius);
+
+  return {
+    name: payload.name || null,
+    timestamp: toIsoTimestamp(current.ts),
+    current: {
+      aqi: toNumber(aqi),
+      mainPollutant: POLLUTANT_CODES[current.mainus] || null,
+      pm1: concentration(current, 'pm1', 'p01'),
+      pm25: concentration(current, 'pm25', 'p2'),
+      pm10: concentration(current, 'pm10', 'p1'),
+      particles: toNumber(current.particles),
+      co2: concentration(current, 'co2', 'co'),
+      temperature: toNumber(current.tp),
+      humidity: toNumber(current.hm),
+      pressure: pressure !== null ? round(pressure / 100, 1) : null
+    }
+  };
+}
+
+module.exports = {
+  id: 'airvisual',
+  normalize
+};
@@ -0,0 +1,48 @@
+// Helpers shared by the data-source adapters
+
+// Metrics every normalized reading carries, in display order
+const METRICS = ['aqi', 'pm1', 'pm25', 'pm10', 'particles', 'co2', 'temperature', 'humidity', 'pressure'];
+
+// Convert a value to a finite number, or null if it isn't one
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Round to the given number of decimals, keeping nulls
+function round(value, decimals = 1) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Average the values that are present, or null if none are
+function average(...values) {
+  const present = values.map(toNumber).filter(value => value !== null);
+  if (present.length === 0) {
+    return null;
+  }
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+// Parse a timestamp into an ISO string, or null if it can't be parsed
+function toIsoTimestamp(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+module.exports = {
+  METRICS,
+  toNumber,
+  round,
+  average,
+  toIsoTimestamp
+};
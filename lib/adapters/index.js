@@ -0,0 +1,79 @@
+// Data-source adapters
+//
+// Every adapter turns an upstream payload into the same normalized reading,
+// which is what /api/airquality serves and what the dashboard renders:
+//
+// {
+//   source: 'airvisual',              // id of the adapter that produced it
+//   name: 'Living Room' | null,       // station name reported by the device
+//   timestamp: '2024-05-01T10:00:00Z' // when the device took the measurement
+//   current: {
+//     aqi: 42,                        // AQI reported by the device (US scale)
+//     mainPollutant: 'pm25',          // pm1 | pm25 | pm10 | co2 | null
+//     pm1: 3.1,                       // μg/m³
+//     pm25: 10.2,                     // μg/m³
+//     pm10: 14.8,                     // μg/m³
+//     particles: 1200,                // particle count per litre
+//     co2: 650,                       // ppm
+//     temperature: 27.5,              // °C
+//     humidity: 40,                   // %
+//     pressure: 1009.0                // hPa
+//   }
+// }
+//
+// Any metric a sensor does not measure is null.
+
+const airvisual = require('./airvisual');
+const purpleair = require('./purpleair');
+const sensorCommunity = require('./sensor-community');
+const jsonPath = require('./json-path');
+const mqtt = require('./mqtt');
+const { METRICS, toNumber } = require('./helpers');
+
+const adapters = {
+  [airvisual.id]: airvisual,
+  [purpleair.id]: purpleair,
+  [sensorCommunity.id]: sensorCommunity,
+  [jsonPath.id]: jsonPath,
+  [mqtt.id]: mqtt
+};
+
+const DEFAULT_ADAPTER = airvisual.id;
+
+// Look up an adapter by id, falling back to AirVisual for older configs
+function getAdapter(type) {
+  const adapter = adapters[type || DEFAULT_ADAPTER];
+  if (!adapter) {
+    throw new Error(`Unknown data source adapter "${type}". Available: ${Object.keys(adapters).join(', ')}`);
+  }
+  return adapter;
+}
+
+// Normalize an upstream payload with the given adapter
+function normalizeReading(type, payload, options = {}) {
+  const adapter = getAdapter(type);
+  const reading = adapter.normalize(payload, options);
+
+  // Fill in anything the adapter left out so every reading has the same shape
+  const source = reading.current || {};
+  const current = {};
+  METRICS.forEach(metric => {
+    current[metric] = toNumber(source[metric]);
+  });
+  current.mainPollutant = source.mainPollutant || null;
+
+  return {
+    source: adapter.id,
+    name: reading.name || null,
+    timestamp: reading.timestamp || new Date().toISOString(),
+    current
+  };
+}
+
+module.exports = {
+  METRICS,
+  DEFAULT_ADAPTER,
+  getAdapter,
+  normalizeReading,
+  listAdapters: () => Object.keys(adapters)
+};
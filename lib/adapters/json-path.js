@@ -0,0 +1,56 @@
+// Generic adapter that maps fields of any JSON payload by path
+//
+// Configure it with adapterOptions.fields, mapping metric names to paths in
+// dot/bracket notation, e.g.
+//
+//   "adapterOptions": {
+//     "fields": {
+//       "pm25": "data.readings[0].pm25",
+//       "temperature": "data.readings[0].temp",
+//       "name": "station"
+//     }
+//   }
+//
+// Metrics without a path are reported as null.
+
+const { METRICS, toNumber, toIsoTimestamp } = require('./helpers');
+
+// Resolve a path such as "a.b[0].c" against an object
+function getPath(object, path) {
+  if (!path) {
+    return undefined;
+  }
+  return String(path)
+    .replace(/\[(\w+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+}
+
+function normalize(payload, options = {}) {
+  const fields = options.fields;
+  if (!fields || typeof fields !== 'object') {
+    throw new Error('The json-path adapter needs adapterOptions.fields');
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Payload is not a JSON object');
+  }
+
+  const current = {};
+  METRICS.forEach(field => {
+    current[field] = toNumber(getPath(payload, fields[field]));
+  });
+  current.mainPollutant = getPath(payload, fields.mainPollutant) || null;
+
+  return {
+    name: getPath(payload, fields.name) || null,
+    timestamp: toIsoTimestamp(getPath(payload, fields.timestamp)),
+    current
+  };
+}
+
+module.exports = {
+  id: 'json-path',
+  normalize,
+  getPath
+};
@@ -0,0 +1,81 @@
+// Adapter for sensors that push their readings over MQTT (ESPHome, Tasmota
+// and the like)
+//
+// The payload is the latest message received on each of the station's
+// topics, as collected by lib/mqtt-ingest.js:
+//
+//   { messages: { 'esphome/balcony/sensor/pm_2_5/state': '12.4', ... },
+//     receivedAt: 1714557600000 }
+//
+// adapterOptions.topics maps each topic to either the metric its (plain
+// number) messages hold, or, for JSON messages, metric names to paths as in
+// the json-path adapter:
+//
+//   "adapterOptions": {
+//     "topics": {
+//       "esphome/balcony/sensor/pm_2_5/state": "pm25",
+//       "tele/balcony/SENSOR": {
+//         "pm10": "SDS0X1.PM10",
+//         "temperature": "BME280.Temperature",
+//         "timestamp": "Time"
+//       }
+//     }
+//   }
+
+const { METRICS, toNumber, toIsoTimestamp } = require('./helpers');
+const { getPath } = require('./json-path');
+
+function normalize(payload, options = {}) {
+  const topics = options.topics;
+  if (!topics || typeof topics !== 'object') {
+    throw new Error('The mqtt adapter needs adapterOptions.topics');
+  }
+  if (!payload || typeof payload.messages !== 'object') {
+    throw new Error('Payload has no MQTT messages');
+  }
+
+  const current = {};
+  let name = null;
+  let timestamp = null;
+
+  Object.keys(topics).forEach(topic => {
+    const message = payload.messages[topic];
+    if (message === undefined) {
+      return;
+    }
+    const mapping = topics[topic];
+
+    if (typeof mapping === 'string') {
+      if (!METRICS.includes(mapping)) {
+        throw new Error(`Topic "${topic}" maps to unknown metric "${mapping}"`);
+      }
+      current[mapping] = toNumber(String(message).trim());
+      return;
+    }
+
+    let json;
+    try {
+      json = JSON.parse(message);
+    } catch (error) {
+      throw new Error(`Message on "${topic}" is not JSON`);
+    }
+    METRICS.forEach(metric => {
+      if (mapping[metric]) {
+        current[metric] = toNumber(getPath(json, mapping[metric]));
+      }
+    });
+    name = getPath(json, mapping.name) || name;
+    timestamp = getPath(json, mapping.timestamp) || timestamp;
+  });
+
+  return {
+    name,
+    timestamp: toIsoTimestamp(timestamp) || toIsoTimestamp(payload.receivedAt),
+    current
+  };
+}
+
+module.exports = {
+  id: 'mqtt',
+  normalize
+};
@@ -0,0 +1,52 @@
+// Adapter for the PurpleAir local /json endpoint
+//
+// Dual-laser sensors report channel A and channel B separately (the B values
+// carry a _b suffix); we average the two. Temperature comes in °F and
+// particle counts per decilitre.
+
+const { toNumber, round, average } = require('./helpers');
+
+// PurpleAir uses "2020/06/17T16:25:44z" rather than ISO 8601
+function parseDateTime(value) {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const date = new Date(value.replace(/\//g, '-').replace(/z$/i, 'Z'));
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Average channel A and B of a field
+function channels(payload, field) {
+  return average(payload[field], payload[`${field}_b`]);
+}
+
+function normalize(payload) {
+  if (!payload || typeof payload !== 'object' || payload.pm2_5_atm === undefined) {
+    throw new Error('PurpleAir payload is missing "pm2_5_atm"');
+  }
+
+  const temperatureF = toNumber(payload.current_temp_f);
+  const particles = channels(payload, 'p_0_3_um');
+
+  return {
+    name: payload.Geo || null,
+    timestamp: parseDateTime(payload.DateTime),
+    current: {
+      aqi: round(channels(payload, 'pm2.5_aqi'), 0),
+      mainPollutant: 'pm25',
+      pm1: round(channels(payload, 'pm1_0_atm')),
+      pm25: round(channels(payload, 'pm2_5_atm')),
+      pm10: round(channels(payload, 'pm10_0_atm')),
+      particles: particles !== null ? Math.round(particles * 10) : null,
+      co2: null,
+      temperature: temperatureF !== null ? round((temperatureF - 32) * 5 / 9) : null,
+      humidity: toNumber(payload.current_humidity),
+      pressure: toNumber(payload.pressure)
+    }
+  };
+}
+
+module.exports = {
+  id: 'purpleair',
+  normalize
+};
@@ -0,0 +1,68 @@
+// Adapter for Sensor.Community (formerly Luftdaten) sensors
+//
+// Accepts both the local /data.json of an airRohr sensor and the
+// data.sensor.community API, which returns an array of measurements. Values
+// are listed as { value_type, value } pairs where P0/P1/P2 are PM1/PM10/PM2.5,
+// optionally prefixed with the sensor model (SDS_P1, BME280_temperature).
+
+const { toNumber, round, toIsoTimestamp } = require('./helpers');
+
+// Find a value whose type matches, with or without the sensor model prefix
+function findValue(values, type) {
+  const entry = values.find(item => item.value_type === type || item.value_type.endsWith(`_${type}`));
+  return entry ? toNumber(entry.value) : null;
+}
+
+// Pick the newest measurement from an API response
+function latestMeasurement(payload) {
+  if (!Array.isArray(payload)) {
+    return payload;
+  }
+  return payload
+    .slice()
+    .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)))
+    .pop();
+}
+
+// The API reports times as "2024-05-01 10:00:00" in UTC
+function measurementTime(measurement) {
+  if (measurement.timestamp) {
+    return toIsoTimestamp(`${measurement.timestamp.replace(' ', 'T')}Z`);
+  }
+  const age = toNumber(measurement.age);
+  return age !== null ? new Date(Date.now() - age * 1000).toISOString() : null;
+}
+
+function normalize(payload) {
+  const measurement = latestMeasurement(payload);
+  if (!measurement || !Array.isArray(measurement.sensordatavalues)) {
+    throw new Error('Sensor.Community payload is missing "sensordatavalues"');
+  }
+
+  const values = measurement.sensordatavalues.filter(item => item && typeof item.value_type === 'string');
+  const pressure = findValue(values, 'pressure');
+  const pm25 = findValue(values, 'P2');
+  const pm10 = findValue(values, 'P1');
+
+  return {
+    name: measurement.sensor && measurement.sensor.id ? `Sensor ${measurement.sensor.id}` : null,
+    timestamp: measurementTime(measurement),
+    current: {
+      aqi: null,
+      mainPollutant: pm25 !== null ? 'pm25' : (pm10 !== null ? 'pm10' : null),
+      pm1: findValue(values, 'P0'),
+      pm25,
+      pm10,
+      particles: null,
+      co2: findValue(values, 'co2_ppm'),
+      temperature: findValue(values, 'temperature'),
+      humidity: findValue(values, 'humidity'),
+      pressure: pressure !== null ? round(pressure / 100, 1) : null
+    }
+  };
+}
+
+module.exports = {
+  id: 'sensor-community',
+  normalize
+};
@@ -0,0 +1,381 @@
+// Threshold alerts
+//
+// Rules from the "alerts" section of config.json are checked against every
+// reading (and the UV index for the current hour):
+//
+//   {
+//     "id": "pm25-unhealthy",
+//     "name": "PM2.5 unhealthy",
+//     "metric": "pm25Aqi",         // any reading metric, aqi, pm25Aqi, pm10Aqi or uv
+//     "operator": ">",             // >, >=, < or <=
+//     "threshold": 150,
+//     "forMinutes": 10,            // how long it must hold before firing
+//     "hysteresis": 10,            // how far back past the threshold to resolve
+//     "cooldownMinutes": 30,       // quiet period after an alert resolves
+//     "quietHours": { "start": "22:00", "end": "07:00" },
+//     "stations": ["office"],      // defaults to every station
+//     "severity": "warning"        // or "critical"
+//   }
+//
+// A rule whose condition holds goes pending, fires once it has held for
+// forMinutes (outside quiet hours and its cooldown), and resolves when the
+// value is back past the threshold by the hysteresis. Fired and resolved
+// alerts are appended to a JSON Lines file, which is read back on startup so
+// active alerts survive a restart.
+
+const fs = require('fs');
+const path = require('path');
+const { METRICS } = require('./adapters');
+const { resolveTimeZone } = require('./time-zone');
+
+// Metrics alerts can use besides the reading's own
+const DERIVED_METRICS = ['pm25Aqi', 'pm10Aqi', 'uv'];
+
+const METRIC_LABELS = {
+  aqi: 'AQI',
+  pm1: 'PM1',
+  pm25: 'PM2.5',
+  pm10: 'PM10',
+  particles: 'Particles',
+  co2: 'CO2',
+  temperature: 'Temperature',
+  humidity: 'Humidity',
+  pressure: 'Pressure',
+  pm25Aqi: 'PM2.5 AQI',
+  pm10Aqi: 'PM10 AQI',
+  uv: 'UV index'
+};
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+
+const SEVERITIES = ['warning', 'critical'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const RULE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Rotate the alert log when it gets this big
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+const DEFAULT_HISTORY_SIZE = 500;
+
+// Check quiet hours ({ start, end } as HH:MM) from the config
+function parseQuietHours(quietHours, ruleId) {
+  if (!quietHours) {
+    return null;
+  }
+  if (!TIME_PATTERN.test(quietHours.start) || !TIME_PATTERN.test(quietHours.end)) {
+    throw new Error(`Alert rule "${ruleId}" needs quietHours start and end as HH:MM`);
+  }
+  return { start: quietHours.start, end: quietHours.end };
+}
+
+// Check a rule from the config and fill in its defaults
+function parseRule(rule, defaults, stationIds) {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error('Each alert rule must be an object');
+  }
+  if (typeof rule.id !== 'string' || !RULE_ID_PATTERN.test(rule.id)) {
+    throw new Error(`Alert rule id "${rule.id}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (!METRICS.includes(rule.metric) && !DERIVED_METRICS.includes(rule.metric)) {
+    throw new Error(`Alert rule "${rule.id}" has unknown metric "${rule.metric}". Available: ${METRICS.concat(DERIVED_METRICS).join(', ')}`);
+  }
+  if (!OPERATORS[rule.operator]) {
+    throw new Error(`Alert rule "${rule.id}" has unknown operator "${rule.operator}". Available: ${Object.keys(OPERATORS).join(', ')}`);
+  }
+  if (typeof rule.threshold !== 'number' || !isFinite(rule.threshold)) {
+    throw new Error(`Alert rule "${rule.id}" needs a numeric threshold`);
+  }
+  const severity = rule.severity || 'warning';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Alert rule "${rule.id}" has unknown severity "${severity}". Available: ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.stations !== undefined && !Array.isArray(rule.stations)) {
+    throw new Error(`Alert rule "${rule.id}" needs stations as a list of station ids`);
+  }
+  const unknownStations = (rule.stations || []).filter(id => !stationIds.includes(id));
+  if (unknownStations.length > 0) {
+    throw new Error(`Alert rule "${rule.id}" refers to unknown stations: ${unknownStations.join(', ')}`);
+  }
+
+  return {
+    id: rule.id,
+    name: rule.name || rule.id,
+    metric: rule.metric,
+    operator: rule.operator,
+    threshold: rule.threshold,
+    forMs: (rule.forMinutes || 0) * 60 * 1000,
+    hysteresis: Math.abs(rule.hysteresis || 0),
+    cooldownMs: (rule.cooldownMinutes !== undefined ? rule.cooldownMinutes : defaults.cooldownMinutes || 0) * 60 * 1000,
+    quietHours: parseQuietHours(rule.quietHours !== undefined ? rule.quietHours : defaults.quietHours, rule.id),
+    stations: rule.stations || null,
+    severity
+  };
+}
+
+// Check the rules of the "alerts" config section against the station ids,
+// throwing on the first problem
+function parseRules(config, stationIds) {
+  const rules = (config.rules || []).map(rule => parseRule(rule, config, stationIds));
+  const duplicate = rules.find((rule, index) => rules.findIndex(other => other.id === rule.id) !== index);
+  if (duplicate) {
+    throw new Error(`Alert rule id "${duplicate.id}" is used more than once`);
+  }
+  return rules;
+}
+
+// Whether a value has come back past the threshold by the hysteresis
+function isCleared(rule, value) {
+  const isUpper = rule.operator === '>' || rule.operator === '>=';
+  const resolveAt = isUpper ? rule.threshold - rule.hysteresis : rule.threshold + rule.hysteresis;
+  return !OPERATORS[rule.operator](value, resolveAt);
+}
+
+// Create the alert engine from the "alerts" config section:
+//   rules, file, historySize, timeZone, cooldownMinutes and quietHours
+//   (the last two are defaults for the rules)
+// options: { stations, file, logger, onChange(event, alert) } where event
+// is "fired" or "resolved"
+function createAlertEngine(config = {}, options = {}) {
+  const { logger, onChange } = options;
+  const file = options.file;
+  const stationNames = new Map((options.stations || []).map(station => [station.id, station.name]));
+  const rules = parseRules(config, Array.from(stationNames.keys()));
+  const historySize = config.historySize || DEFAULT_HISTORY_SIZE;
+
+  // Time of day in the configured time zone, for quiet hours
+  const timeFormat = new Intl.DateTimeFormat('en-GB', {
+    timeZone: config.timeZone ? resolveTimeZone(config.timeZone) : undefined,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  // Rule state per rule and station: ok, pending (condition holding) or
+  // firing, with the alert while it's active
+  const states = new Map();
+  // Alerts, most recent first; active ones are updated when they resolve
+  let history = [];
+
+  function stateKey(ruleId, stationId) {
+    return `${ruleId}|${stationId || ''}`;
+  }
+
+  function getState(ruleId, stationId) {
+    const key = stateKey(ruleId, stationId);
+    if (!states.has(key)) {
+      states.set(key, { status: 'ok', since: null, alert: null, lastResolvedAt: null });
+    }
+    return states.get(key);
+  }
+
+  function isQuietTime(rule, time) {
+    if (!rule.quietHours) {
+      return false;
+    }
+    const now = timeFormat.format(new Date(time));
+    const { start, end } = rule.quietHours;
+    // Quiet hours may run past midnight
+    return start <= end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  function describe(rule, stationId, value) {
+    const place = stationId ? ` at ${stationNames.get(stationId) || stationId}` : '';
+    const rounded = Math.round(value * 10) / 10;
+    return `${rule.name}: ${METRIC_LABELS[rule.metric]} ${rounded} (${rule.operator} ${rule.threshold})${place}`;
+  }
+
+  // Append an alert event to the log file, one write at a time so a
+  // resolution never lands before the alert it resolves
+  let writing = Promise.resolve();
+
+  function writeLog(event, alert) {
+    if (!file) {
+      return;
+    }
+    const line = JSON.stringify({ event, alert }) + '\n';
+    writing = writing.then(async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        const size = await fs.promises.stat(file).then(stat => stat.size, () => 0);
+        if (size > MAX_LOG_BYTES) {
+          await fs.promises.rename(file, `${file}.1`);
+        }
+        await fs.promises.appendFile(file, line);
+      } catch (error) {
+        if (logger) {
+          logger.error('Failed to write to alert log', { file, error: error.message });
+        }
+      }
+    });
+  }
+
+  function emit(event, alert) {
+    writeLog(event, alert);
+    if (onChange) {
+      onChange(event, { ...alert });
+    }
+  }
+
+  function fire(rule, stationId, state, value, time) {
+    const firedAt = new Date(time).toISOString();
+    const alert = {
+      id: `${rule.id}-${stationId || 'uv'}-${time}`,
+      rule: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      station: stationId || null,
+      metric: rule.metric,
+      operator: rule.operator,
+      threshold: rule.threshold,
+      value,
+      peakValue: value,
+      status: 'active',
+      firedAt,
+      resolvedAt: null,
+      resolvedValue: null,
+      message: describe(rule, stationId, value)
+    };
+    state.status = 'firing';
+    state.alert = alert;
+    history.unshift(alert);
+    history.length = Math.min(history.length, historySize);
+    emit('fired', alert);
+  }
+
+  function resolve(state, value, time) {
+    const alert = state.alert;
+    alert.status = 'resolved';
+    alert.resolvedAt = new Date(time).toISOString();
+    alert.resolvedValue = value;
+    state.status = 'ok';
+    state.since = null;
+    state.alert = null;
+    state.lastResolvedAt = time;
+    emit('resolved', alert);
+  }
+
+  // Check the rules against new values for a station (or for the UV index,
+  // with stationId null). values maps metric names to numbers; rules for
+  // metrics without a number are left as they are.
+  function evaluate(stationId, values, time = Date.now()) {
+    rules.forEach(rule => {
+      const value = values[rule.metric];
+      if (typeof value !== 'number' || (stationId && rule.stations && !rule.stations.includes(stationId))) {
+        return;
+      }
+      const state = getState(rule.id, stationId);
+      const breached = OPERATORS[rule.operator](value, rule.threshold);
+
+      if (state.status === 'firing') {
+        const isWorse = OPERATORS[rule.operator](value, state.alert.peakValue);
+        if (isWorse) {
+          state.alert.peakValue = value;
+        }
+        if (isCleared(rule, value)) {
+          resolve(state, value, time);
+        }
+        return;
+      }
+
+      if (!breached) {
+        state.status = 'ok';
+        state.since = null;
+        return;
+      }
+      if (state.status === 'ok') {
+        state.status = 'pending';
+        state.since = time;
+      }
+
+      // Held long enough; fire unless it's quiet hours or cooling down, in
+      // which case it stays pending and fires once they're over
+      const isCoolingDown = state.lastResolvedAt !== null && time - state.lastResolvedAt < rule.cooldownMs;
+      if (time - state.since >= rule.forMs && !isCoolingDown && !isQuietTime(rule, time)) {
+        fire(rule, stationId, state, value, time);
+      }
+    });
+  }
+
+  // Read the alert log back, restoring the history and the active alerts
+  function restore() {
+    if (!file || !fs.existsSync(file)) {
+      return;
+    }
+    const alerts = new Map();
+    try {
+      fs.readFileSync(file, 'utf8').split('\n').forEach(line => {
+        if (!line.trim()) {
+          return;
+        }
+        try {
+          const { alert } = JSON.parse(line);
+          alerts.set(alert.id, alert);
+        } catch (error) {
+          // Skip a line cut short by a crash
+        }
+      });
+    } catch (error) {
+      if (logger) {
+        logger.error('Failed to read alert log', { file, error: error.message });
+      }
+      return;
+    }
+
+    history = Array.from(alerts.values())
+      .sort((a, b) => Date.parse(b.firedAt) - Date.parse(a.firedAt))
+      .slice(0, historySize);
+
+    // Alerts that were active when the server stopped carry on, if their
+    // rule is still configured
+    history.filter(alert => alert.status === 'active').forEach(alert => {
+      if (rules.some(rule => rule.id === alert.rule)) {
+        Object.assign(getState(alert.rule, alert.station), { status: 'firing', alert });
+      }
+    });
+  }
+
+  // Active alerts and past ones, most recent first, optionally for one
+  // station (UV alerts are included for every station)
+  function list({ station, limit } = {}) {
+    const matches = alert => !station || !alert.station || alert.station === station;
+    const alerts = history.filter(matches);
+    return {
+      active: alerts.filter(alert => alert.status === 'active'),
+      history: limit ? alerts.slice(0, limit) : alerts
+    };
+  }
+
+  function status() {
+    return {
+      rules: rules.length,
+      active: history.filter(alert => alert.status === 'active').length,
+      pending: Array.from(states.values()).filter(state => state.status === 'pending').length
+    };
+  }
+
+  restore();
+
+  // Name the stations in messages from the current list, such as after a
+  // config reload. The rules are checked against it when the config is read.
+  function setStations(nextStations) {
+    stationNames.clear();
+    nextStations.forEach(station => stationNames.set(station.id, station.name));
+  }
+
+  return {
+    evaluate,
+    list,
+    setStations,
+    status
+  };
+}
+
+module.exports = {
+  METRIC_LABELS,
+  parseRules,
+  createAlertEngine
+};
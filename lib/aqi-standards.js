@@ -0,0 +1,217 @@
+// Air quality index standards
+//
+// Each standard has its own way of turning PM2.5/PM10 concentrations into an
+// index, and its own bands with labels and a default palette. The dashboard
+// colours and categories come from the selected standard's bands.
+//
+// Breakpoint tables are [concentration low, concentration high, index low,
+// index high] rows, interpolated linearly. Above the top row the index is
+// extrapolated from it.
+
+const { calculateOverallAqi } = require('./aqi');
+
+const US_EPA = 'us-epa';
+
+// Interpolate an index from a breakpoint table
+function interpolate(table, concentration, round = Math.round) {
+  if (typeof concentration !== 'number' || !isFinite(concentration) || concentration < 0) {
+    return null;
+  }
+  const row = table.find(([, high]) => concentration <= high) || table[table.length - 1];
+  const [concLow, concHigh, indexLow, indexHigh] = row;
+  const index = ((indexHigh - indexLow) / (concHigh - concLow)) * (concentration - concLow) + indexLow;
+  return round(Math.max(index, indexLow));
+}
+
+// Step index: the 1-based position of the first limit the concentration is under
+function step(limits, concentration) {
+  if (typeof concentration !== 'number' || !isFinite(concentration) || concentration < 0) {
+    return null;
+  }
+  const rounded = Math.round(concentration);
+  const position = limits.findIndex(limit => rounded <= limit);
+  return position === -1 ? limits.length + 1 : position + 1;
+}
+
+// The highest sub-index over the pollutants, as { value, pollutant }
+function highestIndex(concentrations, calculators) {
+  let result = { value: null, pollutant: null };
+  Object.keys(calculators).forEach(pollutant => {
+    const value = calculators[pollutant](concentrations[pollutant]);
+    if (value !== null && (result.value === null || value > result.value)) {
+      result = { value, pollutant };
+    }
+  });
+  return result;
+}
+
+// `max` is the highest index value in a band; the last band takes everything above
+const STANDARDS = {
+  [US_EPA]: {
+    id: US_EPA,
+    name: 'US EPA AQI',
+    calculate: calculateOverallAqi,
+    bands: [
+      { key: 'good', label: 'Good', max: 50, backgroundColor: '#4CAF50', textColor: '#000' },
+      { key: 'moderate', label: 'Moderate', max: 100, backgroundColor: '#FFEB3B', textColor: '#000' },
+      { key: 'unhealthySensitive', label: 'Unhealthy for Sensitive Groups', max: 150, backgroundColor: '#FF9800', textColor: '#000' },
+      { key: 'unhealthy', label: 'Unhealthy', max: 200, backgroundColor: '#F44336', textColor: '#fff' },
+      { key: 'veryUnhealthy', label: 'Very Unhealthy', max: 300, backgroundColor: '#9C27B0', textColor: '#fff' },
+      { key: 'hazardous', label: 'Hazardous', max: null, backgroundColor: '#7D0023', textColor: '#fff' }
+    ]
+  },
+
+  // Common Air Quality Index, hourly background grid
+  'eu-caqi': {
+    id: 'eu-caqi',
+    name: 'EU CAQI',
+    calculate: concentrations => highestIndex(concentrations, {
+      pm25: value => interpolate([[0, 15, 0, 25], [15, 30, 25, 50], [30, 55, 50, 75], [55, 110, 75, 100]], value),
+      pm10: value => interpolate([[0, 25, 0, 25], [25, 50, 25, 50], [50, 90, 50, 75], [90, 180, 75, 100]], value)
+    }),
+    bands: [
+      { key: 'veryLow', label: 'Very Low', max: 25, backgroundColor: '#79BC6A', textColor: '#000' },
+      { key: 'low', label: 'Low', max: 50, backgroundColor: '#BBCF4C', textColor: '#000' },
+      { key: 'medium', label: 'Medium', max: 75, backgroundColor: '#EEC20B', textColor: '#000' },
+      { key: 'high', label: 'High', max: 100, backgroundColor: '#F29305', textColor: '#000' },
+      { key: 'veryHigh', label: 'Very High', max: null, backgroundColor: '#E8416F', textColor: '#fff' }
+    ]
+  },
+
+  // UK Daily Air Quality Index, 1 to 10
+  'uk-daqi': {
+    id: 'uk-daqi',
+    name: 'UK DAQI',
+    calculate: concentrations => highestIndex(concentrations, {
+      pm25: value => step([11, 23, 35, 41, 47, 53, 58, 64, 70], value),
+      pm10: value => step([16, 33, 50, 58, 66, 75, 83, 91, 100], value)
+    }),
+    bands: [
+      { key: 'low', label: 'Low', max: 3, backgroundColor: '#31CF00', textColor: '#000' },
+      { key: 'moderate', label: 'Moderate', max: 6, backgroundColor: '#FFCF00', textColor: '#000' },
+      { key: 'high', label: 'High', max: 9, backgroundColor: '#FF0000', textColor: '#fff' },
+      { key: 'veryHigh', label: 'Very High', max: null, backgroundColor: '#CE30FF', textColor: '#fff' }
+    ]
+  },
+
+  // India National AQI. The Severe band is open-ended; its upper
+  // breakpoints here only set the slope for interpolation.
+  'in-naqi': {
+    id: 'in-naqi',
+    name: 'India NAQI',
+    calculate: concentrations => highestIndex(concentrations, {
+      pm25: value => interpolate([[0, 30, 0, 50], [31, 60, 51, 100], [61, 90, 101, 200], [91, 120, 201, 300], [121, 250, 301, 400], [251, 380, 401, 500]], value),
+      pm10: value => interpolate([[0, 50, 0, 50], [51, 100, 51, 100], [101, 250, 101, 200], [251, 350, 201, 300], [351, 430, 301, 400], [431, 510, 401, 500]], value)
+    }),
+    bands: [
+      { key: 'good', label: 'Good', max: 50, backgroundColor: '#00B050', textColor: '#000' },
+      { key: 'satisfactory', label: 'Satisfactory', max: 100, backgroundColor: '#92D050', textColor: '#000' },
+      { key: 'moderatelyPolluted', label: 'Moderately Polluted', max: 200, backgroundColor: '#FFFF00', textColor: '#000' },
+      { key: 'poor', label: 'Poor', max: 300, backgroundColor: '#FF9900', textColor: '#000' },
+      { key: 'veryPoor', label: 'Very Poor', max: 400, backgroundColor: '#FF0000', textColor: '#fff' },
+      { key: 'severe', label: 'Severe', max: null, backgroundColor: '#C00000', textColor: '#fff' }
+    ]
+  },
+
+  // China HJ 633-2012, 24-hour breakpoints; IAQI is rounded up
+  'cn-hj633': {
+    id: 'cn-hj633',
+    name: 'China AQI (HJ 633)',
+    calculate: concentrations => highestIndex(concentrations, {
+      pm25: value => interpolate([[0, 35, 0, 50], [35, 75, 50, 100], [75, 115, 100, 150], [115, 150, 150, 200], [150, 250, 200, 300], [250, 350, 300, 400], [350, 500, 400, 500]], value, Math.ceil),
+      pm10: value => interpolate([[0, 50, 0, 50], [50, 150, 50, 100], [150, 250, 100, 150], [250, 350, 150, 200], [350, 420, 200, 300], [420, 500, 300, 400], [500, 600, 400, 500]], value, Math.ceil)
+    }),
+    bands: [
+      { key: 'excellent', label: 'Excellent', max: 50, backgroundColor: '#00E400', textColor: '#000' },
+      { key: 'good', label: 'Good', max: 100, backgroundColor: '#FFFF00', textColor: '#000' },
+      { key: 'lightlyPolluted', label: 'Lightly Polluted', max: 150, backgroundColor: '#FF7E00', textColor: '#000' },
+      { key: 'moderatelyPolluted', label: 'Moderately Polluted', max: 200, backgroundColor: '#FF0000', textColor: '#fff' },
+      { key: 'heavilyPolluted', label: 'Heavily Polluted', max: 300, backgroundColor: '#99004C', textColor: '#fff' },
+      { key: 'severelyPolluted', label: 'Severely Polluted', max: null, backgroundColor: '#7E0023', textColor: '#fff' }
+    ]
+  },
+
+  // Canada AQHI. The full AQHI also needs ozone and NO2, which these sensors
+  // don't measure, so this uses the PM2.5-only AQHI+ (one point per 10 μg/m³).
+  'ca-aqhi': {
+    id: 'ca-aqhi',
+    name: 'Canada AQHI+',
+    calculate: concentrations => {
+      const pm25 = concentrations.pm25;
+      if (typeof pm25 !== 'number' || !isFinite(pm25) || pm25 < 0) {
+        return { value: null, pollutant: null };
+      }
+      return { value: Math.max(1, Math.ceil(pm25 / 10)), pollutant: 'pm25' };
+    },
+    bands: [
+      { key: 'low', label: 'Low Risk', max: 3, backgroundColor: '#0099CC', textColor: '#fff' },
+      { key: 'moderate', label: 'Moderate Risk', max: 6, backgroundColor: '#FFCC00', textColor: '#000' },
+      { key: 'high', label: 'High Risk', max: 10, backgroundColor: '#FF0000', textColor: '#fff' },
+      { key: 'veryHigh', label: 'Very High Risk', max: null, backgroundColor: '#660000', textColor: '#fff' }
+    ]
+  }
+};
+
+// Pick the overrides for a standard from an aqiThresholds/aqiColors setting.
+// They can be keyed by standard id; a flat object applies to US EPA, as in
+// configs from before other standards were supported.
+function overridesFor(setting, standardId) {
+  if (!setting || typeof setting !== 'object') {
+    return {};
+  }
+  if (setting[standardId] && typeof setting[standardId] === 'object' && STANDARDS[standardId]) {
+    return setting[standardId];
+  }
+  const isKeyedByStandard = Object.keys(setting).some(key => STANDARDS[key]);
+  return standardId === US_EPA && !isKeyedByStandard ? setting : {};
+}
+
+// Get a standard by id with the threshold and colour overrides applied
+function resolveStandard(standardId = US_EPA, { thresholds, colors } = {}) {
+  const standard = STANDARDS[standardId];
+  if (!standard) {
+    throw new Error(`Unknown AQI standard "${standardId}". Available: ${Object.keys(STANDARDS).join(', ')}`);
+  }
+
+  const thresholdOverrides = overridesFor(thresholds, standard.id);
+  const colorOverrides = overridesFor(colors, standard.id);
+  const lastIndex = standard.bands.length - 1;
+
+  return {
+    ...standard,
+    bands: standard.bands.map((band, index) => ({
+      ...band,
+      max: index === lastIndex ? null :
+        (typeof thresholdOverrides[band.key] === 'number' ? thresholdOverrides[band.key] : band.max),
+      ...(colorOverrides[band.key] || {})
+    }))
+  };
+}
+
+// The band an index value falls into, or null without a value
+function getBand(standard, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return standard.bands.find(band => band.max === null || value <= band.max) || null;
+}
+
+// The parts of a standard the dashboard needs
+function describeStandard(standard) {
+  return {
+    id: standard.id,
+    name: standard.name,
+    bands: standard.bands.map(({ key, label, max, backgroundColor, textColor }) => ({
+      key, label, max, backgroundColor, textColor
+    }))
+  };
+}
+
+module.exports = {
+  US_EPA,
+  STANDARDS,
+  resolveStandard,
+  getBand,
+  describeStandard,
+  listStandards: () => Object.keys(STANDARDS)
+};
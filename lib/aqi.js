@@ -0,0 +1,137 @@
+// US EPA Air Quality Index calculation
+//
+// Computes the AQI from PM2.5 and PM10 concentrations with the EPA
+// breakpoint tables (PM2.5 as revised in 2024), and the 12-hour NowCast
+// the EPA uses to report AQI from continuous monitors.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// [concentration low, concentration high, index low, index high]
+const BREAKPOINTS = {
+  // μg/m³, 24-hour, truncated to 1 decimal
+  pm25: [
+    [0.0, 9.0, 0, 50],
+    [9.1, 35.4, 51, 100],
+    [35.5, 55.4, 101, 150],
+    [55.5, 125.4, 151, 200],
+    [125.5, 225.4, 201, 300],
+    [225.5, 325.4, 301, 500]
+  ],
+  // μg/m³, 24-hour, truncated to an integer
+  pm10: [
+    [0, 54, 0, 50],
+    [55, 154, 51, 100],
+    [155, 254, 101, 150],
+    [255, 354, 151, 200],
+    [355, 424, 201, 300],
+    [425, 604, 301, 500]
+  ]
+};
+
+// Decimals each pollutant's concentration is truncated to before lookup
+const TRUNCATION = {
+  pm25: 1,
+  pm10: 0
+};
+
+// Sources the displayed AQI can come from
+const AQI_SOURCES = ['reported', 'computed', 'nowcast'];
+
+function truncate(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.floor(value * factor) / factor;
+}
+
+// AQI for a single pollutant concentration, or null if it can't be computed.
+// Concentrations above the table are extrapolated from the top band.
+function calculateAqi(pollutant, concentration) {
+  const table = BREAKPOINTS[pollutant];
+  if (!table || typeof concentration !== 'number' || !isFinite(concentration) || concentration < 0) {
+    return null;
+  }
+
+  const value = truncate(concentration, TRUNCATION[pollutant]);
+  const band = table.find(([, high]) => value <= high) || table[table.length - 1];
+  const [concLow, concHigh, indexLow, indexHigh] = band;
+
+  return Math.round(((indexHigh - indexLow) / (concHigh - concLow)) * (value - concLow) + indexLow);
+}
+
+// Overall AQI of a set of concentrations: the highest of the sub-indices
+// Returns { value, pollutant }, with nulls when no pollutant is available
+function calculateOverallAqi(concentrations) {
+  let result = { value: null, pollutant: null };
+
+  Object.keys(BREAKPOINTS).forEach(pollutant => {
+    const value = calculateAqi(pollutant, concentrations[pollutant]);
+    if (value !== null && (result.value === null || value > result.value)) {
+      result = { value, pollutant };
+    }
+  });
+
+  return result;
+}
+
+// Hourly averages for the 12 hours before `now`, most recent hour first.
+// Hours without samples are null.
+function hourlyAverages(samples, now) {
+  const averages = [];
+  for (let hour = 0; hour < 12; hour++) {
+    const end = now - hour * HOUR_MS;
+    const start = end - HOUR_MS;
+    const values = samples
+      .filter(sample => sample.time > start && sample.time <= end && typeof sample.value === 'number')
+      .map(sample => sample.value);
+    averages.push(values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+  }
+  return averages;
+}
+
+// EPA NowCast concentration from samples ({ time, value }) of the last 12
+// hours. Needs at least two of the three most recent hours; returns null
+// otherwise.
+function calculateNowCastConcentration(samples, now = Date.now()) {
+  const averages = hourlyAverages(samples, now);
+  if (averages.slice(0, 3).filter(value => value !== null).length < 2) {
+    return null;
+  }
+
+  const present = averages.filter(value => value !== null);
+  const max = Math.max(...present);
+  const min = Math.min(...present);
+  const weight = max > 0 ? Math.max(min / max, 0.5) : 1;
+
+  let weightedSum = 0;
+  let weightTotal = 0;
+  averages.forEach((value, hour) => {
+    if (value !== null) {
+      const factor = Math.pow(weight, hour);
+      weightedSum += factor * value;
+      weightTotal += factor;
+    }
+  });
+
+  return weightedSum / weightTotal;
+}
+
+// NowCast AQI from recent samples of several pollutants
+// samples: [{ time, pm25, pm10 }]
+function calculateNowCastAqi(samples, now = Date.now()) {
+  const concentrations = {};
+  Object.keys(BREAKPOINTS).forEach(pollutant => {
+    concentrations[pollutant] = calculateNowCastConcentration(
+      samples.map(sample => ({ time: sample.time, value: sample[pollutant] })),
+      now
+    );
+  });
+  return calculateOverallAqi(concentrations);
+}
+
+module.exports = {
+  BREAKPOINTS,
+  AQI_SOURCES,
+  calculateAqi,
+  calculateOverallAqi,
+  calculateNowCastConcentration,
+  calculateNowCastAqi
+};
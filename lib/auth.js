@@ -0,0 +1,198 @@
+// Access control for the dashboard and API
+//
+// Clients are identified by any of:
+//
+//   an API token   "Authorization: Bearer <token>", for machine clients, from
+//                  the tokens in auth.tokens
+//   a session      the cookie set by logging in at /login with auth.password
+//   a share link   /?share=<link>, which opens a read-only dashboard until
+//                  the link expires
+//   the admin      HTTP Basic with the admin username and password
+//
+// Tokens, sessions and the admin have the "user" role; share links the
+// "viewer" role, which can't force refreshes, create share links or see the
+// location's coordinates. With auth.enabled, requests without a role are
+// turned away (pages are sent to /login). Without it everything is open as
+// before, but only identified clients are shown the coordinates.
+//
+// Sessions and share links are signed with HMAC-SHA256 using auth.secret.
+// Without one a random secret is used, and they don't survive a restart.
+// Changing the secret revokes all of them.
+
+const crypto = require('crypto');
+const { safeEqual, isAdminRequest } = require('./admin');
+
+const SESSION_COOKIE = 'aqd_session';
+const SHARE_PARAM = 'share';
+const USER = 'user';
+const VIEWER = 'viewer';
+const DEFAULT_SESSION_DAYS = 30;
+const DEFAULT_SHARE_LINK_HOURS = 24;
+const MAX_SHARE_LINK_DAYS = 30;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Requests let through without a role: the login page, the health check and
+// the settings page and its API, which are behind the admin's HTTP Basic
+// authentication instead (see lib/admin.js)
+const PUBLIC_PATHS = ['/login', '/api/auth/login', '/api/auth/session', '/api/health', '/admin', '/api/admin'];
+
+function parseCookies(header) {
+  const cookies = {};
+  (header || '').split(';').forEach(part => {
+    const separator = part.indexOf('=');
+    if (separator !== -1) {
+      cookies[part.slice(0, separator).trim()] = decodeURIComponent(part.slice(separator + 1).trim());
+    }
+  });
+  return cookies;
+}
+
+// Create the access control from the "auth" section of the current config
+// (read on each request, so changes apply straight away) and the admin
+// section
+function createAuth(getAuthConfig, getAdminConfig) {
+  const randomSecret = crypto.randomBytes(32).toString('hex');
+
+  function settings() {
+    return getAuthConfig() || {};
+  }
+
+  function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', settings().secret || randomSecret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  // The payload of a signed session or share link, or null if it's been
+  // tampered with or has expired
+  function verify(token) {
+    const [body, signature] = String(token || '').split('.');
+    if (!body || !signature) {
+      return null;
+    }
+    const expected = crypto.createHmac('sha256', settings().secret || randomSecret).update(body).digest('base64url');
+    if (!safeEqual(signature, expected)) {
+      return null;
+    }
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Who a request is from: { role, via, name, expiresAt }, or null
+  function identify(req) {
+    const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+    if (scheme === 'Bearer' && credentials) {
+      const tokens = settings().tokens || [];
+      const index = tokens.findIndex(entry => entry.token && safeEqual(credentials, entry.token));
+      return index === -1 ? null : { role: USER, via: 'token', name: tokens[index].name || `token ${index + 1}`, expiresAt: null };
+    }
+    if (scheme === 'Basic' && isAdminRequest(req, getAdminConfig())) {
+      return { role: USER, via: 'admin', name: 'admin', expiresAt: null };
+    }
+
+    const session = verify(parseCookies(req.headers.cookie)[SESSION_COOKIE]);
+    if (session && (session.role === USER || session.role === VIEWER)) {
+      return { role: session.role, via: session.role === VIEWER ? 'share-link' : 'session', name: null, expiresAt: session.exp };
+    }
+    return null;
+  }
+
+  function setSessionCookie(req, res, payload) {
+    res.cookie(SESSION_COOKIE, sign(payload), {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      expires: new Date(payload.exp)
+    });
+  }
+
+  // Log in with the dashboard password. Returns the session, or null if
+  // the password is wrong.
+  function login(req, res, password) {
+    const { password: expected, sessionDays = DEFAULT_SESSION_DAYS } = settings();
+    if (!expected || typeof password !== 'string' || !safeEqual(password, expected)) {
+      return null;
+    }
+    const payload = { role: USER, exp: Date.now() + sessionDays * 24 * HOUR_MS };
+    setSessionCookie(req, res, payload);
+    return { role: USER, via: 'session', name: null, expiresAt: payload.exp };
+  }
+
+  function logout(res) {
+    res.clearCookie(SESSION_COOKIE);
+  }
+
+  // A signed link opening the dashboard read-only for a number of hours
+  function createShareLink(baseUrl, { hours } = {}) {
+    const lifetimeHours = hours === undefined ? (settings().shareLinkHours || DEFAULT_SHARE_LINK_HOURS) : hours;
+    if (typeof lifetimeHours !== 'number' || !(lifetimeHours > 0) || lifetimeHours > MAX_SHARE_LINK_DAYS * 24) {
+      throw new Error(`hours must be a number above 0 and at most ${MAX_SHARE_LINK_DAYS * 24}`);
+    }
+    const expiresAt = Date.now() + lifetimeHours * HOUR_MS;
+    const url = new URL('/', baseUrl);
+    url.searchParams.set(SHARE_PARAM, sign({ role: VIEWER, exp: expiresAt }));
+    return { url: url.toString(), expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  // Middleware identifying the client as req.access, turning share links
+  // into a viewer session and, with auth enabled, turning away requests
+  // without a role
+  function middleware(req, res, next) {
+    req.access = identify(req);
+
+    const share = req.method === 'GET' ? req.query[SHARE_PARAM] : undefined;
+    if (share !== undefined) {
+      const payload = verify(share);
+      const url = new URL(req.originalUrl, 'http://localhost');
+      url.searchParams.delete(SHARE_PARAM);
+      if (payload && payload.role === VIEWER) {
+        // Don't let a share link replace a login
+        if (!req.access || req.access.role === VIEWER) {
+          setSessionCookie(req, res, { role: VIEWER, exp: payload.exp });
+        }
+        return res.redirect(`${url.pathname}${url.search}`);
+      }
+      return res.redirect(`/login/?expired=1&next=${encodeURIComponent(`${url.pathname}${url.search}`)}`);
+    }
+
+    const isPublic = PUBLIC_PATHS.some(publicPath => req.path === publicPath || req.path.startsWith(`${publicPath}/`));
+    if (!settings().enabled || req.access || isPublic) {
+      return next();
+    }
+
+    if (req.method === 'GET' && !req.path.startsWith('/api/') && req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(`/login/?next=${encodeURIComponent(req.originalUrl)}`);
+    }
+    res.status(401).json({ error: 'Authentication required' });
+  }
+
+  // Middleware for what viewers can't do
+  function requireUser(req, res, next) {
+    if (req.access && req.access.role === USER) {
+      return next();
+    }
+    res.status(req.access ? 403 : 401).json({ error: req.access ? 'Not allowed with a share link' : 'Authentication required' });
+  }
+
+  return {
+    identify,
+    verify,
+    login,
+    logout,
+    createShareLink,
+    middleware,
+    requireUser,
+    isEnabled: () => Boolean(settings().enabled)
+  };
+}
+
+module.exports = {
+  USER,
+  VIEWER,
+  SESSION_COOKIE,
+  createAuth
+};
@@ -0,0 +1,91 @@
+// Snapshots of the data cache on disk
+//
+// The cached readings and UV forecast are written to a file as they change
+// (at most every few seconds, and on shutdown) and read back at startup, so
+// a restart doesn't leave dashboards blank until the first poll or spend a
+// UV API request on a forecast it already had:
+//
+//   { "savedAt": "...", "entries": { "<cache key>": { "timestamp": ..., "data": { ... } } } }
+//
+// Entries keep the time their data was fetched. The file is replaced
+// atomically, so a crash mid-write leaves the previous snapshot.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_SAVE_DELAY_MS = 5000;
+
+// Create the store. options: { file, maxAgeHours, saveDelayMs, logger }
+function createCacheStore(options = {}) {
+  const { file, maxAgeHours, logger } = options;
+  const saveDelayMs = options.saveDelayMs !== undefined ? options.saveDelayMs : DEFAULT_SAVE_DELAY_MS;
+  let timer = null;
+  let getEntries = null;
+
+  // The entries of the snapshot, leaving out ones older than maxAgeHours.
+  // A missing or unreadable file is an empty snapshot.
+  function load() {
+    let snapshot;
+    try {
+      snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && logger) {
+        logger.warn('Ignoring unreadable cache snapshot', { file, error: error.message });
+      }
+      return {};
+    }
+
+    const oldest = Date.now() - maxAgeHours * 60 * 60 * 1000;
+    const entries = {};
+    Object.entries(snapshot.entries || {}).forEach(([key, entry]) => {
+      if (entry && typeof entry.timestamp === 'number' && entry.timestamp >= oldest && entry.data) {
+        entries[key] = entry;
+      }
+    });
+    return entries;
+  }
+
+  function write() {
+    clearTimeout(timer);
+    timer = null;
+    if (!getEntries) {
+      return;
+    }
+
+    const temporary = `${file}.${process.pid}.tmp`;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(temporary, JSON.stringify({ savedAt: new Date().toISOString(), entries: getEntries() }));
+      fs.renameSync(temporary, file);
+    } catch (error) {
+      if (logger) {
+        logger.error('Failed to save the cache snapshot', { file, error: error.message });
+      }
+    }
+  }
+
+  // Save a snapshot of getEntries() soon, once the burst of changes it's
+  // part of (such as every station polled at once) is over
+  function save(entries) {
+    getEntries = entries;
+    if (!timer) {
+      timer = setTimeout(write, saveDelayMs);
+      timer.unref();
+    }
+  }
+
+  return {
+    load,
+    save,
+    // Write a pending snapshot now, such as on shutdown
+    flush: () => {
+      if (timer) {
+        write();
+      }
+    }
+  };
+}
+
+module.exports = {
+  createCacheStore
+};
@@ -0,0 +1,105 @@
+// Watching the config files for changes
+//
+// Editors save files in different ways: some write them in place, others
+// write a new file and rename it over the old one, which a watch on the file
+// itself would lose track of. So the directory of each file is watched and
+// events are matched by file name. A save usually comes as a burst of events,
+// which are debounced into one change, and saves that leave the content as
+// it was are ignored.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DEBOUNCE_MS = 500;
+
+// Watch files, calling onChange(changedFiles) with the paths of the ones
+// whose content changed.
+// options: { debounceMs, logger }
+// Returns { refresh(), close() }.
+function watchConfigFiles(files, onChange, options = {}) {
+  const { logger } = options;
+  const debounceMs = options.debounceMs !== undefined ? options.debounceMs : DEFAULT_DEBOUNCE_MS;
+  const contents = new Map();
+  const pending = new Set();
+  const watchers = [];
+  let timer = null;
+
+  function read(file) {
+    try {
+      return fs.readFileSync(file, 'utf8');
+    } catch (error) {
+      // Gone for a moment while it's replaced, or deleted
+      return null;
+    }
+  }
+
+  function flush() {
+    timer = null;
+    const changed = [];
+    pending.forEach(file => {
+      const content = read(file);
+      if (content !== null && content !== contents.get(file)) {
+        contents.set(file, content);
+        changed.push(file);
+      }
+    });
+    pending.clear();
+    if (changed.length > 0) {
+      onChange(changed);
+    }
+  }
+
+  // Watch each directory once, for all the files in it
+  const directories = new Map();
+  files.forEach(file => {
+    const resolved = path.resolve(file);
+    contents.set(resolved, read(resolved));
+    const directory = path.dirname(resolved);
+    if (!directories.has(directory)) {
+      directories.set(directory, new Map());
+    }
+    directories.get(directory).set(path.basename(resolved), resolved);
+  });
+
+  directories.forEach((names, directory) => {
+    try {
+      const watcher = fs.watch(directory, (eventType, filename) => {
+        // Some platforms don't say which file changed, so check them all
+        const changedFiles = filename ? [names.get(filename.toString())].filter(Boolean) : [...names.values()];
+        if (changedFiles.length === 0) {
+          return;
+        }
+        changedFiles.forEach(file => pending.add(file));
+        clearTimeout(timer);
+        timer = setTimeout(flush, debounceMs);
+      });
+      watcher.on('error', error => {
+        if (logger) {
+          logger.error('Config file watcher failed', { directory, error: error.message });
+        }
+      });
+      watchers.push(watcher);
+    } catch (error) {
+      if (logger) {
+        logger.error('Failed to watch config files', { directory, error: error.message });
+      }
+    }
+  });
+
+  // Take the files as they are now as unchanged, such as after writing
+  // them ourselves
+  function refresh() {
+    contents.forEach((content, file) => contents.set(file, read(file)));
+  }
+
+  function close() {
+    clearTimeout(timer);
+    watchers.forEach(watcher => watcher.close());
+  }
+
+  return { refresh, close };
+}
+
+module.exports = {
+  watchConfigFiles
+};
@@ -0,0 +1,523 @@
+// Server configuration
+//
+// config.json is checked against SCHEMA when it's loaded: every key must have
+// the right type and be within range, and a problem is reported with the
+// path of the key (stations[1].pollingIntervalSec). Keys that aren't in the
+// schema are reported as warnings, as they're usually typos. Missing keys
+// are filled in with their defaults here, rather than wherever they're used.
+//
+// Any setting can be overridden with an environment variable named AQD_ and
+// the path of the key in capitals, with "__" between the levels:
+//
+//   AQD_PORT=8080                   port
+//   AQD_UVAPI__APIKEY=...           uvApi.apiKey
+//   AQD_STATIONS__0__URL=...        stations[0].url
+//   AQD_EMAIL__SMTP__AUTH__PASS=... email.smtp.auth.pass
+//
+// so secrets don't have to be kept in the file. Values are converted to the
+// type the schema expects; where it doesn't say, JSON is parsed and anything
+// else is taken as a string. PORT is still read when no port is set.
+
+const fs = require('fs');
+const { AQI_SOURCES } = require('./aqi');
+const { METRICS, listAdapters } = require('./adapters');
+const { listStandards } = require('./aqi-standards');
+const { DEFAULT_OPTIONS: UPSTREAM_DEFAULTS } = require('./upstream');
+const { OPENUV_ENDPOINTS } = require('./openuv');
+
+const ENV_PREFIX = 'AQD_';
+const ENV_SEPARATOR = '__';
+const REDACTED = '********';
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+
+// Schema nodes: { type, properties, values, items, enum, min, max, default,
+// nullable, secret }. Objects without properties may hold any keys, each
+// checked against values if it's given.
+const number = (min, extra = {}) => ({ type: 'number', min, ...extra });
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const recipients = () => ({ type: ['string', 'array'], items: string() });
+
+const ADAPTER = string({ enum: listAdapters() });
+const TIME = string({ pattern: /^([01]\d|2[0-3]):[0-5]\d$/, format: 'HH:MM' });
+const LOCATION = object({
+  cityName: string(),
+  latitude: number(-90, { max: 90 }),
+  longitude: number(-180, { max: 180 }),
+  altitude: number(-500, { max: 9000 }),
+  timeZone: object({ name: string() })
+});
+
+// A token bucket: up to `burst` requests at once, refilling at `perMinute`
+const RATE_LIMIT = defaults => object({
+  burst: number(1, { default: defaults.burst }),
+  perMinute: number(1, { default: defaults.perMinute })
+}, { default: {} });
+
+const SCHEMA = object({
+  port: { type: 'integer', min: 1, max: 65535, default: 3000 },
+  logLevel: string({ enum: LOG_LEVELS, default: 'info' }),
+  pollingIntervalSec: number(1, { default: 20 }),
+  uvRefreshIntervalSec: number(60, { default: 1800 }),
+  externalApiUrl: string(),
+  adapter: ADAPTER,
+  adapterOptions: object(),
+  stationName: string(),
+  aqiSource: string({ enum: AQI_SOURCES, default: 'reported' }),
+  stations: list(object({
+    id: string(),
+    name: string(),
+    source: string({ enum: ['http', 'mqtt'] }),
+    url: string(),
+    adapter: ADAPTER,
+    adapterOptions: object(),
+    location: LOCATION,
+    pollingIntervalSec: number(1),
+    aqiSource: string({ enum: AQI_SOURCES })
+  })),
+  uvApi: object({
+    source: string({ enum: ['auto', 'api', 'model'], default: 'auto' }),
+    url: string(),
+    apiKey: string({ secret: true }),
+    endpoint: string({ enum: OPENUV_ENDPOINTS, default: 'forecast' }),
+    dailyQuota: { type: 'integer', min: 1, default: 50 },
+    quotaFile: string({ default: 'data/openuv-quota.json' }),
+    schedule: object({
+      enabled: boolean({ default: true }),
+      sunriseLeadMinutes: number(0, { default: 30 })
+    }, { default: {} }),
+    useCachedServer: boolean({ default: false }),
+    cachedServerUrl: string()
+  }, { default: {} }),
+  location: LOCATION,
+  admin: object({
+    username: string({ default: 'admin' }),
+    password: string({ secret: true })
+  }, { default: {} }),
+  auth: object({
+    enabled: boolean({ default: false }),
+    password: string({ secret: true }),
+    secret: string({ secret: true }),
+    tokens: list(object({
+      name: string(),
+      token: string({ secret: true })
+    })),
+    sessionDays: number(0, { default: 30 }),
+    shareLinkHours: number(0, { default: 24 })
+  }, { default: {} }),
+  cors: object({
+    origins: list(string())
+  }, { default: {} }),
+  rateLimit: object({
+    enabled: boolean({ default: true }),
+    trustProxy: boolean({ default: false }),
+    requests: RATE_LIMIT({ burst: 60, perMinute: 120 }),
+    tokenRequests: RATE_LIMIT({ burst: 300, perMinute: 600 }),
+    forcedRefreshes: RATE_LIMIT({ burst: 3, perMinute: 2 })
+  }, { default: {} }),
+  upstream: object(Object.fromEntries(Object.entries(UPSTREAM_DEFAULTS)
+    .map(([key, value]) => [key, number(0, { default: value })])), { default: {} }),
+  validation: object({
+    enabled: boolean({ default: true }),
+    quarantineFile: string({ default: 'data/quarantine.jsonl' }),
+    ranges: object(Object.fromEntries(METRICS.map(metric => [metric, object({ min: number(), max: number() })])))
+  }, { default: {} }),
+  history: object({
+    enabled: boolean({ default: true }),
+    directory: string({ default: 'data/history' }),
+    retentionDays: number(1, { default: 365 })
+  }, { default: {} }),
+  cache: object({
+    enabled: boolean({ default: true }),
+    file: string({ default: 'data/cache.json' }),
+    maxAgeHours: number(0, { default: 24 })
+  }, { default: {} }),
+  sse: object({
+    replayBufferSize: { type: 'integer', min: 1, default: 100 }
+  }, { default: {} }),
+  mqtt: object({
+    enabled: boolean(),
+    url: string(),
+    username: string(),
+    password: string({ secret: true }),
+    clientId: string(),
+    baseTopic: string(),
+    qos: { type: 'integer', enum: [0, 1, 2] },
+    reconnectPeriodSec: number(1),
+    settleMs: number(0),
+    discovery: object({ enabled: boolean(), prefix: string() })
+  }),
+  alerts: object({
+    file: string(),
+    historySize: { type: 'integer', min: 1 },
+    timeZone: string(),
+    cooldownMinutes: number(0),
+    quietHours: object({ start: TIME, end: TIME }, { nullable: true }),
+    rules: list(object())
+  }),
+  webhooks: object({
+    secret: string({ secret: true }),
+    timeoutSec: number(0),
+    retries: number(0),
+    retryDelayMs: number(0),
+    maxRetryDelayMs: number(0),
+    logSize: number(0),
+    subscriptions: list(object({
+      id: string(),
+      url: string({ secret: true }),
+      events: list(string()),
+      stations: list(string()),
+      secret: string({ secret: true }),
+      headers: object(undefined, { values: string({ secret: true }) }),
+      body: { type: ['object', 'array', 'string'] }
+    }))
+  }),
+  email: object({
+    enabled: boolean(),
+    smtp: object(),
+    from: string(),
+    recipients: recipients(),
+    timeZone: string(),
+    dashboardUrl: string(),
+    templateDir: string(),
+    notifications: object({
+      enabled: boolean(),
+      recipients: recipients(),
+      category: string(),
+      cooldownMinutes: number(0),
+      alerts: boolean()
+    }),
+    digest: object({
+      enabled: boolean(),
+      recipients: recipients(),
+      time: TIME,
+      uvThreshold: number(0),
+      sendOnStartup: boolean()
+    })
+  })
+});
+
+// public/config.json, which has no defaults or environment overrides. The
+// AQI thresholds and colours may be keyed by standard (see
+// lib/aqi-standards.js).
+const CLIENT_SCHEMA = object({
+  apiUrl: string(),
+  uvApiUrl: string(),
+  versionApiUrl: string(),
+  refreshIntervalSec: number(1),
+  uvRefreshIntervalSec: number(60),
+  sseEnabled: boolean(),
+  liveTransport: string({ enum: ['websocket', 'sse', 'polling'] }),
+  livePollingIntervalSec: number(1),
+  aqiStandard: string({ enum: listStandards() }),
+  aqiThresholds: object(undefined, { values: { type: ['number', 'object'], values: number(0) } }),
+  aqiColors: object(undefined, { values: { type: 'object', values: { type: ['string', 'object'], values: string() } } }),
+  displayOptions: object({
+    showChart: boolean(),
+    showWeather: boolean(),
+    showTime: boolean(),
+    showLastUpdated: boolean(),
+    showUvIndex: boolean(),
+    uvThreshold: number(0)
+  }),
+  uvThresholds: object(undefined, { values: number(0) }),
+  uvChartColors: object(undefined, { values: { type: ['string', 'object'], values: string() } }),
+  uvWindows: list(object({
+    name: string(),
+    threshold: number(0),
+    color: string()
+  })),
+  location: LOCATION
+});
+
+// Keys whose values are secret even though the schema doesn't list them
+// (such as the free-form SMTP settings)
+const SECRET_KEY_PATTERN = /^(pass|password|secret|apiKey|token)$/i;
+// The scheme and user, and the password, of a URL with credentials
+const URL_CREDENTIALS_PATTERN = /^([a-z][a-z0-9+.-]*:\/\/[^:/@\s]+):([^@/\s]+)@/i;
+
+class ConfigError extends Error {
+  constructor(message, problems) {
+    super(problems.length > 0 ? `${message}:\n${problems.map(problem => `  - ${problem}`).join('\n')}` : message);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Join a key onto a path: stations[1].url
+function joinPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path ? `${path}.${key}` : key;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Differences between two keys, for "did you mean" suggestions
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1,
+        diagonal + (a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1));
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+function suggestKey(key, candidates) {
+  const [best] = candidates
+    .map(candidate => ({ candidate, distance: editDistance(key, candidate) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  return best ? ` (did you mean "${best.candidate}"?)` : '';
+}
+
+// Check a value against a schema node, filling in defaults. Problems and
+// warnings are collected with the path of the key.
+function checkValue(value, schema, path, report) {
+  if (value === null && schema.nullable) {
+    return value;
+  }
+  const types = [].concat(schema.type);
+  if (!types.some(type => matchesType(value, type))) {
+    const expected = types.map(type => (type === 'integer' ? 'a whole number' : `${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`));
+    report.problems.push(`${path} must be ${expected.join(' or ')}, not ${JSON.stringify(value)}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report.problems.push(`${path} must be one of: ${schema.enum.join(', ')} (not ${JSON.stringify(value)})`);
+  }
+  if (schema.min !== undefined && typeof value === 'number' && value < schema.min) {
+    report.problems.push(`${path} must be at least ${schema.min}, not ${value}`);
+  }
+  if (schema.max !== undefined && typeof value === 'number' && value > schema.max) {
+    report.problems.push(`${path} must be at most ${schema.max}, not ${value}`);
+  }
+  if (schema.pattern && typeof value === 'string' && !schema.pattern.test(value)) {
+    report.problems.push(`${path} must be ${schema.format || `like ${schema.pattern}`}, not ${JSON.stringify(value)}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item, index) => checkValue(item, schema.items, joinPath(path, index), report));
+  }
+  if (typeOf(value) === 'object' && schema.properties) {
+    return checkObject(value, schema, path, report);
+  }
+  if (typeOf(value) === 'object' && schema.values) {
+    const checked = {};
+    Object.keys(value).forEach(key => {
+      checked[key] = checkValue(value[key], schema.values, joinPath(path, key), report);
+    });
+    return checked;
+  }
+  return value;
+}
+
+function checkObject(value, schema, path, report) {
+  const known = Object.keys(schema.properties);
+  const checked = {};
+  Object.keys(value).forEach(key => {
+    if (!known.includes(key)) {
+      report.warnings.push(`Unknown key ${joinPath(path, key)}${suggestKey(key, known)}`);
+      checked[key] = value[key];
+    }
+  });
+  known.forEach(key => {
+    const property = schema.properties[key];
+    if (value[key] !== undefined) {
+      checked[key] = checkValue(value[key], property, joinPath(path, key), report);
+    } else if (property.default !== undefined) {
+      checked[key] = checkValue(structuredClone(property.default), property, joinPath(path, key), report);
+    }
+  });
+  return checked;
+}
+
+// The schema node of a key within a node, matched without regard to case as
+// environment variable names are in capitals
+function findKey(container, schema, segment) {
+  const candidates = [
+    ...(schema && schema.properties ? Object.keys(schema.properties) : []),
+    ...(container && typeof container === 'object' ? Object.keys(container) : [])
+  ];
+  return candidates.find(key => key.toLowerCase() === segment.toLowerCase()) || segment.toLowerCase();
+}
+
+// An environment variable's value as the type the schema expects
+function parseEnvValue(raw, schema) {
+  const types = schema ? [].concat(schema.type) : [];
+  if (types.length === 1 && types[0] === 'string') {
+    return raw;
+  }
+  if (types.length === 1 && (types[0] === 'number' || types[0] === 'integer')) {
+    return raw.trim() !== '' && !isNaN(Number(raw)) ? Number(raw) : raw;
+  }
+  if (types.length === 1 && types[0] === 'boolean') {
+    return raw === 'true' ? true : (raw === 'false' ? false : raw);
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    return raw;
+  }
+}
+
+// Apply the AQD_ environment variables to a parsed config, returning the
+// paths that were overridden
+function applyEnvOverrides(config, env) {
+  const applied = [];
+  Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && env[name] !== undefined)
+    .sort()
+    .forEach(name => {
+      const segments = name.slice(ENV_PREFIX.length).split(ENV_SEPARATOR).filter(Boolean);
+      let container = config;
+      let schema = SCHEMA;
+      let path = '';
+      segments.forEach((segment, index) => {
+        const isIndex = /^\d+$/.test(segment) && (Array.isArray(container) || (schema && schema.type === 'array'));
+        const key = isIndex ? Number(segment) : findKey(container, schema, segment);
+        const childSchema = schema ? (isIndex ? schema.items : schema.properties && schema.properties[key]) : null;
+        path = joinPath(path, key);
+
+        if (index === segments.length - 1) {
+          container[key] = parseEnvValue(env[name], childSchema);
+          return;
+        }
+        if (!container[key] || typeof container[key] !== 'object') {
+          const nextIsIndex = /^\d+$/.test(segments[index + 1]) && (!childSchema || childSchema.type === 'array');
+          container[key] = nextIsIndex ? [] : {};
+        }
+        container = container[key];
+        schema = childSchema;
+      });
+      applied.push(`${path} (${name})`);
+    });
+  return applied;
+}
+
+// Parse the JSON of a config file, reporting syntax errors by line and column
+function parseConfigFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ConfigError(`Can't read ${file}: ${error.message}`, []);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    const position = error.message.match(/position (\d+)/);
+    let where = '';
+    if (position) {
+      const before = text.slice(0, Number(position[1])).split('\n');
+      where = ` at line ${before.length}, column ${before[before.length - 1].length + 1}`;
+    }
+    throw new ConfigError(`${file} isn't valid JSON${where}: ${error.message}`, []);
+  }
+}
+
+// Check a parsed config and fill in its defaults.
+// Returns { config, warnings }, or throws a ConfigError listing every problem.
+function resolveConfig(rawConfig, { env = process.env, name = 'config.json' } = {}) {
+  if (typeOf(rawConfig) !== 'object') {
+    throw new ConfigError(`${name} must contain a JSON object`, []);
+  }
+  const merged = structuredClone(rawConfig);
+  const overrides = applyEnvOverrides(merged, env);
+  if (merged.port === undefined && env.PORT) {
+    merged.port = Number(env.PORT);
+  }
+
+  const report = { problems: [], warnings: [] };
+  const config = checkObject(merged, SCHEMA, '', report);
+  if (report.problems.length > 0) {
+    throw new ConfigError(`Invalid ${name}`, report.problems);
+  }
+  return { config, warnings: report.warnings, overrides };
+}
+
+// Check the content of public/config.json.
+// Returns { config, warnings }, or throws a ConfigError listing every problem.
+function resolveClientConfig(rawConfig, { name = 'public/config.json' } = {}) {
+  if (typeOf(rawConfig) !== 'object') {
+    throw new ConfigError(`${name} must contain a JSON object`, []);
+  }
+  const report = { problems: [], warnings: [] };
+  const config = checkObject(rawConfig, CLIENT_SCHEMA, '', report);
+  if (report.problems.length > 0) {
+    throw new ConfigError(`Invalid ${name}`, report.problems);
+  }
+  return { config, warnings: report.warnings.map(warning => `${warning} in ${name}`) };
+}
+
+// Read, check and complete config.json (see resolveConfig)
+function loadConfig(file, options = {}) {
+  return resolveConfig(parseConfigFile(file), { name: file, ...options });
+}
+
+// A copy of a config with its secrets replaced, safe to print or serve:
+// values the schema marks as secret, keys named like passwords, and
+// credentials in URLs
+function redactConfig(value, schema = SCHEMA, key = '') {
+  if (value === undefined || value === null) {
+    return value;
+  }
+  if ((schema && schema.secret) || (typeof value === 'string' && SECRET_KEY_PATTERN.test(key))) {
+    return value === '' ? value : REDACTED;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactConfig(item, schema && schema.items));
+  }
+  if (typeof value === 'object') {
+    const redacted = {};
+    Object.keys(value).forEach(childKey => {
+      const childSchema = schema && ((schema.properties && schema.properties[childKey]) || schema.values);
+      redacted[childKey] = redactConfig(value[childKey], childSchema, childKey);
+    });
+    return redacted;
+  }
+  if (typeof value === 'string') {
+    return value.replace(URL_CREDENTIALS_PATTERN, `$1:${REDACTED}@`);
+  }
+  return value;
+}
+
+module.exports = {
+  SCHEMA,
+  CLIENT_SCHEMA,
+  REDACTED,
+  URL_CREDENTIALS_PATTERN,
+  ConfigError,
+  applyEnvOverrides,
+  parseConfigFile,
+  resolveConfig,
+  resolveClientConfig,
+  loadConfig,
+  redactConfig
+};
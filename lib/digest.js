@@ -0,0 +1,96 @@
+// Daily digest
+//
+// Yesterday's air quality for each station (AQI minimum, maximum and
+// average, and the hours spent in each category) plus today's high UV
+// window, for the morning email. Days are local days in the configured time
+// zone.
+
+const { localDay, formatLocalTime } = require('./time-zone');
+const { findHighUvWindow } = require('./uv');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// The AQI of a stored reading: the selected standard's index computed from
+// its concentrations, or the one the device reported
+function readingAqi(standard, current) {
+  const computed = standard.calculate(current).value;
+  return computed !== null ? computed : (typeof current.aqi === 'number' ? current.aqi : null);
+}
+
+// Summarize a station's readings of one day
+function summarizeStation(station, records, standard, day) {
+  const values = records
+    .map(record => ({ time: record.time, aqi: readingAqi(standard, record.current) }))
+    .filter(record => record.aqi !== null);
+
+  // Hours are counted by the category of their average AQI
+  const hours = new Map();
+  values.forEach(({ time, aqi }) => {
+    const hour = Math.floor((time - day.from) / HOUR_MS);
+    const bucket = hours.get(hour) || { sum: 0, count: 0 };
+    bucket.sum += aqi;
+    bucket.count++;
+    hours.set(hour, bucket);
+  });
+  const hoursPerBand = new Map();
+  hours.forEach(({ sum, count }) => {
+    const value = sum / count;
+    const band = standard.bands.find(candidate => candidate.max === null || value <= candidate.max);
+    hoursPerBand.set(band.key, (hoursPerBand.get(band.key) || 0) + 1);
+  });
+
+  const aqis = values.map(value => value.aqi);
+  return {
+    id: station.id,
+    name: station.name || station.id,
+    readings: values.length,
+    hasReadings: values.length > 0,
+    min: aqis.length ? Math.min(...aqis) : null,
+    max: aqis.length ? Math.max(...aqis) : null,
+    avg: aqis.length ? Math.round(aqis.reduce((sum, aqi) => sum + aqi, 0) / aqis.length) : null,
+    categories: standard.bands
+      .filter(band => hoursPerBand.has(band.key))
+      .map(band => ({
+        key: band.key,
+        label: band.label,
+        hours: hoursPerBand.get(band.key),
+        backgroundColor: band.backgroundColor,
+        textColor: band.textColor
+      }))
+  };
+}
+
+// Build the digest for the day before `now`.
+// options: { stations, historyStore, standard, uvData, uvThreshold, timeZone, now }
+async function buildDailyDigest(options) {
+  const { stations, historyStore, standard, uvData, uvThreshold, timeZone, now = Date.now() } = options;
+  const yesterday = localDay(now, timeZone, -1);
+  const today = localDay(now, timeZone, 0);
+
+  const stationSummaries = [];
+  for (const station of stations) {
+    const records = historyStore ? await historyStore.read(station.id, yesterday.from, yesterday.to) : [];
+    stationSummaries.push(summarizeStation(station, records, standard, yesterday));
+  }
+
+  const window = findHighUvWindow(uvData, { threshold: uvThreshold, from: today.from, to: today.to });
+  return {
+    date: yesterday.date,
+    today: today.date,
+    timeZone,
+    standard: standard.name,
+    stations: stationSummaries,
+    uv: {
+      threshold: uvThreshold,
+      available: Boolean(uvData && Array.isArray(uvData.result) && uvData.result.length),
+      high: Boolean(window),
+      from: window && window.from ? formatLocalTime(window.from, timeZone) : null,
+      until: window && window.until ? formatLocalTime(window.until, timeZone) : null,
+      peak: window ? Math.round(window.peak * 10) / 10 : null
+    }
+  };
+}
+
+module.exports = {
+  buildDailyDigest
+};
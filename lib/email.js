@@ -0,0 +1,303 @@
+// Email notifications and the daily digest
+//
+// Sent over SMTP with nodemailer, from the "email" section of config.json:
+//
+//   notifications  when a station's AQI turns unhealthy (moves into
+//                  notifications.category or worse) and when it recovers,
+//                  and, with notifications.alerts, when an alert fires
+//   digest         each morning at digest.time: yesterday's AQI and today's
+//                  high UV window (see lib/digest.js)
+//
+// Both have an HTML and a plain-text part rendered from the Mustache
+// templates in lib/email-templates, which templateDir can override file by
+// file. Times are in the configured time zone.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const Mustache = require('mustache');
+const { nextLocalTime } = require('./time-zone');
+const { DEFAULT_HIGH_UV } = require('./uv');
+
+const TEMPLATE_DIR = path.join(__dirname, 'email-templates');
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DEFAULT_CATEGORY = 'unhealthy';
+const DEFAULT_DIGEST_TIME = '07:00';
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Recipients as an array, from a list or a comma-separated string
+function recipientList(value) {
+  if (!value) {
+    return [];
+  }
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(address => String(address).trim())
+    .filter(Boolean);
+}
+
+// Check the "email" section against the AQI standard, throwing on the
+// first problem. Returns the index of the notified category.
+function checkEmailConfig(config, standard) {
+  const digestTime = (config.digest && config.digest.time) || DEFAULT_DIGEST_TIME;
+  if (!config.from) {
+    throw new Error('email.from must be set to the sender address');
+  }
+  if (!TIME_PATTERN.test(digestTime)) {
+    throw new Error(`email.digest.time must be HH:MM, not "${digestTime}"`);
+  }
+  const categoryKey = (config.notifications && config.notifications.category) || DEFAULT_CATEGORY;
+  const categoryIndex = standard.bands.findIndex(band => band.key === categoryKey);
+  if (categoryIndex === -1) {
+    throw new Error(`email.notifications.category "${categoryKey}" isn't a category of ${standard.name}. Available: ${standard.bands.map(band => band.key).join(', ')}`);
+  }
+  return categoryIndex;
+}
+
+// Create the notifier.
+// options: {
+//   standard,        the AQI standard, for the unhealthy category
+//   timeZone,        IANA time zone for times and the digest schedule
+//   buildDigest({ timeZone, uvThreshold }), resolves to the digest (see
+//                    lib/digest.js)
+//   logger,
+//   transport        replaces the SMTP transport, e.g. for tests
+// }
+function createEmailNotifier(config, options = {}) {
+  const { timeZone, buildDigest, logger } = options;
+  let standard = options.standard;
+  const notifications = config.notifications || {};
+  const digest = config.digest || {};
+  const recipients = recipientList(config.recipients);
+  const notificationRecipients = notifications.recipients ? recipientList(notifications.recipients) : recipients;
+  const digestRecipients = digest.recipients ? recipientList(digest.recipients) : recipients;
+  const notificationsEnabled = notifications.enabled !== false && notificationRecipients.length > 0;
+  const digestEnabled = digest.enabled !== false && digestRecipients.length > 0;
+  const digestTime = digest.time || DEFAULT_DIGEST_TIME;
+  const cooldownMs = (notifications.cooldownMinutes !== undefined ?
+    notifications.cooldownMinutes : DEFAULT_COOLDOWN_MINUTES) * 60 * 1000;
+  const templateDir = config.templateDir ? path.resolve(config.templateDir) : null;
+  let categoryIndex = checkEmailConfig(config, standard);
+
+  const transport = options.transport || nodemailer.createTransport(config.smtp || {});
+
+  // Stations currently notified as unhealthy, and when each last was
+  const unhealthyStations = new Set();
+  const lastNotifiedAt = new Map();
+  let digestTimer = null;
+  let nextDigestAt = null;
+  let sentCount = 0;
+  let failedCount = 0;
+  let lastSentAt = null;
+  let lastError = null;
+
+  // Read a template, preferring an override from templateDir
+  async function readTemplate(name) {
+    if (templateDir) {
+      try {
+        return await fs.promises.readFile(path.join(templateDir, name), 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return fs.promises.readFile(path.join(TEMPLATE_DIR, name), 'utf8');
+  }
+
+  // Render a template pair and send it
+  async function send(to, subject, templateName, view) {
+    try {
+      const [html, text] = await Promise.all([
+        readTemplate(`${templateName}.html`),
+        readTemplate(`${templateName}.txt`)
+      ]);
+      await transport.sendMail({
+        from: config.from,
+        to,
+        subject,
+        text: Mustache.render(text, view, {}, { escape: value => value }),
+        html: Mustache.render(html, view)
+      });
+      sentCount++;
+      lastSentAt = Date.now();
+      lastError = null;
+      if (logger) {
+        logger.info('Sent email', { subject, to });
+      }
+    } catch (error) {
+      failedCount++;
+      lastError = error.message;
+      if (logger) {
+        logger.error('Failed to send email', { subject, error: error.message });
+      }
+    }
+  }
+
+  function formatTime(timestamp) {
+    return new Date(timestamp).toLocaleString('en-GB', { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  }
+
+  // Email a station turning unhealthy or recovering, from a category-change event
+  function handleCategoryChange(data) {
+    const fromIndex = standard.bands.findIndex(band => band.key === data.from.key);
+    const toIndex = standard.bands.findIndex(band => band.key === data.to.key);
+    const band = standard.bands[toIndex];
+    const name = data.stationName || data.station;
+    const view = {
+      stationName: name,
+      aqi: data.aqi,
+      category: data.to.label,
+      color: band ? band.backgroundColor : '#333',
+      textColor: band ? band.textColor : '#fff',
+      time: formatTime(data.timestamp),
+      dashboardUrl: config.dashboardUrl
+    };
+
+    if (toIndex >= categoryIndex && fromIndex < categoryIndex) {
+      // Don't send another while a station hovers around the category
+      const notifiedAt = lastNotifiedAt.get(data.station);
+      if (notifiedAt && Date.now() - notifiedAt < cooldownMs) {
+        return;
+      }
+      unhealthyStations.add(data.station);
+      lastNotifiedAt.set(data.station, Date.now());
+      send(notificationRecipients, `Air quality at ${name} is ${data.to.label}`, 'notification', {
+        ...view,
+        headline: `Air quality is ${data.to.label}`,
+        message: `The AQI at ${name} has reached ${data.aqi} (${data.to.label}).`
+      });
+    } else if (toIndex < categoryIndex && fromIndex >= categoryIndex && unhealthyStations.has(data.station)) {
+      unhealthyStations.delete(data.station);
+      send(notificationRecipients, `Air quality at ${name} is back to ${data.to.label}`, 'notification', {
+        ...view,
+        headline: `Air quality is back to ${data.to.label}`,
+        message: `The AQI at ${name} is down to ${data.aqi} (${data.to.label}).`
+      });
+    }
+  }
+
+  // Email an alert as it fires
+  function handleAlert(data) {
+    if (data.event !== 'fired') {
+      return;
+    }
+    const { alert } = data;
+    const critical = alert.severity === 'critical';
+    send(notificationRecipients, `${critical ? 'Critical alert' : 'Alert'}: ${alert.name}`, 'notification', {
+      headline: alert.name,
+      message: alert.message,
+      color: critical ? '#F44336' : '#FF9800',
+      textColor: critical ? '#fff' : '#000',
+      time: formatTime(alert.firedAt),
+      dashboardUrl: config.dashboardUrl
+    });
+  }
+
+  // Send an event from the event buffer ({ id, type, data }) by email if
+  // it's one that's notified
+  function handleEvent(event) {
+    if (!notificationsEnabled) {
+      return;
+    }
+    if (event.type === 'category-change') {
+      handleCategoryChange(event.data);
+    } else if (event.type === 'alert' && notifications.alerts) {
+      handleAlert(event.data);
+    }
+  }
+
+  // What the digest templates show for today's UV
+  function uvSummary(uv) {
+    if (!uv.available) {
+      return 'No UV forecast available';
+    }
+    if (!uv.high) {
+      return `UV stays below ${uv.threshold} all day`;
+    }
+    const peak = `peaking at ${uv.peak}`;
+    if (uv.from && uv.until) {
+      return `High UV (${uv.threshold}+) between ${uv.from} and ${uv.until}, ${peak}`;
+    }
+    if (uv.until) {
+      return `High UV (${uv.threshold}+) until ${uv.until}, ${peak}`;
+    }
+    return uv.from ? `High UV (${uv.threshold}+) from ${uv.from}, ${peak}` : `High UV (${uv.threshold}+) all day, ${peak}`;
+  }
+
+  // Build and send the digest now
+  async function sendDigest() {
+    try {
+      const data = await buildDigest({ timeZone, uvThreshold: digest.uvThreshold || DEFAULT_HIGH_UV });
+      await send(digestRecipients, `Air quality digest for ${data.date}`, 'digest', {
+        ...data,
+        uvSummary: uvSummary(data.uv),
+        dashboardUrl: config.dashboardUrl
+      });
+    } catch (error) {
+      failedCount++;
+      lastError = error.message;
+      if (logger) {
+        logger.error('Failed to build the daily digest', { error: error.message });
+      }
+    }
+  }
+
+  function scheduleDigest() {
+    nextDigestAt = nextLocalTime(digestTime, timeZone);
+    digestTimer = setTimeout(async () => {
+      await sendDigest();
+      scheduleDigest();
+    }, nextDigestAt - Date.now());
+  }
+
+  // Start the digest schedule (and send one straight away with
+  // digest.sendOnStartup, to try the templates)
+  function start() {
+    if (!digestEnabled) {
+      return;
+    }
+    scheduleDigest();
+    if (digest.sendOnStartup) {
+      sendDigest();
+    }
+  }
+
+  function close() {
+    clearTimeout(digestTimer);
+    digestTimer = null;
+    transport.close();
+  }
+
+  function status() {
+    return {
+      notifications: notificationsEnabled,
+      digest: digestEnabled,
+      nextDigestAt: digestTimer && nextDigestAt ? new Date(nextDigestAt).toISOString() : null,
+      sent: sentCount,
+      failed: failedCount,
+      lastSentAt: lastSentAt ? new Date(lastSentAt).toISOString() : null,
+      lastError
+    };
+  }
+
+  // Use another AQI standard from now on, such as after a config reload,
+  // throwing if it lacks the notified category
+  function setStandard(nextStandard) {
+    categoryIndex = checkEmailConfig(config, nextStandard);
+    standard = nextStandard;
+  }
+
+  return {
+    handleEvent,
+    sendDigest,
+    setStandard,
+    start,
+    close,
+    status
+  };
+}
+
+module.exports = {
+  checkEmailConfig,
+  createEmailNotifier
+};
@@ -0,0 +1,52 @@
+// Replay buffer for live update events
+//
+// Every event sent to dashboards gets an id and is kept in a small ring
+// buffer, so a client that reconnects with the id of the last event it saw
+// (the Last-Event-ID header of an EventSource) can be sent the ones it
+// missed. Ids start at the server's start time in ms and count up from
+// there, so they keep increasing across restarts.
+
+const DEFAULT_SIZE = 100;
+
+function createEventBuffer(options = {}) {
+  const size = options.size || DEFAULT_SIZE;
+  const events = [];
+  let lastId = Date.now();
+
+  // Add an event and return it with its id
+  function push(type, data) {
+    lastId++;
+    const event = { id: lastId, type, data };
+    events.push(event);
+    if (events.length > size) {
+      events.shift();
+    }
+    return event;
+  }
+
+  // Events after the given id, oldest first. Returns null when the id is
+  // older than the buffer, as events have been missed that can't be replayed.
+  function since(id) {
+    const afterId = Number(id);
+    if (!isFinite(afterId)) {
+      return [];
+    }
+    // Older than the oldest event kept, or from before a restart
+    if (afterId < lastId - events.length) {
+      return null;
+    }
+    return events.filter(event => event.id > afterId);
+  }
+
+  return {
+    push,
+    since,
+    get lastId() {
+      return lastId;
+    }
+  };
+}
+
+module.exports = {
+  createEventBuffer
+};
@@ -0,0 +1,198 @@
+// Reading history store
+//
+// Every normalized reading is appended to a JSON Lines file, one file per
+// station per UTC day:
+//
+//   data/history/<station id>/2024-05-01.jsonl
+//
+// Each line holds { timestamp, current } from the reading. Day files older
+// than retentionDays are deleted. Queries read only the day files that
+// overlap the requested range and can aggregate into fixed buckets.
+
+const fs = require('fs');
+const path = require('path');
+const { METRICS } = require('./adapters');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Bucket sizes for each supported resolution (raw returns every reading)
+const RESOLUTIONS = {
+  raw: null,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': DAY_MS
+};
+
+// Format a time as the name of its day file
+function dayKey(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function createHistoryStore(options = {}) {
+  const directory = options.directory;
+  const retentionDays = options.retentionDays || 365;
+  const logger = options.logger;
+
+  let lastWriteTime = null;
+  let lastError = null;
+  let writeCount = 0;
+
+  // Append a normalized reading for a station
+  async function append(stationId, reading) {
+    const time = Date.parse(reading.timestamp);
+    const recordTime = isNaN(time) ? Date.now() : time;
+    const stationDir = path.join(directory, stationId);
+    const record = {
+      timestamp: new Date(recordTime).toISOString(),
+      current: reading.current
+    };
+
+    try {
+      await fs.promises.mkdir(stationDir, { recursive: true });
+      await fs.promises.appendFile(
+        path.join(stationDir, `${dayKey(recordTime)}.jsonl`),
+        JSON.stringify(record) + '\n'
+      );
+      lastWriteTime = Date.now();
+      lastError = null;
+      writeCount++;
+    } catch (error) {
+      lastError = error.message;
+      if (logger) {
+        logger.error('Failed to write reading to history', { station: stationId, error: error.message });
+      }
+    }
+  }
+
+  // Read the readings of a station between two times (ms since epoch)
+  async function readRange(stationId, from, to) {
+    const records = [];
+    const stationDir = path.join(directory, stationId);
+
+    // Nothing is kept past the retention period, so don't look for it
+    const firstDay = Math.max(from, Date.now() - (retentionDays + 1) * DAY_MS);
+
+    for (let day = Math.floor(firstDay / DAY_MS) * DAY_MS; day <= to; day += DAY_MS) {
+      let content;
+      try {
+        content = await fs.promises.readFile(path.join(stationDir, `${dayKey(day)}.jsonl`), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          continue;
+        }
+        throw error;
+      }
+
+      content.split('\n').forEach(line => {
+        if (!line) {
+          return;
+        }
+        try {
+          const record = JSON.parse(line);
+          const time = Date.parse(record.timestamp);
+          if (time >= from && time <= to) {
+            records.push({ time, current: record.current || {} });
+          }
+        } catch (error) {
+          // Skip a line cut short by a crash mid-write
+        }
+      });
+    }
+
+    return records.sort((a, b) => a.time - b.time);
+  }
+
+  // Query a time series for one metric, optionally aggregated into buckets
+  async function query({ stationId, metric, from, to, resolution = 'raw' }) {
+    if (!METRICS.includes(metric)) {
+      throw new RangeError(`Unknown metric "${metric}". Available: ${METRICS.join(', ')}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(RESOLUTIONS, resolution)) {
+      throw new RangeError(`Unknown resolution "${resolution}". Available: ${Object.keys(RESOLUTIONS).join(', ')}`);
+    }
+
+    const records = (await readRange(stationId, from, to))
+      .filter(record => typeof record.current[metric] === 'number');
+
+    const bucketSize = RESOLUTIONS[resolution];
+    if (!bucketSize) {
+      return records.map(record => ({
+        timestamp: new Date(record.time).toISOString(),
+        value: record.current[metric]
+      }));
+    }
+
+    const buckets = new Map();
+    records.forEach(record => {
+      const start = Math.floor(record.time / bucketSize) * bucketSize;
+      const value = record.current[metric];
+      const bucket = buckets.get(start);
+      if (bucket) {
+        bucket.min = Math.min(bucket.min, value);
+        bucket.max = Math.max(bucket.max, value);
+        bucket.sum += value;
+        bucket.count++;
+      } else {
+        buckets.set(start, { min: value, max: value, sum: value, count: 1 });
+      }
+    });
+
+    return Array.from(buckets.entries()).map(([start, bucket]) => ({
+      timestamp: new Date(start).toISOString(),
+      min: bucket.min,
+      avg: Math.round((bucket.sum / bucket.count) * 100) / 100,
+      max: bucket.max,
+      count: bucket.count
+    }));
+  }
+
+  // Delete day files that have passed the retention period
+  async function prune() {
+    const cutoff = dayKey(Date.now() - retentionDays * DAY_MS);
+    let stationDirs;
+    try {
+      stationDirs = await fs.promises.readdir(directory);
+    } catch (error) {
+      return;
+    }
+
+    for (const stationId of stationDirs) {
+      const stationDir = path.join(directory, stationId);
+      let files;
+      try {
+        files = await fs.promises.readdir(stationDir);
+      } catch (error) {
+        continue;
+      }
+      for (const file of files) {
+        if (file.endsWith('.jsonl') && file.slice(0, 10) < cutoff) {
+          await fs.promises.unlink(path.join(stationDir, file)).catch(() => {});
+        }
+      }
+    }
+  }
+
+  // Summary of the store for status reporting
+  function status() {
+    return {
+      directory,
+      retentionDays,
+      writeCount,
+      lastWriteTime: lastWriteTime ? new Date(lastWriteTime).toISOString() : null,
+      lastError
+    };
+  }
+
+  return {
+    append,
+    read: readRange,
+    query,
+    prune,
+    status
+  };
+}
+
+module.exports = {
+  RESOLUTIONS,
+  createHistoryStore
+};
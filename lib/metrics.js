@@ -0,0 +1,180 @@
+// Prometheus metrics
+//
+// Served in the Prometheus text format at /metrics:
+//
+//   http_requests_total{method, route, status}
+//   upstream_fetch_duration_seconds{upstream, outcome}   histogram per attempt
+//   upstream_fetch_errors_total{upstream, reason}
+//   cache_requests_total{cache, result}                  result: hit or miss
+//   rate_limited_requests_total{limit}                   requests answered 429
+//   sse_clients, websocket_clients
+//   airquality_*{station}                                latest sensor values
+//   uv_index                                             UV index for this hour
+//
+// Sensor values are read from the server's state when scraped, so stations
+// without a reading (or a metric their sensor lacks) are left out.
+
+const client = require('prom-client');
+
+// Sensor gauges: reading field, metric name and help text
+const SENSOR_GAUGES = [
+  ['aqi', 'airquality_aqi', 'Air quality index of the selected standard'],
+  ['pm1', 'airquality_pm1_micrograms_per_cubic_meter', 'PM1 concentration'],
+  ['pm25', 'airquality_pm25_micrograms_per_cubic_meter', 'PM2.5 concentration'],
+  ['pm10', 'airquality_pm10_micrograms_per_cubic_meter', 'PM10 concentration'],
+  ['co2', 'airquality_co2_ppm', 'CO2 concentration'],
+  ['temperature', 'airquality_temperature_celsius', 'Temperature'],
+  ['humidity', 'airquality_humidity_percent', 'Relative humidity']
+];
+
+// Why an upstream request failed, for the errors counter
+function errorReason(error) {
+  if (error.name === 'CircuitOpenError') {
+    return 'circuit_open';
+  }
+  if (error.name === 'ValidationError') {
+    return 'invalid_reading';
+  }
+  if (error.status) {
+    return 'http';
+  }
+  if (error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+  if (error.type === 'invalid-json') {
+    return 'invalid_response';
+  }
+  return 'network';
+}
+
+// Create the metrics. The options supply the values read at scrape time:
+//   getSseClientCount()        number of connected SSE clients
+//   getWebSocketClientCount()  number of connected WebSocket clients
+//   getReadings()              [{ station, reading }] with the latest readings
+//   getUvIndex()               the current UV index, or null
+function createMetrics(options = {}) {
+  const register = new client.Registry();
+  client.collectDefaultMetrics({ register });
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by route and status',
+    labelNames: ['method', 'route', 'status'],
+    registers: [register]
+  });
+
+  const upstreamDuration = new client.Histogram({
+    name: 'upstream_fetch_duration_seconds',
+    help: 'Time taken by each request to an upstream',
+    labelNames: ['upstream', 'outcome'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register]
+  });
+
+  const upstreamErrors = new client.Counter({
+    name: 'upstream_fetch_errors_total',
+    help: 'Failed upstream fetches by reason',
+    labelNames: ['upstream', 'reason'],
+    registers: [register]
+  });
+
+  const cacheRequests = new client.Counter({
+    name: 'cache_requests_total',
+    help: 'Data cache lookups by result (hit or miss)',
+    labelNames: ['cache', 'result'],
+    registers: [register]
+  });
+
+  const rateLimited = new client.Counter({
+    name: 'rate_limited_requests_total',
+    help: 'Requests turned away by a rate limit (requests or forcedRefreshes)',
+    labelNames: ['limit'],
+    registers: [register]
+  });
+
+  new client.Gauge({
+    name: 'sse_clients',
+    help: 'Connected server-sent events clients',
+    registers: [register],
+    collect() {
+      this.set(options.getSseClientCount ? options.getSseClientCount() : 0);
+    }
+  });
+
+  new client.Gauge({
+    name: 'websocket_clients',
+    help: 'Connected WebSocket clients',
+    registers: [register],
+    collect() {
+      this.set(options.getWebSocketClientCount ? options.getWebSocketClientCount() : 0);
+    }
+  });
+
+  SENSOR_GAUGES.forEach(([field, name, help]) => {
+    new client.Gauge({
+      name,
+      help,
+      labelNames: ['station'],
+      registers: [register],
+      collect() {
+        this.reset();
+        (options.getReadings ? options.getReadings() : []).forEach(({ station, reading }) => {
+          const value = field === 'aqi' ? reading.aqi?.value : reading.current?.[field];
+          if (typeof value === 'number') {
+            this.set({ station }, value);
+          }
+        });
+      }
+    });
+  });
+
+  new client.Gauge({
+    name: 'uv_index',
+    help: 'UV index for the current hour',
+    registers: [register],
+    collect() {
+      this.reset();
+      const value = options.getUvIndex ? options.getUvIndex() : null;
+      if (typeof value === 'number') {
+        this.set(value);
+      }
+    }
+  });
+
+  // Express middleware counting requests once they're answered. Routes are
+  // labelled by their pattern so ids in URLs don't each get a series.
+  function httpMiddleware(req, res, next) {
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : (res.statusCode === 404 ? 'unmatched' : 'static');
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  }
+
+  // Time a request to an upstream; resolves or rejects like the request
+  async function timeUpstreamFetch(upstream, request) {
+    const end = upstreamDuration.startTimer({ upstream });
+    try {
+      const result = await request();
+      end({ outcome: 'success' });
+      return result;
+    } catch (error) {
+      end({ outcome: 'error' });
+      throw error;
+    }
+  }
+
+  return {
+    register,
+    httpMiddleware,
+    timeUpstreamFetch,
+    recordUpstreamError: (upstream, error) => upstreamErrors.inc({ upstream, reason: errorReason(error) }),
+    recordCacheHit: cache => cacheRequests.inc({ cache, result: 'hit' }),
+    recordCacheMiss: cache => cacheRequests.inc({ cache, result: 'miss' }),
+    recordRateLimited: limit => rateLimited.inc({ limit })
+  };
+}
+
+module.exports = {
+  createMetrics
+};
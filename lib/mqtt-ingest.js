@@ -0,0 +1,151 @@
+// MQTT ingest for sensors that push their readings
+//
+// Subscribes to the topics of every station with "source": "mqtt" and keeps
+// the latest message on each. Sensors such as ESPHome publish each metric
+// on its own topic in quick succession, so messages are gathered for a
+// moment before the station's payload ({ messages, receivedAt }, see
+// lib/adapters/mqtt.js) is handed to onPayload to be processed like a polled
+// reading.
+//
+// Topics may be filters with the MQTT wildcards "+" (one level) and "#"
+// (the rest of the topic). Messages are kept under the topic as configured,
+// so with a wildcard the latest message on any matching topic counts.
+
+const mqtt = require('mqtt');
+
+const DEFAULT_SETTLE_MS = 1000;
+
+// Whether a topic filter is valid: "+" and "#" take a whole level, and "#"
+// can only be the last one
+function isValidTopicFilter(filter) {
+  if (typeof filter !== 'string' || filter === '') {
+    return false;
+  }
+  const levels = filter.split('/');
+  return levels.every((level, index) =>
+    (level === '#' && index === levels.length - 1) || level === '+' || !/[+#]/.test(level));
+}
+
+// Whether a topic matches a filter. Wildcards at the start don't match
+// topics starting with "$", such as $SYS.
+function topicMatches(filter, topic) {
+  const filterLevels = filter.split('/');
+  const topicLevels = topic.split('/');
+  if (/^[+#]$/.test(filterLevels[0]) && topic.startsWith('$')) {
+    return false;
+  }
+  for (let i = 0; i < filterLevels.length; i++) {
+    if (filterLevels[i] === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length || (filterLevels[i] !== '+' && filterLevels[i] !== topicLevels[i])) {
+      return false;
+    }
+  }
+  return filterLevels.length === topicLevels.length;
+}
+
+// Create the ingest from the "mqtt" config section (url, username,
+// password, clientId) and the MQTT stations.
+// options: { onPayload(station, payload), logger, connect, settleMs }
+function createMqttIngest(config, stations, options = {}) {
+  const { onPayload, logger, connect = mqtt.connect } = options;
+  const settleMs = options.settleMs !== undefined ? options.settleMs :
+    (config.settleMs !== undefined ? config.settleMs : DEFAULT_SETTLE_MS);
+
+  // Which stations listen to each topic, and what each station has received
+  const topicStations = new Map();
+  const stationMessages = new Map();
+  let lastMessageTime = null;
+  let messageCount = 0;
+  let lastError = null;
+
+  stations.forEach(station => {
+    const topics = Object.keys((station.adapterOptions && station.adapterOptions.topics) || {});
+    if (topics.length === 0) {
+      throw new Error(`Station "${station.id}" has source "mqtt" but no adapterOptions.topics`);
+    }
+    topics.forEach(topic => {
+      topicStations.set(topic, (topicStations.get(topic) || []).concat(station));
+    });
+    stationMessages.set(station.id, { messages: {}, receivedAt: null, timer: null });
+  });
+
+  const client = connect(config.url, {
+    username: config.username,
+    password: config.password,
+    clientId: `${config.clientId || 'airquality-dashboard'}-ingest-${Math.random().toString(16).slice(2, 10)}`,
+    reconnectPeriod: (config.reconnectPeriodSec || 5) * 1000
+  });
+
+  client.on('connect', () => {
+    if (logger) {
+      logger.info('Subscribing to MQTT sensor topics', { url: config.url, topics: topicStations.size });
+    }
+    lastError = null;
+    client.subscribe(Array.from(topicStations.keys()), { qos: 0 }, error => {
+      if (error) {
+        lastError = error.message;
+        if (logger) {
+          logger.error('Failed to subscribe to MQTT sensor topics', { error: error.message });
+        }
+      }
+    });
+  });
+
+  client.on('message', (topic, message) => {
+    const filters = Array.from(topicStations.keys()).filter(filter => topicMatches(filter, topic));
+    if (filters.length === 0) {
+      return;
+    }
+    lastMessageTime = Date.now();
+    messageCount++;
+
+    filters.forEach(filter => topicStations.get(filter).forEach(station => {
+      const state = stationMessages.get(station.id);
+      state.messages[filter] = message.toString();
+      state.receivedAt = lastMessageTime;
+
+      // Wait for the rest of a burst before processing
+      clearTimeout(state.timer);
+      state.timer = setTimeout(() => {
+        state.timer = null;
+        onPayload(station, { messages: { ...state.messages }, receivedAt: state.receivedAt });
+      }, settleMs);
+    }));
+  });
+
+  client.on('error', error => {
+    lastError = error.message;
+    if (logger) {
+      logger.error('MQTT ingest error', { error: error.message });
+    }
+  });
+
+  function close() {
+    stationMessages.forEach(state => clearTimeout(state.timer));
+    return new Promise(resolve => client.end(false, {}, resolve));
+  }
+
+  function status() {
+    return {
+      url: config.url,
+      connected: client.connected,
+      topics: topicStations.size,
+      messageCount,
+      lastMessageAt: lastMessageTime ? new Date(lastMessageTime).toISOString() : null,
+      lastError
+    };
+  }
+
+  return {
+    close,
+    status
+  };
+}
+
+module.exports = {
+  isValidTopicFilter,
+  topicMatches,
+  createMqttIngest
+};
@@ -0,0 +1,259 @@
+// MQTT publisher for live readings
+//
+// Publishes every reading to an MQTT broker, retained, so home automation
+// can use the sensors without polling the API:
+//
+//   <baseTopic>/status                 "online", or "offline" (last will)
+//   <baseTopic>/<station>/state        JSON with all the metrics below
+//   <baseTopic>/<station>/<metric>     each metric on its own: aqi, pm1, pm25,
+//                                      pm10, particles, co2, temperature,
+//                                      humidity, pressure
+//   <baseTopic>/uv/state               JSON { uv, timestamp }
+//   <baseTopic>/uv/uv                  the UV index for the current hour
+//
+// With Home Assistant discovery on, a sensor config is published under
+// <discoveryPrefix>/sensor/... for each metric a station has reported, and
+// again whenever the connection is (re)established, so the sensors show up
+// in Home Assistant by themselves.
+
+const mqtt = require('mqtt');
+
+const DEFAULT_BASE_TOPIC = 'airquality';
+const DEFAULT_DISCOVERY_PREFIX = 'homeassistant';
+
+// Home Assistant sensor settings for each published metric
+const SENSORS = {
+  aqi: { name: 'AQI', deviceClass: 'aqi' },
+  pm1: { name: 'PM1', deviceClass: 'pm1', unit: 'µg/m³' },
+  pm25: { name: 'PM2.5', deviceClass: 'pm25', unit: 'µg/m³' },
+  pm10: { name: 'PM10', deviceClass: 'pm10', unit: 'µg/m³' },
+  particles: { name: 'Particles', unit: 'p/L', icon: 'mdi:blur' },
+  co2: { name: 'CO2', deviceClass: 'carbon_dioxide', unit: 'ppm' },
+  temperature: { name: 'Temperature', deviceClass: 'temperature', unit: '°C' },
+  humidity: { name: 'Humidity', deviceClass: 'humidity', unit: '%' },
+  pressure: { name: 'Pressure', deviceClass: 'atmospheric_pressure', unit: 'hPa' }
+};
+
+// Topics may only contain these characters in the parts we generate
+function topicPart(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+// The flat state published for a reading
+function readingState(reading) {
+  const current = reading.current || {};
+  const state = { timestamp: reading.timestamp };
+  Object.keys(SENSORS).forEach(metric => {
+    state[metric] = metric === 'aqi' && reading.aqi ? reading.aqi.value : current[metric];
+  });
+  state.aqiCategory = reading.aqi && reading.aqi.band ? reading.aqi.band.label : null;
+  return state;
+}
+
+// Create a publisher from the "mqtt" config section:
+//   url, username, password, clientId, baseTopic, qos,
+//   discovery: { enabled, prefix }
+// options.connect replaces mqtt.connect, e.g. to use an in-process broker.
+function createMqttPublisher(config, options = {}) {
+  const { logger, connect = mqtt.connect } = options;
+  const baseTopic = config.baseTopic || DEFAULT_BASE_TOPIC;
+  const qos = config.qos || 0;
+  const discovery = config.discovery || {};
+  const discoveryEnabled = discovery.enabled !== false;
+  const discoveryPrefix = discovery.prefix || DEFAULT_DISCOVERY_PREFIX;
+  const availabilityTopic = `${baseTopic}/status`;
+
+  // Stations with the metrics announced for each, and the last state of
+  // each topic to republish after reconnecting
+  const stations = new Map();
+  const lastPublished = new Map();
+  let publishedCount = 0;
+  let lastError = null;
+
+  const client = connect(config.url, {
+    username: config.username,
+    password: config.password,
+    clientId: config.clientId || `airquality-dashboard-${Math.random().toString(16).slice(2, 10)}`,
+    reconnectPeriod: (config.reconnectPeriodSec || 5) * 1000,
+    will: { topic: availabilityTopic, payload: 'offline', qos: 1, retain: true }
+  });
+
+  function publish(topic, payload, publishOptions = {}) {
+    const message = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    lastPublished.set(topic, message);
+    if (!client.connected) {
+      return;
+    }
+    client.publish(topic, message, { qos, retain: true, ...publishOptions }, error => {
+      if (error) {
+        lastError = error.message;
+        if (logger) {
+          logger.error('Failed to publish to MQTT', { topic, error: error.message });
+        }
+      } else {
+        publishedCount++;
+      }
+    });
+  }
+
+  // Home Assistant device for a station
+  function deviceFor(station) {
+    return {
+      identifiers: [`airquality_${topicPart(station.id)}`],
+      name: station.name || `Air quality ${station.id}`,
+      model: station.adapter,
+      manufacturer: 'Air Quality Dashboard'
+    };
+  }
+
+  function publishDiscovery(station, metrics) {
+    const stationId = topicPart(station.id);
+    metrics.forEach(metric => {
+      const sensor = SENSORS[metric];
+      publish(`${discoveryPrefix}/sensor/airquality_${stationId}/${metric}/config`, {
+        name: sensor.name,
+        unique_id: `airquality_${stationId}_${metric}`,
+        object_id: `airquality_${stationId}_${metric}`,
+        state_topic: `${baseTopic}/${stationId}/state`,
+        value_template: `{{ value_json.${metric} }}`,
+        ...(sensor.unit ? { unit_of_measurement: sensor.unit } : {}),
+        ...(sensor.deviceClass ? { device_class: sensor.deviceClass } : {}),
+        ...(sensor.icon ? { icon: sensor.icon } : {}),
+        state_class: 'measurement',
+        availability_topic: availabilityTopic,
+        device: deviceFor(station)
+      });
+    });
+  }
+
+  function publishUvDiscovery() {
+    publish(`${discoveryPrefix}/sensor/airquality_uv/uv/config`, {
+      name: 'UV index',
+      unique_id: 'airquality_uv_index',
+      object_id: 'airquality_uv_index',
+      state_topic: `${baseTopic}/uv/state`,
+      value_template: '{{ value_json.uv }}',
+      unit_of_measurement: 'UV index',
+      icon: 'mdi:weather-sunny-alert',
+      state_class: 'measurement',
+      availability_topic: availabilityTopic,
+      device: {
+        identifiers: ['airquality_uv'],
+        name: 'UV index',
+        manufacturer: 'Air Quality Dashboard'
+      }
+    });
+  }
+
+  client.on('connect', () => {
+    if (logger) {
+      logger.info('Connected to MQTT broker', { url: config.url });
+    }
+    lastError = null;
+
+    // Announce the sensors and bring the retained state up to date
+    const pending = new Map(lastPublished);
+    publish(availabilityTopic, 'online', { qos: 1 });
+    if (discoveryEnabled) {
+      stations.forEach(({ station, metrics }) => publishDiscovery(station, metrics));
+      publishUvDiscovery();
+    }
+    pending.forEach((message, topic) => {
+      if (topic !== availabilityTopic && !topic.startsWith(`${discoveryPrefix}/`)) {
+        publish(topic, message);
+      }
+    });
+  });
+
+  client.on('error', error => {
+    lastError = error.message;
+    if (logger) {
+      logger.error('MQTT error', { error: error.message });
+    }
+  });
+
+  client.on('offline', () => {
+    if (logger) {
+      logger.warn('MQTT broker unreachable, will reconnect', { url: config.url });
+    }
+  });
+
+  // Register a station, announcing its AQI sensor to Home Assistant (the
+  // others follow as the station reports them)
+  function addStation(station) {
+    if (!stations.has(station.id)) {
+      stations.set(station.id, { station, metrics: new Set(['aqi']) });
+      if (discoveryEnabled) {
+        publishDiscovery(station, ['aqi']);
+      }
+    }
+  }
+
+  // Publish a station's reading to its state topic and metric topics
+  function publishReading(station, reading) {
+    addStation(station);
+    const stationTopic = `${baseTopic}/${topicPart(station.id)}`;
+    const state = readingState(reading);
+    const announced = stations.get(station.id).metrics;
+    const newMetrics = [];
+
+    publish(`${stationTopic}/state`, state);
+    Object.keys(SENSORS).forEach(metric => {
+      if (state[metric] !== null && state[metric] !== undefined) {
+        publish(`${stationTopic}/${metric}`, String(state[metric]));
+        if (!announced.has(metric)) {
+          announced.add(metric);
+          newMetrics.push(metric);
+        }
+      }
+    });
+
+    if (discoveryEnabled && newMetrics.length > 0) {
+      publishDiscovery(station, newMetrics);
+    }
+  }
+
+  // Publish the UV index for the current hour
+  function publishUvIndex(uv) {
+    if (typeof uv !== 'number') {
+      return;
+    }
+    publish(`${baseTopic}/uv/state`, { uv, timestamp: new Date().toISOString() });
+    publish(`${baseTopic}/uv/uv`, String(uv));
+  }
+
+  // Go offline cleanly, publishing the same status as the last will
+  function close() {
+    return new Promise(resolve => {
+      if (!client.connected) {
+        client.end(true, {}, resolve);
+        return;
+      }
+      client.publish(availabilityTopic, 'offline', { qos: 1, retain: true }, () => {
+        client.end(false, {}, resolve);
+      });
+    });
+  }
+
+  function status() {
+    return {
+      url: config.url,
+      connected: client.connected,
+      publishedCount,
+      lastError
+    };
+  }
+
+  return {
+    addStation,
+    publishReading,
+    publishUvIndex,
+    close,
+    status
+  };
+}
+
+module.exports = {
+  SENSORS,
+  createMqttPublisher
+};
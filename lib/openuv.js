@@ -0,0 +1,174 @@
+// OpenUV client
+//
+// Requests the UV index for the configured location from OpenUV
+// (https://www.openuv.io), with the API key in the x-access-token header:
+//
+//   GET <url>/forecast?lat=..&lng=..&alt=..&dt=..   the day's hourly forecast
+//   GET <url>/uv?lat=..&lng=..&alt=..&dt=..         the UV index now
+//
+// uvApi.endpoint picks one ("forecast" by default), and uvApi.url may be
+// either the API's base URL or one of the endpoints. Both come back in the
+// dashboard's { result: [{ uv, uv_time }] } shape.
+//
+// OpenUV allows a number of requests a day (50 on the free plan), counted
+// from midnight UTC. Requests are counted against uvApi.dailyQuota in a file,
+// so the count carries on after a restart, and refused once it's used up,
+// as they are for the rest of the day once OpenUV answers 403 with a quota
+// error. A 403 for a wrong API key is only an error, so requests start
+// working again as soon as the key is fixed.
+
+const fs = require('fs');
+const path = require('path');
+
+const OPENUV_ENDPOINTS = ['forecast', 'uv'];
+const ENDPOINT_PATTERN = /\/(forecast|uv)\/?$/;
+// How OpenUV's 403 for a used-up quota differs from one for a wrong API key
+// ("User with API Key not found")
+const QUOTA_ERROR_PATTERN = /quota|limit/i;
+
+// Not retried (see isRetryable in lib/upstream.js): the quota is used up
+// until midnight UTC
+class QuotaExceededError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuotaExceededError';
+    this.retryable = false;
+  }
+}
+
+function utcDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// The request for a location at a moment: { url, headers }
+function buildRequest(uvApi, location, time = Date.now()) {
+  if (!location || typeof location.latitude !== 'number' || typeof location.longitude !== 'number') {
+    throw new Error('OpenUV needs location.latitude and location.longitude');
+  }
+  const base = uvApi.url.replace(ENDPOINT_PATTERN, '').replace(/\/$/, '');
+  const url = new URL(`${base}/${uvApi.endpoint || 'forecast'}`);
+  url.searchParams.set('lat', location.latitude);
+  url.searchParams.set('lng', location.longitude);
+  if (typeof location.altitude === 'number') {
+    url.searchParams.set('alt', location.altitude);
+  }
+  url.searchParams.set('dt', new Date(time).toISOString());
+  return { url: url.toString(), headers: { 'x-access-token': uvApi.apiKey } };
+}
+
+// The message of an OpenUV error response ({ "error": "..." }), or the body
+function errorMessage(body) {
+  try {
+    const { error } = JSON.parse(body);
+    return typeof error === 'string' ? error : body;
+  } catch (error) {
+    return body || '';
+  }
+}
+
+// OpenUV's answer in the dashboard's shape. The forecast already is; the
+// current UV index is one entry.
+function toForecast(data) {
+  if (data && Array.isArray(data.result)) {
+    return { result: data.result.map(({ uv, uv_time }) => ({ uv, uv_time })) };
+  }
+  if (data && data.result && typeof data.result.uv === 'number') {
+    return { result: [{ uv: data.result.uv, uv_time: data.result.uv_time }] };
+  }
+  throw new Error('Unexpected response from OpenUV');
+}
+
+// Create the client. options: { file, logger }, with the file keeping the
+// day's request count
+function createOpenUvClient(options = {}) {
+  const { file, logger } = options;
+  let usage = load();
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      return { date: utcDate(Date.now()), used: 0, exhausted: false };
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(usage));
+    } catch (error) {
+      if (logger) {
+        logger.error('Failed to save the OpenUV quota use', { file, error: error.message });
+      }
+    }
+  }
+
+  // Today's use, starting afresh at midnight UTC
+  function today() {
+    const date = utcDate(Date.now());
+    if (usage.date !== date) {
+      usage = { date, used: 0, exhausted: false };
+    }
+    return usage;
+  }
+
+  // Requests left today
+  function remaining(dailyQuota) {
+    const { used, exhausted } = today();
+    return exhausted ? 0 : Math.max(0, dailyQuota - used);
+  }
+
+  // Count a request against the quota, or refuse it once it's used up
+  function countRequest(dailyQuota) {
+    if (remaining(dailyQuota) === 0) {
+      throw new QuotaExceededError(`OpenUV daily quota of ${dailyQuota} requests used up until midnight UTC`);
+    }
+    today().used += 1;
+    save();
+  }
+
+  // Fetch the UV index for a location with fetchJson(url, { headers },
+  // beforeAttempt), which calls beforeAttempt() before each request it
+  // sends (retries included) so each is counted against the quota
+  async function fetchForecast(uvApi, location, fetchJson) {
+    if (remaining(uvApi.dailyQuota) === 0) {
+      throw new QuotaExceededError(`OpenUV daily quota of ${uvApi.dailyQuota} requests used up until midnight UTC`);
+    }
+    const { url, headers } = buildRequest(uvApi, location);
+
+    try {
+      return toForecast(await fetchJson(url, { headers }, () => countRequest(uvApi.dailyQuota)));
+    } catch (error) {
+      if (error.status !== 403) {
+        throw error;
+      }
+      const message = errorMessage(error.body);
+      if (!QUOTA_ERROR_PATTERN.test(message)) {
+        const authError = new Error(`OpenUV refused the request, check uvApi.apiKey: ${message || 'HTTP 403'}`);
+        authError.status = 403;
+        throw authError;
+      }
+      today().exhausted = true;
+      save();
+      throw new QuotaExceededError(`OpenUV refused the request; its daily quota is used up until midnight UTC (${message})`);
+    }
+  }
+
+  function status(dailyQuota) {
+    const { date, used, exhausted } = today();
+    return { date, used, dailyQuota, remaining: remaining(dailyQuota), exhausted };
+  }
+
+  return {
+    remaining,
+    fetchForecast,
+    status
+  };
+}
+
+module.exports = {
+  OPENUV_ENDPOINTS,
+  QuotaExceededError,
+  buildRequest,
+  createOpenUvClient
+};
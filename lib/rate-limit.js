@@ -0,0 +1,143 @@
+// Rate limiting of API requests
+//
+// Each client has a token bucket per limit: it holds up to `burst` requests
+// and refills at `perMinute`. Clients are told apart by their API token
+// (see lib/auth.js), or otherwise by their IP address. There are two
+// limits, read from the "rateLimit" section of the current config:
+//
+//   requests          every /api request (tokenRequests for API tokens)
+//   forcedRefreshes   requests with force=1, which skip the cache and go to
+//                     the sensor or the UV API, so are much stricter
+//
+// The health check, status and event stream aren't limited: every dashboard
+// polls the first two, and dashboards behind one address (a NAT or an
+// untrusted proxy) would soon use up a bucket between them and show the
+// server as down.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset
+// (seconds until the bucket is full again) for the limit that applies, and
+// requests over it get a 429 with Retry-After.
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+const EXEMPT_PATHS = ['/api/health', '/api/status', '/api/events'];
+
+// The client's IP address: req.ip, which Express only takes from
+// X-Forwarded-For behind a trusted proxy (see "trust proxy" in server.js)
+function clientIp(req) {
+  return req.ip || req.socket.remoteAddress || 'unknown';
+}
+
+// Create the rate limiter from the "rateLimit" section of the current config
+// (read on each request, so changes apply straight away).
+// options: { onThrottle(limit, client, retryAfterSec) }
+function createRateLimiter(getConfig, options = {}) {
+  const { onThrottle } = options;
+  const buckets = new Map();
+  const throttled = { requests: 0, forcedRefreshes: 0 };
+
+  // A client's bucket for a limit, refilled up to now
+  function refill(name, client, { burst, perMinute }, now) {
+    const key = `${name}:${client}`;
+    const refillPerMs = perMinute / 60000;
+    const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    bucket.fullAt = now + (burst - bucket.tokens) / refillPerMs;
+    buckets.set(key, bucket);
+    return { name, bucket, burst, refillPerMs };
+  }
+
+  // Take a request from a bucket
+  function take({ bucket, refillPerMs }) {
+    bucket.tokens -= 1;
+    bucket.fullAt += 1 / refillPerMs;
+  }
+
+  // What the response headers say about a bucket
+  function describe({ bucket, burst, refillPerMs }, now) {
+    return {
+      limit: burst,
+      remaining: Math.floor(bucket.tokens),
+      resetSec: Math.ceil((bucket.fullAt - now) / 1000),
+      retryAfterSec: Math.ceil(Math.max(0, 1 - bucket.tokens) / refillPerMs / 1000)
+    };
+  }
+
+  // Who a request counts against
+  function clientOf(req) {
+    if (req.access && req.access.via === 'token') {
+      return `token:${req.access.name}`;
+    }
+    return `ip:${clientIp(req)}`;
+  }
+
+  function middleware(req, res, next) {
+    const config = getConfig() || {};
+    if (!config.enabled || EXEMPT_PATHS.includes(`${req.baseUrl || ''}${req.path}`)) {
+      return next();
+    }
+
+    const client = clientOf(req);
+    const limits = [['requests', client.startsWith('token:') ? config.tokenRequests : config.requests]];
+    if (req.query.force === '1') {
+      limits.push(['forcedRefreshes', config.forcedRefreshes]);
+    }
+
+    // Check every bucket before taking from any, so a throttled forced
+    // refresh doesn't also use up a request
+    const now = Date.now();
+    const checked = limits.map(([name, limit]) => refill(name, client, limit, now));
+    const empty = checked.find(entry => entry.bucket.tokens < 1);
+    if (!empty) {
+      checked.forEach(take);
+    }
+
+    const result = describe(empty || checked[checked.length - 1], now);
+    res.set({
+      'RateLimit-Limit': String(result.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(result.resetSec)
+    });
+    if (!empty) {
+      return next();
+    }
+    throttled[empty.name] += 1;
+    if (onThrottle) {
+      onThrottle(empty.name, client, result.retryAfterSec);
+    }
+    res.set('Retry-After', String(result.retryAfterSec));
+    res.status(429).json({ error: `Too many requests, try again in ${result.retryAfterSec} seconds` });
+  }
+
+  // Forget buckets that have filled up again, which behave like new ones
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      if (bucket.fullAt <= now) {
+        buckets.delete(key);
+      }
+    });
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  function status() {
+    const config = getConfig() || {};
+    return {
+      enabled: Boolean(config.enabled),
+      throttled: { ...throttled },
+      trackedClients: new Set([...buckets.keys()].map(key => key.slice(key.indexOf(':') + 1))).size
+    };
+  }
+
+  return {
+    middleware,
+    status,
+    close: () => clearInterval(pruneTimer)
+  };
+}
+
+module.exports = {
+  EXEMPT_PATHS,
+  clientIp,
+  createRateLimiter
+};
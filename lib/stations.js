@@ -0,0 +1,124 @@
+// Air quality stations
+//
+// A server can poll several sensors. Each one is configured as an entry in
+// the "stations" array of config.json:
+//
+//   {
+//     "id": "office",                  // used in URLs, letters/digits/-/_ only
+//     "name": "Office",                // shown in the dashboard header
+//     "url": "http://192.168.1.50/json",
+//     "adapter": "purpleair",          // see lib/adapters
+//     "adapterOptions": {},
+//     "location": { ... },             // defaults to the top-level location
+//     "pollingIntervalSec": 20,        // defaults to the top-level setting
+//     "aqiSource": "nowcast"           // defaults to the top-level setting
+//   }
+//
+// Sensors that push their readings over MQTT instead have "source": "mqtt"
+// and no url; their topics are set in adapterOptions (see lib/adapters/mqtt.js).
+//
+// Older configs with a single externalApiUrl become a one-station setup
+// with the id "default".
+
+const { DEFAULT_ADAPTER } = require('./adapters');
+const { AQI_SOURCES } = require('./aqi');
+const { isValidTopicFilter } = require('./mqtt-ingest');
+
+const DEFAULT_STATION_ID = 'default';
+const SOURCES = ['http', 'mqtt'];
+const STATION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Build the list of stations from the server config
+function loadStations(serverConfig) {
+  let entries;
+  if (Array.isArray(serverConfig.stations) && serverConfig.stations.length > 0) {
+    entries = serverConfig.stations;
+  } else if (serverConfig.externalApiUrl) {
+    entries = [{
+      id: DEFAULT_STATION_ID,
+      name: serverConfig.stationName,
+      url: serverConfig.externalApiUrl,
+      adapter: serverConfig.adapter,
+      adapterOptions: serverConfig.adapterOptions
+    }];
+  } else {
+    return [];
+  }
+
+  const seen = new Set();
+  return entries.map((entry, index) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`stations[${index}] must be an object`);
+    }
+    if (!entry.id || !STATION_ID_PATTERN.test(entry.id)) {
+      throw new Error(`stations[${index}].id must be set and contain only letters, digits, "-" or "_"`);
+    }
+    if (seen.has(entry.id)) {
+      throw new Error(`stations[${index}].id "${entry.id}" is used more than once`);
+    }
+    const source = entry.source || 'http';
+    if (!SOURCES.includes(source)) {
+      throw new Error(`stations[${index}].source must be one of: ${SOURCES.join(', ')}`);
+    }
+    if (source === 'http' && !entry.url) {
+      throw new Error(`stations[${index}].url is required`);
+    }
+    if (source === 'mqtt') {
+      const topics = Object.keys((entry.adapterOptions && entry.adapterOptions.topics) || {});
+      if (topics.length === 0) {
+        throw new Error(`stations[${index}] has source "mqtt" but no adapterOptions.topics`);
+      }
+      const invalid = topics.find(topic => !isValidTopicFilter(topic));
+      if (invalid !== undefined) {
+        throw new Error(`stations[${index}].adapterOptions.topics has "${invalid}", which isn't a valid MQTT topic ("+" and "#" must be a whole level, and "#" the last one)`);
+      }
+    }
+    if (entry.aqiSource && !AQI_SOURCES.includes(entry.aqiSource)) {
+      throw new Error(`stations[${index}].aqiSource must be one of: ${AQI_SOURCES.join(', ')}`);
+    }
+    seen.add(entry.id);
+
+    return {
+      id: entry.id,
+      name: entry.name || null,
+      source,
+      url: source === 'http' ? normalizeApiUrl(entry.url) : null,
+      adapter: entry.adapter || (source === 'mqtt' ? 'mqtt' : DEFAULT_ADAPTER),
+      adapterOptions: entry.adapterOptions || {},
+      location: entry.location || serverConfig.location || null,
+      pollingIntervalSec: entry.pollingIntervalSec || serverConfig.pollingIntervalSec,
+      aqiSource: entry.aqiSource || null
+    };
+  });
+}
+
+// Ensure an API URL has a protocol. Local network addresses default to
+// http, everything else to https.
+function normalizeApiUrl(apiUrl) {
+  if (!apiUrl || apiUrl.startsWith('http://') || apiUrl.startsWith('https://')) {
+    return apiUrl;
+  }
+  if (apiUrl.includes('192.168.') || apiUrl.includes('127.0.0.1') || apiUrl.includes('localhost')) {
+    return 'http://' + apiUrl;
+  }
+  return 'https://' + apiUrl;
+}
+
+// Public description of a station, without its upstream URL
+function describeStation(station) {
+  return {
+    id: station.id,
+    name: station.name,
+    source: station.source,
+    adapter: station.adapter,
+    location: station.location,
+    pollingIntervalSec: station.pollingIntervalSec
+  };
+}
+
+module.exports = {
+  DEFAULT_STATION_ID,
+  loadStations,
+  normalizeApiUrl,
+  describeStation
+};
@@ -0,0 +1,98 @@
+// Time zone helpers for things scheduled by local time
+//
+// Time zones are IANA names ("Asia/Dubai"). The "UTC+4" style used for
+// location.timeZone.name in older configs is accepted for whole hours.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const UTC_OFFSET_PATTERN = /^(?:UTC|GMT)\s*(?:([+-])\s*(\d{1,2}))?$/i;
+
+// Turn a configured time zone into an IANA name, or throw if it isn't one
+function resolveTimeZone(value) {
+  if (!value) {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone;
+  }
+  const offset = String(value).trim().match(UTC_OFFSET_PATTERN);
+  // Etc/GMT names have the sign reversed: UTC+4 is Etc/GMT-4
+  const timeZone = offset ?
+    (offset[2] && Number(offset[2]) !== 0 ? `Etc/GMT${offset[1] === '+' ? '-' : '+'}${Number(offset[2])}` : 'UTC') :
+    value;
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown time zone "${value}"; use an IANA name such as "Asia/Dubai"`);
+  }
+  return timeZone;
+}
+
+// The local date and time of a moment in a time zone
+function zonedParts(time, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(time)).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+  return parts;
+}
+
+// The moment a local date and time happens in a time zone (ms since epoch).
+// The offset is looked up twice to get it right on daylight saving days.
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const local = Date.UTC(year, month - 1, day, hour, minute);
+  let time = local;
+  for (let i = 0; i < 2; i++) {
+    const parts = zonedParts(time, timeZone);
+    const offset = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - time;
+    time = local - offset;
+  }
+  return time;
+}
+
+// Start and end of the local day a number of days from the one containing
+// `time` (-1 for yesterday), as { from, to, date } with date as YYYY-MM-DD
+function localDay(time, timeZone, daysFromToday = 0) {
+  const today = zonedParts(time, timeZone);
+  const noon = new Date(Date.UTC(today.year, today.month - 1, today.day, 12) + daysFromToday * DAY_MS);
+  const date = { year: noon.getUTCFullYear(), month: noon.getUTCMonth() + 1, day: noon.getUTCDate() };
+  const next = new Date(noon.getTime() + DAY_MS);
+  return {
+    date: noon.toISOString().slice(0, 10),
+    from: zonedTimeToUtc(date, timeZone),
+    to: zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone) - 1
+  };
+}
+
+// The next moment after `time` that the local clock shows HH:MM
+function nextLocalTime(clock, timeZone, time = Date.now()) {
+  const [hour, minute] = clock.split(':').map(Number);
+  for (let days = 0; days <= 2; days++) {
+    const { date } = localDay(time, timeZone, days);
+    const [year, month, day] = date.split('-').map(Number);
+    const candidate = zonedTimeToUtc({ year, month, day, hour, minute }, timeZone);
+    if (candidate > time) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+// Format a moment as HH:MM local time
+function formatLocalTime(time, timeZone) {
+  return new Date(time).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone });
+}
+
+module.exports = {
+  resolveTimeZone,
+  zonedParts,
+  zonedTimeToUtc,
+  localDay,
+  nextLocalTime,
+  formatLocalTime
+};
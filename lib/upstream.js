@@ -0,0 +1,227 @@
+// Resilient upstream requests
+//
+// Requests to sensors and other upstream APIs are retried with jittered
+// exponential backoff, and each upstream has a circuit breaker:
+//
+//   closed     requests go through; after failureThreshold failed requests
+//              in a row the breaker opens
+//   open       requests fail straight away with a CircuitOpenError until the
+//              reset timeout has passed, so an unreachable sensor isn't
+//              hammered on every poll
+//   half-open  one trial request goes through; success closes the breaker,
+//              failure opens it again with double the reset timeout (up to
+//              maxResetTimeoutSec)
+
+const DEFAULT_OPTIONS = {
+  timeoutSec: 10,
+  retries: 2,
+  retryDelayMs: 1000,
+  maxRetryDelayMs: 10000,
+  failureThreshold: 3,
+  resetTimeoutSec: 30,
+  maxResetTimeoutSec: 600
+};
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half-open';
+
+class CircuitOpenError extends Error {
+  constructor(message, nextAttemptAt) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.nextAttemptAt = nextAttemptAt;
+  }
+}
+
+// Merge upstream settings from the config with the defaults
+function resolveUpstreamOptions(options = {}) {
+  const resolved = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    const value = options[key];
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+      throw new Error(`upstream.${key} must be a non-negative number`);
+    }
+    resolved[key] = value;
+  });
+  resolved.failureThreshold = Math.max(1, Math.round(resolved.failureThreshold));
+  return resolved;
+}
+
+// Delay before retry number `attempt` (0-based): a random time up to the
+// exponentially growing cap ("full jitter"), so clients don't retry in step
+function backoffDelay(attempt, baseMs, maxMs) {
+  return Math.round(Math.random() * Math.min(maxMs, baseMs * Math.pow(2, attempt)));
+}
+
+// Errors worth retrying: network failures, timeouts, 5xx and 429 responses.
+// Other HTTP errors won't go away by asking again, and neither will errors
+// marked with retryable: false (such as a used-up quota).
+function isRetryable(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+  return !error.status || error.status >= 500 || error.status === 429;
+}
+
+// Run an operation, retrying retryable failures with backoff.
+// onRetry(error, attempt, delayMs) is called before each retry.
+async function withRetry(operation, options = {}, onRetry) {
+  const { retries, retryDelayMs, maxRetryDelayMs } = { ...DEFAULT_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, retryDelayMs, maxRetryDelayMs);
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Reject with an error if a promise doesn't settle in time, without leaving
+// the timer running once it does
+async function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeoutPromise = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Request timed out after ${timeoutMs / 1000} seconds`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([promise, timeoutPromise]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Circuit breaker for one upstream.
+// onStateChange(state, status) is called whenever the state changes.
+function createCircuitBreaker(name, options = {}, onStateChange) {
+  const { failureThreshold, resetTimeoutSec, maxResetTimeoutSec } = { ...DEFAULT_OPTIONS, ...options };
+
+  let state = CLOSED;
+  let consecutiveFailures = 0;
+  let totalFailures = 0;
+  let opens = 0;
+  let lastError = null;
+  let lastFailureAt = null;
+  let lastSuccessAt = null;
+  let unreachableSince = null;
+  let nextAttemptAt = null;
+  let trialInProgress = false;
+
+  function setState(newState) {
+    if (newState !== state) {
+      state = newState;
+      if (onStateChange) {
+        onStateChange(state, status());
+      }
+    }
+  }
+
+  function open() {
+    opens++;
+    const resetMs = Math.min(resetTimeoutSec * Math.pow(2, opens - 1), maxResetTimeoutSec) * 1000;
+    nextAttemptAt = Date.now() + resetMs;
+    setState(OPEN);
+  }
+
+  function recordSuccess() {
+    consecutiveFailures = 0;
+    opens = 0;
+    lastSuccessAt = Date.now();
+    unreachableSince = null;
+    nextAttemptAt = null;
+    setState(CLOSED);
+  }
+
+  function recordFailure(error) {
+    consecutiveFailures++;
+    totalFailures++;
+    lastError = error.message;
+    lastFailureAt = Date.now();
+    if (!unreachableSince) {
+      unreachableSince = lastFailureAt;
+    }
+    if (state === HALF_OPEN || consecutiveFailures >= failureThreshold) {
+      open();
+    }
+  }
+
+  // Run a request through the breaker
+  async function execute(operation) {
+    if (state === OPEN && Date.now() >= nextAttemptAt) {
+      setState(HALF_OPEN);
+    }
+    if (state === OPEN || (state === HALF_OPEN && trialInProgress)) {
+      throw new CircuitOpenError(
+        `${name} is unreachable, next attempt at ${new Date(nextAttemptAt).toISOString()}`,
+        nextAttemptAt
+      );
+    }
+
+    const isTrial = state === HALF_OPEN;
+    trialInProgress = trialInProgress || isTrial;
+    try {
+      const result = await operation();
+      recordSuccess();
+      return result;
+    } catch (error) {
+      recordFailure(error);
+      throw error;
+    } finally {
+      if (isTrial) {
+        trialInProgress = false;
+      }
+    }
+  }
+
+  // Current state for status reporting; times are ISO strings or null
+  function status() {
+    const toIso = time => (time ? new Date(time).toISOString() : null);
+    return {
+      state,
+      consecutiveFailures,
+      totalFailures,
+      lastError,
+      lastFailureAt: toIso(lastFailureAt),
+      lastSuccessAt: toIso(lastSuccessAt),
+      unreachableSince: toIso(unreachableSince),
+      nextAttemptAt: state === CLOSED ? null : toIso(nextAttemptAt)
+    };
+  }
+
+  return {
+    name,
+    execute,
+    status,
+    get state() {
+      return state;
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_OPTIONS,
+  CLOSED,
+  OPEN,
+  HALF_OPEN,
+  CircuitOpenError,
+  resolveUpstreamOptions,
+  backoffDelay,
+  withRetry,
+  withTimeout,
+  createCircuitBreaker
+};
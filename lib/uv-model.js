@@ -0,0 +1,194 @@
+// Clear-sky UV index model
+//
+// A UV forecast that needs no API or network: the sun's zenith angle for
+// each time slot of the day, from the NOAA solar position equations, turned
+// into a UV index with the parametrization of Madronich (2007):
+//
+//   UVI = 12.5 * cos(zenith)^2.42 * (ozone / 300 DU)^-1.23
+//
+// scaled for the Earth-Sun distance and the altitude. The total ozone comes
+// from a monthly climatology by latitude. It's what the UV index would be
+// under a cloudless sky, so it's an upper bound on cloudy days.
+//
+// The forecast has the shape of OpenUV's ({ result: [{ uv, uv_time }] }), so
+// the dashboard and everything reading the UV cache take it as they are.
+
+const { resolveTimeZone, localDay } = require('./time-zone');
+
+const DEG = Math.PI / 180;
+const DEFAULT_STEP_MINUTES = 60;
+const SUNRISE_ELEVATION = -0.833;
+const SUN_SCAN_STEP_MS = 10 * 60 * 1000;
+
+// UV index increase per km of altitude (measurements put it at 6-10%)
+const ALTITUDE_FACTOR_PER_KM = 0.08;
+
+// Monthly mean total ozone (Dobson units) by latitude, January to December,
+// rounded from satellite climatologies. The dip at high southern latitudes
+// in September and October is the ozone hole.
+const OZONE_LATITUDES = [-90, -75, -60, -45, -30, -15, 0, 15, 30, 45, 60, 75, 90];
+const OZONE_CLIMATOLOGY = [
+  [290, 280, 265, 255, 250, 245, 240, 225, 170, 175, 240, 285],
+  [295, 285, 275, 270, 265, 260, 250, 240, 190, 200, 250, 285],
+  [310, 295, 285, 280, 285, 295, 310, 320, 300, 290, 300, 310],
+  [310, 300, 295, 295, 305, 320, 340, 350, 355, 350, 335, 320],
+  [275, 270, 268, 270, 280, 290, 300, 310, 315, 305, 290, 280],
+  [255, 255, 255, 255, 258, 262, 268, 272, 272, 268, 262, 258],
+  [255, 255, 258, 262, 265, 265, 265, 268, 270, 265, 260, 255],
+  [260, 265, 270, 275, 275, 275, 275, 270, 265, 260, 258, 258],
+  [290, 300, 310, 315, 310, 300, 295, 290, 280, 275, 275, 280],
+  [350, 370, 380, 375, 360, 340, 320, 305, 295, 290, 300, 325],
+  [380, 400, 420, 410, 380, 350, 325, 310, 295, 295, 310, 345],
+  [390, 420, 440, 430, 390, 345, 320, 300, 285, 290, 315, 350],
+  [400, 430, 450, 440, 400, 350, 320, 300, 285, 290, 320, 360]
+];
+
+// Day of the year (1-366) and the hours since midnight, in UTC
+function utcDayAndHours(time) {
+  const date = new Date(time);
+  const startOfYear = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const dayOfYear = Math.floor((time - startOfYear) / 86400000) + 1;
+  const hours = date.getUTCHours() + date.getUTCMinutes() / 60 + date.getUTCSeconds() / 3600;
+  return { dayOfYear, hours, daysInYear: date.getUTCFullYear() % 4 === 0 ? 366 : 365 };
+}
+
+// The sun's position at a moment (ms since epoch), as { zenith, elevation }
+// in degrees and the Earth-Sun distance factor (the sunlight's strength
+// relative to the mean distance), from NOAA's general solar position
+// equations
+function solarPosition(time, latitude, longitude) {
+  const { dayOfYear, hours, daysInYear } = utcDayAndHours(time);
+  const gamma = 2 * Math.PI / daysInYear * (dayOfYear - 1 + (hours - 12) / 24);
+
+  const equationOfTime = 229.18 * (0.000075 + 0.001868 * Math.cos(gamma) - 0.032077 * Math.sin(gamma) -
+    0.014615 * Math.cos(2 * gamma) - 0.040849 * Math.sin(2 * gamma));
+  const declination = 0.006918 - 0.399912 * Math.cos(gamma) + 0.070257 * Math.sin(gamma) -
+    0.006758 * Math.cos(2 * gamma) + 0.000907 * Math.sin(2 * gamma) -
+    0.002697 * Math.cos(3 * gamma) + 0.00148 * Math.sin(3 * gamma);
+
+  const trueSolarMinutes = hours * 60 + equationOfTime + 4 * longitude;
+  const hourAngle = (trueSolarMinutes / 4 - 180) * DEG;
+  const cosZenith = Math.sin(latitude * DEG) * Math.sin(declination) +
+    Math.cos(latitude * DEG) * Math.cos(declination) * Math.cos(hourAngle);
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) / DEG;
+
+  const distanceFactor = 1.00011 + 0.034221 * Math.cos(gamma) + 0.00128 * Math.sin(gamma) +
+    0.000719 * Math.cos(2 * gamma) + 0.000077 * Math.sin(2 * gamma);
+
+  return { zenith, elevation: 90 - zenith, distanceFactor };
+}
+
+// Total ozone (DU) at a latitude and moment from the climatology,
+// interpolated between latitudes and between the middles of the months
+function totalOzone(latitude, time) {
+  const { dayOfYear, daysInYear } = utcDayAndHours(time);
+  const monthLength = daysInYear / 12;
+  const monthPosition = ((dayOfYear - monthLength / 2) / monthLength + 12) % 12;
+  const month = Math.floor(monthPosition);
+  const nextMonth = (month + 1) % 12;
+  const monthWeight = monthPosition - month;
+
+  const clamped = Math.max(-90, Math.min(90, latitude));
+  const band = Math.min(OZONE_LATITUDES.length - 2, Math.floor((clamped + 90) / 15));
+  const bandWeight = (clamped - OZONE_LATITUDES[band]) / 15;
+
+  const atBand = row => OZONE_CLIMATOLOGY[row][month] * (1 - monthWeight) + OZONE_CLIMATOLOGY[row][nextMonth] * monthWeight;
+  return atBand(band) * (1 - bandWeight) + atBand(band + 1) * bandWeight;
+}
+
+// Clear-sky UV index at a place ({ latitude, longitude, altitude } with the
+// altitude in metres) and moment
+function clearSkyUvIndex(location, time) {
+  const { latitude, longitude, altitude = 0 } = location;
+  const { zenith, distanceFactor } = solarPosition(time, latitude, longitude);
+  const cosZenith = Math.cos(zenith * DEG);
+  if (cosZenith <= 0) {
+    return 0;
+  }
+  const ozone = totalOzone(latitude, time);
+  const altitudeFactor = 1 + ALTITUDE_FACTOR_PER_KM * Math.max(0, altitude) / 1000;
+  return 12.5 * Math.pow(cosZenith, 2.42) * Math.pow(ozone / 300, -1.23) * distanceFactor * altitudeFactor;
+}
+
+// Sunrise and sunset of the local day containing `time` (ms since epoch),
+// when the top of the sun crosses the horizon (allowing for refraction), to
+// the minute. Either is null if the sun doesn't rise or set that day, with
+// the sun up all day when `upAllDay` is set.
+function sunTimes(location, time, timeZone) {
+  const { from, to } = localDay(time, resolveTimeZone(timeZone));
+  const isUp = moment => solarPosition(moment, location.latitude, location.longitude).elevation > SUNRISE_ELEVATION;
+
+  // Narrow a change between two moments down to the minute
+  const crossing = (low, high) => {
+    const lowIsUp = isUp(low);
+    while (high - low > 60000) {
+      const middle = Math.floor((low + high) / 2);
+      if (isUp(middle) === lowIsUp) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return high;
+  };
+
+  let sunrise = null;
+  let sunset = null;
+  for (let moment = from; moment < to; moment += SUN_SCAN_STEP_MS) {
+    const next = Math.min(moment + SUN_SCAN_STEP_MS, to);
+    const [before, after] = [isUp(moment), isUp(next)];
+    if (!before && after && sunrise === null) {
+      sunrise = crossing(moment, next);
+    } else if (before && !after) {
+      sunset = crossing(moment, next);
+    }
+  }
+  return { sunrise, sunset, upAllDay: sunrise === null && sunset === null && isUp(from) };
+}
+
+// Whether a location has the coordinates the model needs
+function canModel(location) {
+  return Boolean(location) && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+// The clear-sky UV forecast for the local day containing `time`, in the
+// shape of OpenUV's: a slot every stepMinutes from the last one before
+// sunrise to the first one after sunset.
+// options: { time, timeZone, stepMinutes }
+function forecastClearSkyUv(location, options = {}) {
+  if (!canModel(location)) {
+    throw new Error('The UV model needs location.latitude and location.longitude');
+  }
+  const { time = Date.now(), stepMinutes = DEFAULT_STEP_MINUTES } = options;
+  const timeZone = resolveTimeZone(options.timeZone);
+  const { from, to } = localDay(time, timeZone);
+  const stepMs = stepMinutes * 60 * 1000;
+
+  const slots = [];
+  for (let slot = Math.ceil(from / stepMs) * stepMs; slot <= to; slot += stepMs) {
+    slots.push({ time: slot, uv: clearSkyUvIndex(location, slot) });
+  }
+
+  // Daylight, with a zero either side for the chart to start and end on
+  // (or the whole day in the polar night)
+  const first = slots.findIndex(slot => slot.uv > 0);
+  const last = slots.length - 1 - [...slots].reverse().findIndex(slot => slot.uv > 0);
+  const daylight = first === -1 ? slots : slots.slice(Math.max(0, first - 1), Math.min(slots.length, last + 2));
+
+  return {
+    source: 'model',
+    result: daylight.map(slot => ({
+      uv: Math.round(slot.uv * 1000) / 1000,
+      uv_time: new Date(slot.time).toISOString()
+    }))
+  };
+}
+
+module.exports = {
+  solarPosition,
+  totalOzone,
+  clearSkyUvIndex,
+  sunTimes,
+  canModel,
+  forecastClearSkyUv
+};
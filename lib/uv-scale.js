@@ -0,0 +1,119 @@
+// UV index bands and exposure windows
+//
+// The dashboard's UV categories follow the WHO bands (low up to 2, moderate
+// up to 5, high up to 7, very high up to 10, extreme above), with the upper
+// UV index of each band overridable in public/config.json's uvThresholds and
+// its colours in uvChartColors. As the UV index is reported in whole
+// numbers, a value is in the band its rounded value falls into.
+//
+// Exposure windows are the times of day the UV index is at or above a
+// level, each shown on the dashboard as its own time range and chart band:
+//
+//   "uvWindows": [
+//     { "name": "Sunscreen needed", "threshold": 3 },
+//     { "name": "Avoid outdoors", "threshold": 8, "color": "rgba(156, 39, 176, 0.8)" }
+//   ]
+//
+// Without uvWindows there's one, "High UV", at displayOptions.uvThreshold
+// (default 4). The server resolves both and serves them as config.uvScale.
+
+const DEFAULT_WINDOW_THRESHOLD = 4;
+const DEFAULT_WINDOW_NAME = 'High UV';
+const DEFAULT_WINDOW_COLOR = 'rgba(255, 152, 0, 0.8)';
+
+const UV_BANDS = [
+  {
+    key: 'low', label: 'Low', max: 2,
+    backgroundColor: 'rgba(76, 175, 80, 0.8)', textColor: '#000000', borderColor: '#2E7D32',
+    lineColor: 'rgba(76, 175, 80, 1)', fillColor: 'rgba(76, 175, 80, 0.8)',
+    advice: 'Low risk. No protection needed for most people.'
+  },
+  {
+    key: 'moderate', label: 'Moderate', max: 5,
+    backgroundColor: 'rgba(255, 235, 59, 0.8)', textColor: '#000000', borderColor: '#F9A825',
+    lineColor: 'rgba(255, 235, 59, 1)', fillColor: 'rgba(255, 235, 59, 0.8)',
+    advice: 'Wear sunscreen SPF 30+, hat, and sunglasses.'
+  },
+  {
+    key: 'high', label: 'High', max: 7,
+    backgroundColor: 'rgba(255, 152, 0, 0.8)', textColor: '#000000', borderColor: '#E65100',
+    lineColor: 'rgba(255, 152, 0, 1)', fillColor: 'rgba(255, 152, 0, 0.8)',
+    advice: 'High risk. Stay in shade during midday hours. Use SPF 30+ sunscreen, hat, and sunglasses.'
+  },
+  {
+    key: 'veryHigh', label: 'Very High', max: 10,
+    backgroundColor: 'rgba(233, 30, 99, 0.8)', textColor: '#FFFFFF', borderColor: '#C2185B',
+    lineColor: 'rgba(233, 30, 99, 1)', fillColor: 'rgba(233, 30, 99, 0.8)',
+    advice: 'Very high risk. Minimize sun exposure between 10am and 4pm. Apply SPF 30+ every 2 hours.'
+  },
+  {
+    key: 'extreme', label: 'Extreme', max: null,
+    backgroundColor: 'rgba(156, 39, 176, 0.8)', textColor: '#FFFFFF', borderColor: '#7B1FA2',
+    lineColor: 'rgba(156, 39, 176, 1)', fillColor: 'rgba(156, 39, 176, 0.8)',
+    advice: 'Extreme risk. Avoid outdoors during midday hours. Shirt, sunscreen, hat, and sunglasses are essential.'
+  }
+];
+
+// The bands with the threshold and colour overrides applied, lowest first.
+// The top band has no upper limit, whatever uvThresholds says.
+function resolveUvBands({ thresholds = {}, colors = {} } = {}) {
+  const lastIndex = UV_BANDS.length - 1;
+  const bands = UV_BANDS.map((band, index) => ({
+    ...band,
+    max: index === lastIndex ? null :
+      (typeof thresholds[band.key] === 'number' ? thresholds[band.key] : band.max),
+    ...(colors[band.key] && typeof colors[band.key] === 'object' ? colors[band.key] : {})
+  }));
+
+  bands.slice(1, lastIndex).forEach((band, index) => {
+    if (band.max <= bands[index].max) {
+      throw new Error(`uvThresholds.${band.key} (${band.max}) must be above uvThresholds.${bands[index].key} (${bands[index].max})`);
+    }
+  });
+  return bands;
+}
+
+// The exposure windows, lowest threshold first
+function resolveUvWindows({ windows, threshold, colors = {} } = {}) {
+  const defaultColor = typeof colors.thresholdColor === 'string' ? colors.thresholdColor : DEFAULT_WINDOW_COLOR;
+  if (!windows) {
+    return [{
+      name: DEFAULT_WINDOW_NAME,
+      threshold: typeof threshold === 'number' ? threshold : DEFAULT_WINDOW_THRESHOLD,
+      color: defaultColor
+    }];
+  }
+
+  return windows
+    .map((window, index) => {
+      if (typeof window.threshold !== 'number') {
+        throw new Error(`uvWindows[${index}].threshold is required`);
+      }
+      return {
+        name: window.name || `UV ${window.threshold}+`,
+        threshold: window.threshold,
+        color: window.color || defaultColor
+      };
+    })
+    .sort((a, b) => a.threshold - b.threshold);
+}
+
+// The UV scale the dashboard gets from public/config.json's settings
+function describeUvScale(clientConfig) {
+  const colors = clientConfig.uvChartColors || {};
+  return {
+    bands: resolveUvBands({ thresholds: clientConfig.uvThresholds, colors }),
+    windows: resolveUvWindows({
+      windows: clientConfig.uvWindows,
+      threshold: clientConfig.displayOptions && clientConfig.displayOptions.uvThreshold,
+      colors
+    })
+  };
+}
+
+module.exports = {
+  UV_BANDS,
+  resolveUvBands,
+  resolveUvWindows,
+  describeUvScale
+};
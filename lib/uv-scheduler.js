@@ -0,0 +1,121 @@
+// Server-side UV refreshes
+//
+// The UV forecast is fetched on a schedule around the day's sunrise and
+// sunset instead of whenever a dashboard asks, so the requests to the UV
+// API (and its quota) don't depend on how many dashboards are open:
+//
+//   - once shortly before sunrise (uvApi.schedule.sunriseLeadMinutes), for
+//     the day's forecast
+//   - through the day, at most every uvRefreshIntervalSec, spaced out so the
+//     requests left in the day's quota last until sunset
+//   - once at sunset
+//
+// and not at all at night. Where the sun doesn't set, the whole day counts
+// as daylight; where it doesn't rise, there's one fetch at local noon.
+
+const { sunTimes } = require('./uv-model');
+const { localDay } = require('./time-zone');
+
+// Longest a timer is set for; the plan is worked out again after it
+const MAX_TIMER_MS = 6 * 60 * 60 * 1000;
+
+// When to fetch during a local day: { start, end }, or null for no fetches
+// other than one at noon
+function daylightWindow(location, day, timeZone, leadMs) {
+  const sun = sunTimes(location, day.from, timeZone);
+  if (sun.upAllDay) {
+    return { start: day.from, end: day.to };
+  }
+  if (sun.sunrise === null && sun.sunset === null) {
+    const noon = Math.round((day.from + day.to) / 2);
+    return { start: noon, end: noon };
+  }
+  return {
+    start: sun.sunrise === null ? day.from : Math.max(day.from, sun.sunrise - leadMs),
+    end: sun.sunset === null ? day.to : sun.sunset
+  };
+}
+
+// The next time to fetch after `now` (ms since epoch).
+// options: { location, timeZone, intervalSec, leadMinutes, remaining }, with
+// remaining the requests left in the day's quota (Infinity if there's none)
+function nextUvFetch(now, options) {
+  const { location, timeZone, intervalSec, leadMinutes, remaining = Infinity } = options;
+  const leadMs = leadMinutes * 60 * 1000;
+
+  const today = daylightWindow(location, localDay(now, timeZone), timeZone, leadMs);
+  if (now < today.start) {
+    return today.start;
+  }
+  if (now < today.end && remaining > 0) {
+    // Keep one request for sunset
+    const spread = (today.end - now) / Math.max(1, remaining - 1);
+    return Math.min(now + Math.max(intervalSec * 1000, spread), today.end);
+  }
+  return daylightWindow(location, localDay(now, timeZone, 1), timeZone, leadMs).start;
+}
+
+// Create the scheduler. options:
+//   refresh()       fetches the UV forecast (and publishes it)
+//   getOptions()    the options of nextUvFetch as they are now, or null
+//                   while there's nothing to schedule
+//   logger
+function createUvScheduler(options) {
+  const { refresh, getOptions, logger } = options;
+  let timer = null;
+  let nextFetchAt = null;
+  let lastFetchAt = null;
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = null;
+    nextFetchAt = null;
+
+    let scheduleOptions;
+    try {
+      scheduleOptions = getOptions();
+      if (!scheduleOptions) {
+        return;
+      }
+      nextFetchAt = nextUvFetch(Date.now(), scheduleOptions);
+    } catch (error) {
+      logger.error('Failed to schedule the UV refresh', { error: error.message });
+      return;
+    }
+
+    const delay = Math.max(0, nextFetchAt - Date.now());
+    timer = setTimeout(delay > MAX_TIMER_MS ? schedule : run, Math.min(delay, MAX_TIMER_MS));
+  }
+
+  async function run() {
+    lastFetchAt = Date.now();
+    try {
+      await refresh();
+    } catch (error) {
+      logger.error('Scheduled UV refresh failed', { error: error.message });
+    }
+    schedule();
+  }
+
+  return {
+    // Fetch now and schedule the next ones
+    start: run,
+    // Work out the schedule again, such as after the config changed
+    reschedule: schedule,
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+      nextFetchAt = null;
+    },
+    status: () => ({
+      enabled: timer !== null,
+      lastFetchAt: lastFetchAt ? new Date(lastFetchAt).toISOString() : null,
+      nextFetchAt: nextFetchAt ? new Date(nextFetchAt).toISOString() : null
+    })
+  };
+}
+
+module.exports = {
+  nextUvFetch,
+  createUvScheduler
+};
@@ -0,0 +1,79 @@
+// UV index forecast helpers
+//
+// The server side of the dashboard's findUvCrossing (public/js/modules/
+// uv-index.js): crossings of a UV level are found on a cubic spline through
+// the hourly forecast, to the minute.
+
+const Spline = require('cubic-spline');
+
+// UV index of the dashboard's "High UV between" window
+const DEFAULT_HIGH_UV = 4;
+
+// Forecast entries ({ result: [{ uv, uv_time }] }) as sorted { time, uv }
+function forecastReadings(uvData) {
+  if (!uvData || !Array.isArray(uvData.result)) {
+    return [];
+  }
+  return uvData.result
+    .map(entry => ({ time: Date.parse(entry.uv_time), uv: entry.uv }))
+    .filter(reading => !isNaN(reading.time) && typeof reading.uv === 'number')
+    .sort((a, b) => a.time - b.time);
+}
+
+// When the UV index first crosses targetUv going "rising" or "falling"
+// (ms since epoch), or null if it doesn't
+function findUvCrossing(readings, targetUv, direction = 'rising') {
+  if (readings.length < 2) {
+    return null;
+  }
+  const spline = new Spline(readings.map(reading => reading.time), readings.map(reading => reading.uv));
+
+  for (let i = 0; i < readings.length - 1; i++) {
+    const [current, next] = [readings[i], readings[i + 1]];
+    const isCrossing = direction === 'rising' ?
+      current.uv < targetUv && next.uv > targetUv :
+      current.uv > targetUv && next.uv < targetUv;
+    if (!isCrossing) {
+      continue;
+    }
+
+    // Narrow the crossing down to the minute
+    let low = current.time;
+    let high = next.time;
+    while (high - low > 60000) {
+      const middle = Math.floor((low + high) / 2);
+      const uv = spline.at(middle);
+      if ((direction === 'rising' && uv < targetUv) || (direction === 'falling' && uv > targetUv)) {
+        low = middle;
+      } else {
+        high = middle;
+      }
+    }
+    return Math.round((low + high) / 2);
+  }
+  return null;
+}
+
+// The window of a forecast with the UV index at or above threshold, as
+// { from, until, peak } with the times in ms (null where the range starts or
+// ends above it), or null if it never gets that high. from/to limit the
+// forecast to a time range, such as one day.
+function findHighUvWindow(uvData, { threshold = DEFAULT_HIGH_UV, from = -Infinity, to = Infinity } = {}) {
+  const readings = forecastReadings(uvData).filter(reading => reading.time >= from && reading.time <= to);
+  const peak = readings.reduce((max, reading) => Math.max(max, reading.uv), 0);
+  if (readings.length === 0 || peak < threshold) {
+    return null;
+  }
+  return {
+    from: findUvCrossing(readings, threshold, 'rising'),
+    until: findUvCrossing(readings, threshold, 'falling'),
+    peak
+  };
+}
+
+module.exports = {
+  DEFAULT_HIGH_UV,
+  forecastReadings,
+  findUvCrossing,
+  findHighUvWindow
+};
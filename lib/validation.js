@@ -0,0 +1,155 @@
+// Upstream payload validation and quarantine
+//
+// Every normalized reading is checked before it reaches the cache, history
+// or clients: each metric must be a number within a plausible range, and the
+// particulate sizes must be consistent (PM1 ≤ PM2.5 ≤ PM10, as each includes
+// the smaller ones). Payloads that fail, or that the adapter couldn't parse,
+// are appended to a quarantine file with the reasons, so firmware glitches
+// can be looked at later without ever being displayed.
+
+const fs = require('fs');
+const path = require('path');
+const { METRICS } = require('./adapters');
+
+// Plausible ranges for each metric; anything outside is a sensor fault
+const DEFAULT_RANGES = {
+  aqi: { min: 0, max: 1000 },
+  pm1: { min: 0, max: 1000 },
+  pm25: { min: 0, max: 1000 },
+  pm10: { min: 0, max: 2000 },
+  particles: { min: 0, max: 10000000 },
+  co2: { min: 250, max: 10000 },
+  temperature: { min: -50, max: 70 },
+  humidity: { min: 0, max: 100 },
+  pressure: { min: 500, max: 1100 }
+};
+
+// Particle sizes may differ by rounding or averaging between laser channels
+const SIZE_TOLERANCE_RATIO = 1.1;
+const SIZE_TOLERANCE_ABSOLUTE = 1;
+
+// Rotate the quarantine file when it gets this big
+const MAX_QUARANTINE_BYTES = 5 * 1024 * 1024;
+
+// How many recent rejections to keep in memory per station
+const RECENT_REJECTIONS = 10;
+
+class ValidationError extends Error {
+  constructor(message, reasons) {
+    super(message);
+    this.name = 'ValidationError';
+    this.reasons = reasons;
+  }
+}
+
+// Check a normalized reading. Returns the list of problems (empty if valid).
+function validateReading(reading, rangeOverrides = {}) {
+  const problems = [];
+
+  if (!reading || typeof reading !== 'object' || !reading.current || typeof reading.current !== 'object') {
+    return ['reading has no "current" measurements'];
+  }
+
+  const current = reading.current;
+  let present = 0;
+
+  METRICS.forEach(metric => {
+    const value = current[metric];
+    if (value === null || value === undefined) {
+      return;
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      problems.push(`${metric} is not a number (${JSON.stringify(value)})`);
+      return;
+    }
+    present++;
+
+    const range = { ...DEFAULT_RANGES[metric], ...(rangeOverrides[metric] || {}) };
+    if (value < range.min || value > range.max) {
+      problems.push(`${metric} ${value} is outside ${range.min}..${range.max}`);
+    }
+  });
+
+  if (present === 0) {
+    problems.push('reading has no measurements');
+  }
+
+  // Larger particle sizes include the smaller ones
+  const sizes = [['pm1', 'PM1'], ['pm25', 'PM2.5'], ['pm10', 'PM10']]
+    .filter(([metric]) => typeof current[metric] === 'number');
+  for (let i = 1; i < sizes.length; i++) {
+    const [smallKey, smallName] = sizes[i - 1];
+    const [largeKey, largeName] = sizes[i];
+    if (current[smallKey] > current[largeKey] * SIZE_TOLERANCE_RATIO + SIZE_TOLERANCE_ABSOLUTE) {
+      problems.push(`${smallName} ${current[smallKey]} is greater than ${largeName} ${current[largeKey]}`);
+    }
+  }
+
+  return problems;
+}
+
+// Quarantine for rejected payloads, with per-station rejection counts
+function createQuarantine(options = {}) {
+  const file = options.file;
+  const logger = options.logger;
+  const stations = new Map();
+  let total = 0;
+
+  // Record a rejected payload
+  async function add(stationId, payload, reasons) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      station: stationId,
+      reasons,
+      payload
+    };
+
+    total++;
+    const stats = stations.get(stationId) || { rejected: 0, recent: [] };
+    stats.rejected++;
+    stats.recent.unshift({ timestamp: entry.timestamp, reasons });
+    stats.recent.length = Math.min(stats.recent.length, RECENT_REJECTIONS);
+    stations.set(stationId, stats);
+
+    if (!file) {
+      return;
+    }
+    try {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const size = await fs.promises.stat(file).then(stat => stat.size, () => 0);
+      if (size > MAX_QUARANTINE_BYTES) {
+        await fs.promises.rename(file, `${file}.1`);
+      }
+      await fs.promises.appendFile(file, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      if (logger) {
+        logger.error('Failed to write to quarantine file', { file, error: error.message });
+      }
+    }
+  }
+
+  // Rejection counts and the most recent reasons, per station
+  function stats() {
+    const byStation = {};
+    stations.forEach((value, stationId) => {
+      byStation[stationId] = {
+        rejected: value.rejected,
+        lastRejection: value.recent[0] || null,
+        recent: value.recent
+      };
+    });
+    return { total, stations: byStation };
+  }
+
+  return {
+    add,
+    stats
+  };
+}
+
+module.exports = {
+  DEFAULT_RANGES,
+  ValidationError,
+  validateReading,
+  createQuarantine
+};
@@ -0,0 +1,264 @@
+// Outbound webhooks
+//
+// Events from notifyClients (the same ones dashboards get) are POSTed to the
+// subscriptions in the "webhooks" section of config.json:
+//
+//   {
+//     "id": "slack",                  // letters/digits/-/_ only
+//     "url": "https://hooks.slack.com/services/...",
+//     "events": ["alert", "category-change"],
+//     "stations": ["office"],         // defaults to every station
+//     "secret": "...",                // defaults to webhooks.secret
+//     "headers": { "X-Api-Key": "..." },
+//     "body": { "text": "{{alert.message}}" }
+//   }
+//
+// The body is a JSON template: "{{path}}" is replaced by that field of the
+// event (a string made up only of one placeholder keeps the field's type).
+// Without a body the event itself is sent. With a secret the body is signed
+// with HMAC-SHA256 in the X-Signature-256 header. Failed deliveries (network
+// errors, timeouts and non-2xx responses) are retried with backoff, and the
+// most recent deliveries are kept for /api/webhooks/deliveries.
+
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const { backoffDelay, withTimeout } = require('./upstream');
+const { getPath } = require('./adapters/json-path');
+
+const EVENTS = ['alert', 'category-change', 'aqi-update', 'uv-update', 'upstream-status'];
+const DEFAULT_EVENTS = ['alert', 'category-change'];
+const SUBSCRIPTION_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const DEFAULT_OPTIONS = {
+  timeoutSec: 10,
+  retries: 3,
+  retryDelayMs: 2000,
+  maxRetryDelayMs: 60000,
+  logSize: 200
+};
+
+const PLACEHOLDER = /\{\{\s*([^}]+?)\s*\}\}/g;
+const SINGLE_PLACEHOLDER = /^\{\{\s*([^}]+?)\s*\}\}$/;
+
+// Fill in the placeholders of a body template from the event
+function renderTemplate(template, context) {
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    Object.keys(template).forEach(key => {
+      rendered[key] = renderTemplate(template[key], context);
+    });
+    return rendered;
+  }
+  if (typeof template !== 'string') {
+    return template;
+  }
+  const single = template.match(SINGLE_PLACEHOLDER);
+  if (single) {
+    const value = getPath(context, single[1]);
+    return value === undefined ? null : value;
+  }
+  return template.replace(PLACEHOLDER, (match, field) => {
+    const value = getPath(context, field);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+// HMAC-SHA256 signature of a body, as sent in X-Signature-256
+function signBody(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Check a subscription from the config
+function parseSubscription(subscription, defaults, stationIds) {
+  if (!subscription || typeof subscription !== 'object') {
+    throw new Error('Each webhook subscription must be an object');
+  }
+  const { id } = subscription;
+  if (typeof id !== 'string' || !SUBSCRIPTION_ID_PATTERN.test(id)) {
+    throw new Error(`Webhook id "${id}" may only contain letters, digits, "-" and "_"`);
+  }
+  if (typeof subscription.url !== 'string' || !/^https?:\/\//.test(subscription.url)) {
+    throw new Error(`Webhook "${id}" needs an http(s) url`);
+  }
+  const events = subscription.events || DEFAULT_EVENTS;
+  const unknownEvents = events.filter(event => !EVENTS.includes(event));
+  if (unknownEvents.length > 0) {
+    throw new Error(`Webhook "${id}" has unknown events: ${unknownEvents.join(', ')}. Available: ${EVENTS.join(', ')}`);
+  }
+  const unknownStations = (subscription.stations || []).filter(stationId => !stationIds.includes(stationId));
+  if (unknownStations.length > 0) {
+    throw new Error(`Webhook "${id}" refers to unknown stations: ${unknownStations.join(', ')}`);
+  }
+
+  return {
+    id,
+    url: subscription.url,
+    events,
+    stations: subscription.stations || null,
+    secret: subscription.secret !== undefined ? subscription.secret : defaults.secret,
+    headers: subscription.headers || {},
+    body: subscription.body
+  };
+}
+
+// Check the subscriptions of the "webhooks" config section against the
+// station ids, throwing on the first problem
+function parseSubscriptions(config, stationIds) {
+  const subscriptions = (config.subscriptions || []).map(subscription =>
+    parseSubscription(subscription, config, stationIds));
+  const duplicate = subscriptions.find((subscription, index) =>
+    subscriptions.findIndex(other => other.id === subscription.id) !== index);
+  if (duplicate) {
+    throw new Error(`Webhook id "${duplicate.id}" is used more than once`);
+  }
+  return subscriptions;
+}
+
+// Create the dispatcher from the "webhooks" config section:
+//   subscriptions, secret, timeoutSec, retries, retryDelayMs,
+//   maxRetryDelayMs and logSize
+// options: { stations, logger, fetch }
+function createWebhookDispatcher(config = {}, options = {}) {
+  const { logger } = options;
+  const send = options.fetch || fetch;
+  const settings = { ...DEFAULT_OPTIONS };
+  Object.keys(DEFAULT_OPTIONS).forEach(key => {
+    if (config[key] !== undefined) {
+      if (typeof config[key] !== 'number' || !isFinite(config[key]) || config[key] < 0) {
+        throw new Error(`webhooks.${key} must be a non-negative number`);
+      }
+      settings[key] = config[key];
+    }
+  });
+
+  const stationIds = (options.stations || []).map(station => station.id);
+  const subscriptions = parseSubscriptions(config, stationIds);
+
+  // Most recent deliveries first
+  const deliveries = [];
+  const counts = { delivered: 0, failed: 0 };
+
+  function wants(subscription, event) {
+    const station = event.data && event.data.station;
+    return subscription.events.includes(event.type) &&
+      (!subscription.stations || !station || subscription.stations.includes(station));
+  }
+
+  // POST once, throwing on a network error, timeout or non-2xx response
+  async function post(subscription, delivery, body) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'airquality-dashboard-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      ...subscription.headers
+    };
+    if (subscription.secret) {
+      headers['X-Signature-256'] = signBody(body, subscription.secret);
+    }
+
+    const response = await withTimeout(send(subscription.url, { method: 'POST', headers, body }), settings.timeoutSec * 1000);
+    if (!response.ok) {
+      const error = new Error(`HTTP error! Status: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async function deliver(subscription, delivery, body) {
+    for (let attempt = 0; ; attempt++) {
+      const startedAt = Date.now();
+      try {
+        const response = await post(subscription, delivery, body);
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), status: response.status, error: null, durationMs: Date.now() - startedAt });
+        delivery.status = 'delivered';
+        delivery.completedAt = new Date().toISOString();
+        counts.delivered++;
+        return;
+      } catch (error) {
+        delivery.attempts.push({ at: new Date(startedAt).toISOString(), status: error.status || null, error: error.message, durationMs: Date.now() - startedAt });
+        if (attempt >= settings.retries) {
+          delivery.status = 'failed';
+          delivery.completedAt = new Date().toISOString();
+          counts.failed++;
+          if (logger) {
+            logger.error('Webhook delivery failed', { webhook: subscription.id, event: delivery.event, attempts: attempt + 1, error: error.message });
+          }
+          return;
+        }
+        const delay = backoffDelay(attempt, settings.retryDelayMs, settings.maxRetryDelayMs);
+        delivery.status = 'retrying';
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delivery.nextAttemptAt = null;
+      }
+    }
+  }
+
+  // Send an event from the event buffer ({ id, type, data }) to every
+  // subscription that wants it. Deliveries carry on in the background.
+  function dispatch(event) {
+    subscriptions.filter(subscription => wants(subscription, event)).forEach(subscription => {
+      const context = { id: event.id, ...event.data };
+      const body = JSON.stringify(subscription.body === undefined ?
+        { id: event.id, type: event.type, data: event.data } :
+        renderTemplate(subscription.body, context));
+
+      const delivery = {
+        id: crypto.randomUUID(),
+        webhook: subscription.id,
+        event: event.type,
+        eventId: event.id,
+        // Only the origin: Slack and Discord hooks carry their token in the path
+        origin: new URL(subscription.url).origin,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: null,
+        createdAt: new Date().toISOString(),
+        completedAt: null
+      };
+      deliveries.unshift(delivery);
+      deliveries.length = Math.min(deliveries.length, settings.logSize);
+
+      deliver(subscription, delivery, body);
+    });
+  }
+
+  // Recent deliveries, most recent first, optionally for one webhook or
+  // with one status
+  function listDeliveries({ webhook, status, limit } = {}) {
+    return deliveries
+      .filter(delivery => (!webhook || delivery.webhook === webhook) && (!status || delivery.status === status))
+      .slice(0, limit || deliveries.length);
+  }
+
+  function status() {
+    return {
+      subscriptions: subscriptions.length,
+      pending: deliveries.filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying').length,
+      ...counts
+    };
+  }
+
+  return {
+    dispatch,
+    listDeliveries,
+    status,
+    hasSubscription: id => subscriptions.some(subscription => subscription.id === id)
+  };
+}
+
+module.exports = {
+  EVENTS,
+  renderTemplate,
+  signBody,
+  parseSubscriptions,
+  createWebhookDispatcher
+};
@@ -0,0 +1,177 @@
+// WebSocket transport for live update events
+//
+// An alternative to the SSE stream at /api/events for browsers behind
+// proxies that buffer text/event-stream responses. It carries the same
+// events, as JSON messages:
+//
+//   { "id": 1714567890123, "type": "aqi-update", "data": { ... } }
+//
+// Clients can send messages too:
+//
+//   { "type": "subscribe", "stations": ["office"], "metrics": ["aqi", "pm25"] }
+//       only receive events for these stations, with readings cut down to
+//       these metrics (and uv-update events only if "uv" is one of them).
+//       Leaving either out (or null) means all of them.
+//   { "type": "resume", "lastEventId": 1714567890123 }
+//       replay the events missed since that one, as Last-Event-ID does
+//   { "type": "ping" }
+//       answered with a "pong"
+
+const { WebSocketServer, WebSocket } = require('ws');
+
+// Parse a list of ids from a subscribe message; null means everything
+function parseList(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new TypeError('must be an array of strings');
+  }
+  return value;
+}
+
+// Whether a client's subscription wants an event, and the data to send
+function filterEvent(subscription, event) {
+  const { stations, metrics } = subscription;
+  const data = event.data || {};
+
+  if (stations && data.station && !stations.includes(data.station)) {
+    return null;
+  }
+  if (metrics && event.type === 'uv-update' && !metrics.includes('uv')) {
+    return null;
+  }
+  if (metrics && event.type === 'aqi-update' && data.data && data.data.current) {
+    const current = {};
+    metrics.filter(metric => metric in data.data.current).forEach(metric => {
+      current[metric] = data.data.current[metric];
+    });
+    return { ...event, data: { ...data, data: { ...data.data, current } } };
+  }
+  return event;
+}
+
+// Attach the WebSocket endpoint to an HTTP server.
+// Returns { broadcast(event), ping(), clientCount() }.
+function attachWebSocketServer(server, options = {}) {
+  const { path = '/api/ws', eventBuffer, logger, onConnectionChange, authorize } = options;
+  // clientIp(req) is the client's address, by default the socket's (an
+  // X-Forwarded-For header is only to be believed behind a known proxy)
+  const clientIp = options.clientIp || (req => req.socket.remoteAddress);
+  // authorize(req) turns away upgrade requests it returns false for
+  const wss = new WebSocketServer({
+    server,
+    path,
+    verifyClient: authorize ? ({ req }) => authorize(req) : undefined
+  });
+  const clients = new Map();
+
+  function send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Send an event to a client if its subscription wants it
+  function sendEvent(socket, event) {
+    const filtered = filterEvent(clients.get(socket), event);
+    if (filtered) {
+      send(socket, filtered);
+    }
+  }
+
+  function handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return send(socket, { type: 'error', data: { error: 'Messages must be JSON' } });
+    }
+
+    const subscription = clients.get(socket);
+    switch (message && message.type) {
+      case 'subscribe':
+        try {
+          subscription.stations = parseList(message.stations);
+          subscription.metrics = parseList(message.metrics);
+        } catch (error) {
+          return send(socket, { type: 'error', data: { error: `Invalid subscription: stations and metrics ${error.message}` } });
+        }
+        return send(socket, {
+          type: 'subscribed',
+          data: { stations: subscription.stations, metrics: subscription.metrics }
+        });
+
+      case 'resume': {
+        const missed = eventBuffer ? eventBuffer.since(message.lastEventId) : [];
+        if (missed === null) {
+          return send(socket, { type: 'resync', data: { timestamp: new Date().toISOString() } });
+        }
+        return missed.forEach(event => sendEvent(socket, event));
+      }
+
+      case 'ping':
+        return send(socket, { type: 'pong', data: { timestamp: new Date().toISOString() } });
+
+      default:
+        return send(socket, { type: 'error', data: { error: `Unknown message type: ${message && message.type}` } });
+    }
+  }
+
+  wss.on('connection', (socket, req) => {
+    clients.set(socket, { stations: null, metrics: null, alive: true, ip: clientIp(req) });
+    if (onConnectionChange) {
+      onConnectionChange('connected', clients.get(socket).ip, clients.size);
+    }
+
+    socket.on('message', raw => handleMessage(socket, raw.toString()));
+    socket.on('pong', () => {
+      clients.get(socket).alive = true;
+    });
+    socket.on('close', () => {
+      const { ip } = clients.get(socket);
+      clients.delete(socket);
+      if (onConnectionChange) {
+        onConnectionChange('disconnected', ip, clients.size);
+      }
+    });
+    socket.on('error', error => {
+      if (logger) {
+        logger.error('WebSocket client error', { error: error.message });
+      }
+    });
+
+    send(socket, { type: 'ping', data: 'connected' });
+  });
+
+  // Send an event from the event buffer to every subscribed client
+  function broadcast(event) {
+    clients.forEach((subscription, socket) => sendEvent(socket, event));
+  }
+
+  // Heartbeat: a ping event that proxies and the dashboard can see, plus a
+  // protocol-level ping to drop connections that stopped answering
+  function ping() {
+    const timestamp = new Date().toISOString();
+    clients.forEach((subscription, socket) => {
+      if (!subscription.alive) {
+        socket.terminate();
+        return;
+      }
+      subscription.alive = false;
+      socket.ping();
+      send(socket, { type: 'ping', data: { timestamp } });
+    });
+  }
+
+  return {
+    broadcast,
+    ping,
+    clientCount: () => clients.size,
+    close: () => wss.close()
+  };
+}
+
+module.exports = {
+  attachWebSocketServer
+};
@@ -0,0 +1,287 @@
+// Settings page: edits the settings served by /api/admin/config and saves
+// them back, where the server checks and applies them
+
+const API_URL = '/api/admin/config';
+const STATION_SOURCES = ['http', 'mqtt'];
+const AQI_SOURCES = ['reported', 'computed', 'nowcast'];
+
+// The settings being edited: { server, client }, updated as fields change
+let settings = null;
+let adapters = [];
+let standards = [];
+
+document.addEventListener('DOMContentLoaded', loadSettings);
+
+async function loadSettings() {
+  try {
+    const response = await fetch(API_URL, { cache: 'no-store' });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+    }
+    showSettings(data);
+  } catch (error) {
+    showMessage(`Failed to load the settings: ${error.message}`, true);
+  }
+}
+
+function showSettings(data) {
+  settings = { server: data.server, client: data.client };
+  adapters = data.adapters || [];
+  standards = data.standards || [];
+  renderForm();
+}
+
+function renderForm() {
+  const { server, client } = settings;
+  server.stations = server.stations || [];
+  server.uvApi = server.uvApi || {};
+  server.location = server.location || {};
+
+  renderStations();
+
+  const general = document.getElementById('general');
+  general.replaceChildren(
+    numberField('Polling interval (seconds)', server, 'pollingIntervalSec'),
+    numberField('UV refresh interval (seconds)', server, 'uvRefreshIntervalSec'),
+    selectField('AQI shown', server, 'aqiSource', AQI_SOURCES),
+    objectFields('Location', server, 'location')
+  );
+
+  document.getElementById('uvApi').replaceChildren(...objectFields(null, server, 'uvApi').childNodes);
+
+  document.getElementById('aqi').replaceChildren(
+    selectField('Standard', client, 'aqiStandard', standards),
+    objectFields('Thresholds (upper AQI of each category)', client, 'aqiThresholds'),
+    objectFields('Colours', client, 'aqiColors')
+  );
+
+  document.getElementById('uv').replaceChildren(
+    objectFields('Thresholds (upper UV index of each category)', client, 'uvThresholds'),
+    objectFields('Chart colours', client, 'uvChartColors'),
+    jsonField('Exposure windows', client, 'uvWindows')
+  );
+
+  document.getElementById('displayOptions').replaceChildren(...objectFields(null, client, 'displayOptions').childNodes);
+}
+
+// One fieldset per station, in the order they're configured
+function renderStations() {
+  const container = document.getElementById('stations');
+  container.replaceChildren(...settings.server.stations.map((station, index) => {
+    const fieldset = document.createElement('fieldset');
+    const legend = document.createElement('legend');
+    legend.textContent = station.name || station.id || `Station ${index + 1}`;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => {
+      settings.server.stations.splice(index, 1);
+      renderStations();
+    });
+
+    fieldset.append(
+      legend,
+      textField('Id', station, 'id'),
+      textField('Name', station, 'name'),
+      selectField('Source', station, 'source', STATION_SOURCES),
+      textField('URL', station, 'url'),
+      selectField('Adapter', station, 'adapter', adapters),
+      jsonField('Adapter options', station, 'adapterOptions'),
+      numberField('Polling interval (seconds)', station, 'pollingIntervalSec'),
+      selectField('AQI shown', station, 'aqiSource', AQI_SOURCES),
+      remove
+    );
+    return fieldset;
+  }));
+}
+
+document.getElementById('addStation').addEventListener('click', () => {
+  settings.server.stations.push({ id: '', name: '', url: '' });
+  renderStations();
+});
+
+// A label with a field, which writes its value back to object[key]
+function field(labelText, input, extra) {
+  const label = document.createElement('label');
+  const text = document.createElement('span');
+  text.textContent = labelText;
+  label.append(text, input);
+  if (extra) {
+    label.append(extra);
+  }
+  return label;
+}
+
+// Set a value, leaving the key out when it's emptied
+function setValue(object, key, value) {
+  if (value === '' || value === undefined) {
+    delete object[key];
+  } else {
+    object[key] = value;
+  }
+}
+
+function textField(labelText, object, key) {
+  const input = document.createElement('input');
+  input.type = /password|secret|apikey/i.test(key) ? 'password' : 'text';
+  input.value = object[key] ?? '';
+
+  // Show colours as they'll look
+  let swatch = null;
+  if (/color/i.test(key)) {
+    swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.backgroundColor = input.value;
+  }
+
+  input.addEventListener('input', () => {
+    setValue(object, key, input.value);
+    if (swatch) {
+      swatch.style.backgroundColor = input.value;
+    }
+  });
+  return field(labelText, input, swatch);
+}
+
+function numberField(labelText, object, key) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.step = 'any';
+  input.value = object[key] ?? '';
+  input.addEventListener('input', () => {
+    setValue(object, key, input.value === '' ? '' : Number(input.value));
+  });
+  return field(labelText, input);
+}
+
+function checkboxField(labelText, object, key) {
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.checked = Boolean(object[key]);
+  input.addEventListener('change', () => {
+    object[key] = input.checked;
+  });
+  return field(labelText, input);
+}
+
+function selectField(labelText, object, key, options) {
+  const select = document.createElement('select');
+  ['', ...options].forEach(option => {
+    const element = document.createElement('option');
+    element.value = option;
+    element.textContent = option || '(default)';
+    select.appendChild(element);
+  });
+  select.value = object[key] ?? '';
+  select.addEventListener('change', () => {
+    setValue(object, key, select.value);
+  });
+  return field(labelText, select);
+}
+
+// Free-form settings, edited as JSON
+function jsonField(labelText, object, key) {
+  const textarea = document.createElement('textarea');
+  textarea.value = object[key] ? JSON.stringify(object[key], null, 2) : '';
+  textarea.addEventListener('input', () => {
+    try {
+      setValue(object, key, textarea.value.trim() ? JSON.parse(textarea.value) : '');
+      textarea.setCustomValidity('');
+    } catch (error) {
+      textarea.setCustomValidity('Not valid JSON');
+    }
+  });
+  return field(labelText, textarea);
+}
+
+// Fields for each value of an object, nested objects in their own fieldsets
+function objectFields(legendText, parent, key) {
+  const object = parent[key] || (parent[key] = {});
+  const fieldset = document.createElement('fieldset');
+  if (legendText) {
+    const legend = document.createElement('legend');
+    legend.textContent = legendText;
+    fieldset.appendChild(legend);
+  }
+
+  Object.keys(object).forEach(childKey => {
+    const value = object[childKey];
+    const labelText = humanize(childKey);
+    if (typeof value === 'boolean') {
+      fieldset.appendChild(checkboxField(labelText, object, childKey));
+    } else if (typeof value === 'number') {
+      fieldset.appendChild(numberField(labelText, object, childKey));
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+      fieldset.appendChild(objectFields(labelText, object, childKey));
+    } else if (Array.isArray(value)) {
+      fieldset.appendChild(jsonField(labelText, object, childKey));
+    } else {
+      fieldset.appendChild(textField(labelText, object, childKey));
+    }
+  });
+  return fieldset;
+}
+
+// veryUnhealthy -> Very unhealthy
+function humanize(key) {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function showMessage(text, isError = false) {
+  const message = document.getElementById('message');
+  message.textContent = text;
+  message.className = `message ${isError ? 'error' : 'success'}`;
+}
+
+document.getElementById('settingsForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  if (!event.target.reportValidity()) {
+    return;
+  }
+
+  showMessage('Saving...');
+  try {
+    const response = await fetch(API_URL, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(settings)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showMessage([data.error, ...(data.problems || [])].join('\n'), true);
+      return;
+    }
+    showSettings(data);
+    const restart = data.restartRequired.length > 0 ?
+      `. Changes to ${data.restartRequired.join(', ')} take effect after a restart.` : '';
+    showMessage(`Saved at ${new Date().toLocaleTimeString()}${restart}`);
+  } catch (error) {
+    showMessage(`Failed to save: ${error.message}`, true);
+  }
+});
+
+// Share links
+document.getElementById('shareForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const output = document.getElementById('shareLink');
+  const hours = document.getElementById('shareHours').value;
+  try {
+    const response = await fetch('/api/auth/share-links', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hours: hours === '' ? undefined : Number(hours) })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+    }
+    output.className = 'message success';
+    output.textContent = `${data.url} (expires ${new Date(data.expiresAt).toLocaleString()})`;
+  } catch (error) {
+    output.className = 'message error';
+    output.textContent = `Failed to create a share link: ${error.message}`;
+  }
+});
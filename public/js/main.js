@@ -1,8 +1,11 @@
-import { fetchAirQualityData } from './modules/air-quality.js';
-import { fetchUvIndexData } from './modules/uv-index.js';
-import { setupEventSource } from './modules/event-source.js';
+import { fetchAirQualityData, renderAirQualityData } from './modules/air-quality.js';
+import { fetchUvIndexData, renderUvIndexData } from './modules/uv-index.js';
+import { renderAlertBanner, fetchAlerts } from './modules/alerts.js';
+import { setupEventSource, updateLiveSubscription, setConfigUpdateHandler } from './modules/event-source.js';
 import { fetchVersionInfo } from './modules/version.js';
-import { config, setConfig } from './modules/shared-state.js'; // Import shared state
+import { loadStations, reloadStations } from './modules/stations.js';
+import { applyAqiStandardStyles } from './modules/aqi-standard.js';
+import { config, setConfig, lastAqiData, lastUvData } from './modules/shared-state.js'; // Import shared state
 
 // Main entry point for Air Quality Dashboard
 document.addEventListener('DOMContentLoaded', loadConfig);
@@ -15,6 +18,8 @@ document.addEventListener('DOMContentLoaded', loadConfig);
 
 let eventSource = null; // Keep eventSource scoped here
 let uvChart = null; // Reference for UV chart (still needed? uv-chart.js manages its own instance)
+let aqiRefreshTimer = null;
+let uvRefreshTimer = null;
 
 // Fetch configuration and initialize
 async function loadConfig() {
@@ -22,11 +27,21 @@ async function loadConfig() {
     const response = await fetch('/config.json');
     const fetchedConfig = await response.json();
     setConfig(fetchedConfig); // Update shared state
+    applyAqiStandardStyles();
     
     // Load Chart.js before initializing dashboard
     await loadChartJsIfNeeded();
     
+    // Pick the station to display before the first fetch, and follow it
+    // with the live updates when it changes
+    await loadStations(() => {
+      fetchAirQualityData();
+      renderAlertBanner();
+      updateLiveSubscription();
+    });
+    
     initDashboard();
+    setConfigUpdateHandler(applyConfigUpdate);
     setupEventSource();
   } catch (error) {
     console.error('Failed to load configuration:', error);
@@ -37,14 +52,37 @@ async function loadConfig() {
 function initDashboard() {
   fetchAirQualityData();
   fetchUvIndexData();
+  fetchAlerts();
   fetchVersionInfo();
-  
-  // Set up auto-refresh based on config
+  scheduleRefresh();
+}
+
+// Set up auto-refresh based on config
+function scheduleRefresh() {
   const refreshIntervalAqi = (config.refreshIntervalSec || 600) * 1000;
   const refreshIntervalUv = (config.uvRefreshIntervalSec || 1800) * 1000;
   
-  setInterval(fetchAirQualityData, refreshIntervalAqi);
-  setInterval(fetchUvIndexData, refreshIntervalUv);
+  clearInterval(aqiRefreshTimer);
+  clearInterval(uvRefreshTimer);
+  aqiRefreshTimer = setInterval(fetchAirQualityData, refreshIntervalAqi);
+  uvRefreshTimer = setInterval(fetchUvIndexData, refreshIntervalUv);
+}
+
+// Apply a config changed on the server without reloading the page: restyle
+// the AQI categories, pick up any change to the stations and redraw with
+// the data already shown
+async function applyConfigUpdate(newConfig) {
+  setConfig(newConfig);
+  applyAqiStandardStyles();
+  scheduleRefresh();
+  await reloadStations();
+  
+  if (lastAqiData) {
+    renderAirQualityData(lastAqiData);
+  }
+  if (lastUvData) {
+    renderUvIndexData(lastUvData);
+  }
 }
 
 // Load Chart.js from CDN if not already loaded
@@ -1,5 +1,7 @@
 import { debugPrint } from './utils.js';
-import { config, lastAqiData, setLastAqiData } from './shared-state.js';
+import { lastAqiData, setLastAqiData } from './shared-state.js';
+import { getAirQualityUrl, getCurrentStation } from './stations.js';
+import { getAqiBands, getAqiBand, getBandClassName } from './aqi-standard.js';
 
 // Air quality module for handling AQI data
 
@@ -8,7 +10,7 @@ export async function fetchAirQualityData(forceRefresh = false) {
   try {
     // Add timestamp to prevent caching
     const timestamp = new Date().getTime();
-    const url = `/api/airquality?_=${timestamp}${forceRefresh ? '&force=1' : ''}`;
+    const url = `${getAirQualityUrl()}?_=${timestamp}${forceRefresh ? '&force=1' : ''}`;
     console.log(`Fetching air quality data with${forceRefresh ? ' forced refresh' : ' normal request'}: ${url}`);
     
     const response = await fetch(url, {
@@ -19,35 +21,18 @@ export async function fetchAirQualityData(forceRefresh = false) {
       }
     });
     
+    // Too many forced refreshes: the cached data will do
+    if (response.status === 429 && forceRefresh) {
+      return fetchAirQualityData(false);
+    }
+    
     if (!response.ok) {
       throw new Error(`HTTP error! Status: ${response.status}`);
     }
     
     const data = await response.json();
     
-    // Log exactly what we received for PM2.5
-    if (data && data.current && data.current.pm25) {
-      console.log(`CLIENT RECEIVED PM2.5 AQI US: ${data.current.pm25.aqius} (conc: ${data.current.pm25.conc}) at ${new Date().toLocaleTimeString()}`);
-    }
-    
-    // Store the data for comparison in the shared state
-    setLastAqiData(data);
-    
-    // Update the display
-    updateAirQualityDisplay(data);
-    
-    // Log PM2.5 AQI US value
-    if (data.current && data.current.pm25 && data.current.pm25.aqius !== undefined) {
-      console.log(`PM2.5 AQI US: ${data.current.pm25.aqius}`, data.current.pm25);
-    }
-    
-    // Update the last updated time
-    const currentTime = new Date();
-    document.getElementById('lastUpdatedTime').textContent = 
-      `${currentTime.toLocaleTimeString()}`;
-      
-    // Use imported debugPrint
-    debugPrint(`AQI data updated: ${JSON.stringify(data.current)}`);
+    renderAirQualityData(data);
   } catch (error) {
     console.error('Error fetching air quality data:', error);
     document.getElementById('lastUpdatedTime').textContent = 
@@ -55,7 +40,25 @@ export async function fetchAirQualityData(forceRefresh = false) {
   }
 }
 
+// Show a reading, either fetched or received with a live update event
+export function renderAirQualityData(data) {
+  // Log exactly what we received
+  if (data && data.current) {
+    console.log(`CLIENT RECEIVED AQI: ${data.aqi?.value} (${data.aqi?.source}, PM2.5: ${data.current.pm25}) from ${data.source} at ${new Date().toLocaleTimeString()}`);
+  }
+  
+  // Store the data for comparison in the shared state
+  setLastAqiData(data);
+  
+  // Update the display (including the last updated time)
+  updateAirQualityDisplay(data);
+  
+  // Use imported debugPrint
+  debugPrint(`AQI data updated: ${JSON.stringify(data?.current)}`);
+}
+
 // Update the air quality dashboard with the latest data
+// Expects a normalized reading as served by /api/airquality (see lib/adapters)
 function updateAirQualityDisplay(data) {
   if (!data) {
     console.error('Invalid data format');
@@ -63,17 +66,18 @@ function updateAirQualityDisplay(data) {
   }
   
   // Log what data we're displaying
-  if (data.current && data.current.pm25) {
-    console.log(`DISPLAYING PM2.5 AQI US: ${data.current.pm25.aqius}`);
+  if (data.current) {
+    console.log(`DISPLAYING AQI: ${data.aqi?.value}`);
   }
   
   // Handle API error
   if (data.error) {
     console.warn('Air quality API error:', data.error);
     
-    // Update last updated time with error
+    // Update last updated time with error, or say since when the sensor
+    // has been unreachable
     document.getElementById('lastUpdatedTime').textContent = 
-      `Error: ${data.error}`;
+      getUnreachableMessage(data.upstream) || `Error: ${data.error}`;
       
     // Display dash for missing values
     document.getElementById('aqiDisplay').textContent = '-';
@@ -95,19 +99,30 @@ function updateAirQualityDisplay(data) {
     return;
   }
   
-  // Update station name in header if available
-  if (data.name) {
-    document.querySelector('h1').textContent = data.name;
+  // Update station name in header, preferring the configured station name
+  // over the one the device reports
+  const stationName = getCurrentStation()?.name || data.name;
+  if (stationName) {
+    document.querySelector('h1').textContent = stationName;
   }
   
-  // Update last updated time
+  // Update last updated time, or show that this is the last reading from
+  // before the sensor became unreachable, or one the server saved before
+  // it restarted
+  const unreachableMessage = getUnreachableMessage(data.upstream);
   const currentTime = new Date();
-  document.getElementById('lastUpdatedTime').textContent = 
-    currentTime.toLocaleString();
+  let lastUpdatedText = currentTime.toLocaleTimeString();
+  if (unreachableMessage) {
+    lastUpdatedText = `${new Date(data.timestamp).toLocaleTimeString()} (${unreachableMessage})`;
+  } else if (data.stale) {
+    lastUpdatedText = `${new Date(data.fetchedAt).toLocaleTimeString()} (waiting for a new reading)`;
+  }
+  document.getElementById('lastUpdatedTime').textContent = lastUpdatedText;
   
-  // Update AQI display
-  const mainPollutant = data.current?.mainus;
-  const aqiValue = data.current?.aqius;
+  // Update AQI display, using the value the server picked according to its
+  // aqiSource setting (device-reported, computed or NowCast)
+  const mainPollutant = data.aqi?.pollutant || data.current?.mainPollutant;
+  const aqiValue = data.aqi ? data.aqi.value : data.current?.aqi;
   
   if (aqiValue === null || aqiValue === undefined) {
     document.getElementById('aqiDisplay').textContent = '-';
@@ -139,105 +154,72 @@ function updateAirQualityDisplay(data) {
     mainPollutantElement.textContent = formatPollutantName(mainPollutant);
   }
   
-  // Set AQI category and color
-  if (aqiValue !== null && aqiValue !== undefined) {
-    const aqiCategory = getAQICategory(aqiValue);
+  // Set AQI category and color from the band of the configured AQI standard
+  const aqiCategory = data.aqi?.band ? data.aqi.band : getAqiBand(aqiValue);
+  if (aqiValue !== null && aqiValue !== undefined && aqiCategory) {
     const categoryElement = document.getElementById('aqiCategory');
-    categoryElement.textContent = aqiCategory.name;
+    categoryElement.textContent = aqiCategory.label;
     
     // Get the main AQI card
     const mainAqiElement = document.querySelector('.main-aqi');
+    const className = getBandClassName(aqiCategory.key);
     
-    debugPrint(`Changing AQI category to: ${aqiCategory.name} (class: ${aqiCategory.className})`);
+    debugPrint(`Changing AQI category to: ${aqiCategory.label} (class: ${className})`);
     
     // Remove all category classes from both elements
-    const categoryClasses = ['good', 'moderate', 'unhealthy-sensitive', 'unhealthy', 'very-unhealthy', 'hazardous'];
+    const categoryClasses = getAqiBands().map(band => getBandClassName(band.key));
     
     categoryElement.classList.remove(...categoryClasses);
     mainAqiElement.classList.remove(...categoryClasses);
     
-    // IMPORTANT: Clear any inline styles that might be overriding the CSS classes
-    // This is critical to ensure color changes apply immediately without requiring a refresh
-    mainAqiElement.style.removeProperty('background-color');
-    mainAqiElement.style.removeProperty('color');
-    mainAqiElement.style.removeProperty('--measurement-text-color');
-    
-    debugPrint('Removed inline styles to ensure CSS classes take effect');
-    
-    // Add the current category class to both elements
-    categoryElement.classList.add(aqiCategory.className);
-    mainAqiElement.classList.add(aqiCategory.className);
+    // Add the current category class to both elements; its colours are
+    // generated from the standard's palette (see aqi-standard.js)
+    categoryElement.classList.add(className);
+    mainAqiElement.classList.add(className);
     
-    debugPrint(`Added class '${aqiCategory.className}' to elements`);
+    debugPrint(`Added class '${className}' to elements`);
     
-    // Wait a tiny bit for the class styles to apply before potentially overriding with custom colors
-    // This ensures that if custom colors fail, the class-based colors will still be visible
-    setTimeout(() => {
-      // Apply custom color settings from config if available
-      const configKey = aqiCategory.className.replace('-', '').replace('-', '');
-      if (config.aqiColors && config.aqiColors[configKey]) {
-        const colorConfig = config.aqiColors[configKey];
-        debugPrint(`Applying custom colors from config: bg=${colorConfig.backgroundColor}, text=${colorConfig.textColor}`);
-        
-        mainAqiElement.style.backgroundColor = colorConfig.backgroundColor;
-        mainAqiElement.style.color = colorConfig.textColor;
-        
-        // Set the CSS variable for measurement text color based on textColor
-        const textColor = colorConfig.textColor.toLowerCase();
-        // If the main text color is white or light, use white for measurements, otherwise black
-        if (textColor === '#fff' || textColor === '#ffffff' || textColor === 'white') {
-          mainAqiElement.style.setProperty('--measurement-text-color', '#fff');
-          debugPrint('Set measurement text color to white');
-        } else {
-          mainAqiElement.style.setProperty('--measurement-text-color', '#000');
-          debugPrint('Set measurement text color to black');
-        }
-      } else {
-        debugPrint('No custom colors in config, using CSS class-based colors');
-      }
-      
-      // Update page background based on AQI
-      updatePageBackground(aqiValue);
-    }, 10);
+    // Update page background based on AQI
+    updatePageBackground(className);
   } else {
     document.getElementById('aqiCategory').textContent = '-';
   }
   
   // Update weather data
   document.getElementById('temperature').textContent = 
-    data.current?.tp ? `${data.current.tp}°C` : '-';
+    formatMeasurement(data.current?.temperature, '°C', '');
   document.getElementById('humidity').textContent = 
-    data.current?.hm ? `${data.current.hm}%` : '-';
+    formatMeasurement(data.current?.humidity, '%', '');
   // Update pressure only if element exists
   const pressureElement = document.getElementById('pressure');
-  if (pressureElement && data.current?.pr) {
-    pressureElement.textContent = `${(data.current.pr / 100).toFixed(1)} hPa`;
+  if (pressureElement) {
+    pressureElement.textContent = formatMeasurement(data.current?.pressure, 'hPa');
   }
   
   // Update new measurement values next to AQI
-  console.log('PM data structure:', {
-    pm1: data.current?.pm1,
-    pm10: data.current?.pm10,
-    pm25: data.current?.pm25
-  });
-  
-  document.getElementById('pm1Value').textContent =
-    data.current?.pm1 !== undefined && data.current?.pm1 !== null ?
-      (typeof data.current.pm1 === 'object' ? 
-        (data.current.pm1.conc !== undefined ? `${data.current.pm1.conc} μg/m³` : `- μg/m³`) 
-        : `${data.current.pm1} μg/m³`) : '-';
-  
-  document.getElementById('pm10Value').textContent =
-    data.current?.pm10 !== undefined && data.current?.pm10 !== null ?
-      (typeof data.current.pm10 === 'object' ? 
-        (data.current.pm10.conc !== undefined ? `${data.current.pm10.conc} μg/m³` : `- μg/m³`) 
-        : `${data.current.pm10} μg/m³`) : '-';
-  
-  document.getElementById('pm25Value').textContent =
-    data.current?.pm25 !== undefined && data.current?.pm25 !== null ?
-      (typeof data.current.pm25 === 'object' ? 
-        (data.current.pm25.conc !== undefined ? `${data.current.pm25.conc} μg/m³` : `- μg/m³`) 
-        : `${data.current.pm25} μg/m³`) : '-';
+  document.getElementById('pm1Value').textContent = formatMeasurement(data.current?.pm1, 'μg/m³');
+  document.getElementById('pm10Value').textContent = formatMeasurement(data.current?.pm10, 'μg/m³');
+  document.getElementById('pm25Value').textContent = formatMeasurement(data.current?.pm25, 'μg/m³');
+}
+
+// Describe an unreachable sensor from the upstream status the server sends
+// with each reading, e.g. "Sensor unreachable since 14:02". Returns null
+// while the sensor is reachable.
+function getUnreachableMessage(upstream) {
+  if (!upstream || upstream.state === 'closed' || !upstream.unreachableSince) {
+    return null;
+  }
+  const since = new Date(upstream.unreachableSince)
+    .toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return `Sensor unreachable since ${since}`;
+}
+
+// Format a normalized measurement with its unit, or a dash if it's missing
+function formatMeasurement(value, unit, separator = ' ') {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return `${value}${separator}${unit}`;
 }
 
 // Format pollutant name for display
@@ -246,41 +228,16 @@ function formatPollutantName(pollutant) {
     case 'pm25': return 'PM2.5';
     case 'pm10': return 'PM10';
     case 'pm1': return 'PM1';
+    case 'co2': return 'CO₂';
     default: return pollutant;
   }
 }
 
-// Get AQI category based on AQI value and thresholds from config
-function getAQICategory(aqi) {
-  // Access imported config
-  if (!config?.aqiThresholds) {
-      console.error('AQI thresholds not found in config!');
-      return { name: 'Unknown', className: '' }; // Default/error category
-  }
-
-  if (aqi <= config.aqiThresholds.good) {
-    return { name: 'Good', className: 'good' };
-  } else if (aqi <= config.aqiThresholds.moderate) {
-    return { name: 'Moderate', className: 'moderate' };
-  } else if (aqi <= config.aqiThresholds.unhealthySensitive) {
-    return { name: 'Unhealthy for Sensitive Groups', className: 'unhealthy-sensitive' };
-  } else if (aqi <= config.aqiThresholds.unhealthy) {
-    return { name: 'Unhealthy', className: 'unhealthy' };
-  } else if (aqi <= config.aqiThresholds.veryUnhealthy) {
-    return { name: 'Very Unhealthy', className: 'very-unhealthy' };
-  } else {
-    return { name: 'Hazardous', className: 'hazardous' };
-  }
-}
-
-// Update the page background based on AQI
-function updatePageBackground(aqi) {
+// Update the page background to match the AQI category
+function updatePageBackground(className) {
   // Remove all background classes
-  document.body.classList.remove(
-    'bg-good', 'bg-moderate', 'bg-unhealthy-sensitive', 'bg-unhealthy', 'bg-very-unhealthy', 'bg-hazardous'
-  );
+  document.body.classList.remove(...getAqiBands().map(band => `bg-${getBandClassName(band.key)}`));
   
-  // Get the AQI category and apply the matching background class
-  const aqiCategory = getAQICategory(aqi);
-  document.body.classList.add(`bg-${aqiCategory.className}`);
-} 
\ No newline at end of file
+  // Apply the matching background class
+  document.body.classList.add(`bg-${className}`);
+}
@@ -0,0 +1,56 @@
+// Alert module for the banner showing the server's active alerts
+
+import { debugPrint } from './utils.js';
+import { currentStationId } from './shared-state.js';
+
+let activeAlerts = [];
+
+// Fetch the active alerts and show the ones for the displayed station
+export async function fetchAlerts() {
+  try {
+    // Only the active alerts are needed, so skip most of the history
+    const response = await fetch('/api/alerts?limit=1', { cache: 'no-store' });
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    const data = await response.json();
+    activeAlerts = data.active || [];
+    renderAlertBanner();
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+  }
+}
+
+// Apply an alert event from the server: { event: "fired" | "resolved", alert }
+export function handleAlertEvent(data) {
+  if (!data || !data.alert) {
+    return;
+  }
+  debugPrint(`Alert ${data.event}: ${data.alert.message}`);
+  activeAlerts = activeAlerts.filter(alert => alert.id !== data.alert.id);
+  if (data.event === 'fired') {
+    activeAlerts.unshift(data.alert);
+  }
+  renderAlertBanner();
+}
+
+// Show the alerts for the displayed station (and UV alerts, which have no
+// station) in the banner, hiding it when there are none
+export function renderAlertBanner() {
+  const banner = document.getElementById('alertBanner');
+  if (!banner) {
+    return;
+  }
+
+  const shown = activeAlerts.filter(alert =>
+    !alert.station || !currentStationId || alert.station === currentStationId);
+
+  banner.replaceChildren(...shown.map(alert => {
+    const item = document.createElement('div');
+    item.className = `alert-banner-item ${alert.severity}`;
+    item.textContent = alert.message;
+    item.title = `Since ${new Date(alert.firedAt).toLocaleTimeString()}`;
+    return item;
+  }));
+  banner.hidden = shown.length === 0;
+}
@@ -0,0 +1,74 @@
+// AQI standard module: bands of the selected standard and their styles
+//
+// The server resolves the AQI standard chosen in config.json (with any
+// aqiThresholds/aqiColors overrides) and serves its bands as config.aqiScale.
+// The category classes and page backgrounds are generated from those bands.
+
+import { debugPrint } from './utils.js';
+import { config } from './shared-state.js';
+
+const STYLE_ELEMENT_ID = 'aqiStandardStyles';
+const PAGE_BACKGROUND_ALPHA = 0.15;
+
+// Get the bands of the selected standard, lowest first
+export function getAqiBands() {
+  return config?.aqiScale?.bands || [];
+}
+
+// Convert a band key to its CSS class name (unhealthySensitive -> unhealthy-sensitive)
+export function getBandClassName(key) {
+  return key.replace(/([a-z0-9])([A-Z])/g, '$1-$2').toLowerCase();
+}
+
+// Get the band an AQI value falls into, or null if there is none
+export function getAqiBand(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return getAqiBands().find(band => band.max === null || value <= band.max) || null;
+}
+
+// Generate the category classes and page backgrounds for the selected standard
+export function applyAqiStandardStyles() {
+  const bands = getAqiBands();
+  if (bands.length === 0) {
+    console.error('AQI bands not found in config!');
+    return;
+  }
+  
+  const rules = bands.map(band => {
+    const className = getBandClassName(band.key);
+    return `.main-aqi.${className} {
+  background-color: ${band.backgroundColor};
+  color: ${band.textColor};
+  --measurement-text-color: ${band.textColor};
+}
+
+body.bg-${className} {
+  background-color: ${withAlpha(band.backgroundColor, PAGE_BACKGROUND_ALPHA)};
+}`;
+  });
+  
+  let styleElement = document.getElementById(STYLE_ELEMENT_ID);
+  if (!styleElement) {
+    styleElement = document.createElement('style');
+    styleElement.id = STYLE_ELEMENT_ID;
+    document.head.appendChild(styleElement);
+  }
+  styleElement.textContent = rules.join('\n\n');
+  
+  debugPrint(`Applied styles for AQI standard ${config.aqiScale.name} (${bands.length} bands)`);
+}
+
+// Make any CSS colour translucent by letting the browser resolve it to rgb()
+export function withAlpha(color, alpha) {
+  const probe = document.createElement('div');
+  probe.style.color = color;
+  probe.style.display = 'none';
+  document.body.appendChild(probe);
+  const resolved = getComputedStyle(probe).color;
+  probe.remove();
+  
+  const match = resolved.match(/rgba?\(\s*(\d+)[,\s]+(\d+)[,\s]+(\d+)/);
+  return match ? `rgba(${match[1]}, ${match[2]}, ${match[3]}, ${alpha})` : color;
+}
@@ -1,17 +1,20 @@
 // Event source module for handling server-sent events
 
 import { debugPrint } from './utils.js';
-import { config } from './shared-state.js';
-import { fetchAirQualityData } from './air-quality.js'; // Import necessary fetch functions
-import { fetchUvIndexData } from './uv-index.js';
+import { config, currentStationId } from './shared-state.js';
+import { fetchAirQualityData, renderAirQualityData } from './air-quality.js'; // Import necessary fetch functions
+import { fetchUvIndexData, renderUvIndexData } from './uv-index.js';
+import { fetchAlerts, handleAlertEvent } from './alerts.js';
 
 let eventSource = null; // Keep eventSource local to this module
 let connectionMonitor = null;
+let sensorMonitor = null;
 let reconnectionTimer = null;
 let consecutiveFailures = 0; // Track consecutive health check failures
 const MAX_CONSECUTIVE_FAILURES = 3; // Number of failures before marking as disconnected
 const HEALTH_CHECK_INTERVAL = 5000; // Check every 5 seconds
 const HEALTH_CHECK_TIMEOUT = 3000; // 3 second timeout
+const SENSOR_CHECK_INTERVAL = 30000; // Check the sensor's reachability every 30 seconds
 
 // Add styling for the disconnected state
 const disconnectedStyle = document.createElement('style');
@@ -84,7 +87,8 @@ function startConnectionMonitoring() {
     })
     .then(response => {
       clearTimeout(timeoutId);
-      if (response.ok) {
+      // A 429 (rate limited) is still the server answering
+      if (response.ok || response.status === 429) {
         markServerConnected(); // Reset failures on success
       } else {
         // Increment failure count, mark disconnected only if threshold reached
@@ -105,6 +109,53 @@ function startConnectionMonitoring() {
       }
     });
   }, HEALTH_CHECK_INTERVAL); // Use configured interval
+  
+  // Separately watch whether the server can reach the sensor
+  if (sensorMonitor) {
+    clearInterval(sensorMonitor);
+  }
+  checkSensorStatus();
+  sensorMonitor = setInterval(checkSensorStatus, SENSOR_CHECK_INTERVAL);
+}
+
+// Check /api/status for whether the server can reach the displayed station's
+// sensor, so a sensor that's down isn't mistaken for a server that's down
+function checkSensorStatus() {
+  // Nothing to learn while the server itself is unreachable
+  const liveIndicator = document.querySelector('.live-indicator');
+  if (!liveIndicator || liveIndicator.classList.contains('disconnected')) {
+    return;
+  }
+  
+  fetch('/api/status', { cache: 'no-store' })
+    .then(response => {
+      // The session or share link expired: reloading goes to the login page
+      if (response.status === 401) {
+        window.location.reload();
+      }
+      return response.json();
+    })
+    .then(status => {
+      const station = (status.stations || []).find(entry => entry.id === currentStationId) ||
+        (status.stations || [])[0];
+      const sensorDown = Boolean(station && station.upstream.state !== 'closed');
+      
+      // The server may have been lost while the request was in flight
+      if (liveIndicator.classList.contains('disconnected') ||
+          sensorDown === liveIndicator.classList.contains('sensor-down')) {
+        return;
+      }
+      
+      liveIndicator.classList.toggle('sensor-down', sensorDown);
+      liveIndicator.innerHTML = sensorDown ?
+        '<span class="pulse"></span>Sensor unreachable' :
+        '<span class="pulse"></span>Live Updates';
+      debugPrint(sensorDown ? `Sensor of ${station.id} is unreachable` : 'Sensor reachable again');
+    })
+    .catch(error => {
+      // The health check takes care of reporting the server as down
+      debugPrint(`Status check failed: ${error.message}`);
+    });
 }
 
 // Mark the server as disconnected
@@ -114,6 +165,7 @@ function markServerDisconnected() {
   // Update the live indicator
   const liveIndicator = document.querySelector('.live-indicator');
   if (liveIndicator) {
+    liveIndicator.classList.remove('sensor-down');
     liveIndicator.classList.add('disconnected');
     liveIndicator.innerHTML = '<span class="pulse"></span>Connection lost';
   }
@@ -131,11 +183,8 @@ function markServerDisconnected() {
     document.body.appendChild(overlay);
   }
   
-  // Close any existing EventSource connection
-  if (eventSource) {
-    eventSource.close();
-    eventSource = null;
-  }
+  // Close any existing live update connection
+  closeLiveConnection();
   
   // Start reconnection if not already trying
   startReconnection();
@@ -160,8 +209,11 @@ function markServerConnected() {
     
     console.log('Server connection restored.');
     
-    // Restart EventSource if needed
-    if (!eventSource) {
+    // See whether the server can reach the sensor again
+    checkSensorStatus();
+    
+    // Restart live updates if needed
+    if (!hasLiveConnection()) {
       setupEventSource(true); // Pass flag indicating reconnection
     }
   } else if (wasDisconnected) {
@@ -197,78 +249,309 @@ function startReconnection() {
   }
 }
 
-// Set up server-sent events for real-time updates
-export function setupEventSource(isReconnection = false) { // Add flag parameter
-  if (!config?.sseEnabled) {
-    debugPrint('SSE disabled in config, skipping setup.');
-    return;
+// Live update transports, in the order they're tried: WebSocket, then
+// server-sent events (which some proxies buffer), then plain polling
+const LIVE_TRANSPORTS = ['websocket', 'sse', 'polling'];
+const TRANSPORT_TIMEOUT = 15000; // A transport that delivers nothing for this long isn't getting through
+const WEBSOCKET_RECONNECT_DELAY = 5000;
+
+let webSocket = null;
+let pollingTimer = null;
+let transportTimer = null;
+let workingTransport = null; // The transport that got through, reused on reconnection
+let lastEventId = null; // For resuming after a drop, over either transport
+let configUpdateHandler = null; // Applies a config-update event (see main.js)
+
+// Set what a config-update event calls with the new config
+export function setConfigUpdateHandler(handler) {
+  configUpdateHandler = handler;
+}
+
+// Handle a live update event, whichever transport it came by
+function handleLiveEvent(type, data) {
+  switch (type) {
+    case 'aqi-update':
+      debugPrint(`Received AQI update from server for ${data.station}: ${data.timestamp}`);
+      // Ignore updates for stations other than the one being displayed
+      if (data.station && currentStationId && data.station !== currentStationId) {
+        return;
+      }
+      // The event carries the new reading, so there's no need to fetch it
+      if (data.data) {
+        renderAirQualityData(data.data);
+      } else {
+        fetchAirQualityData();
+      }
+      break;
+    
+    // A station's sensor became unreachable or reachable again
+    case 'upstream-status':
+      debugPrint(`Received upstream status for ${data.station}: ${data.upstream?.state}`);
+      if (data.station && currentStationId && data.station !== currentStationId) {
+        return;
+      }
+      fetchAirQualityData();
+      break;
+    
+    case 'server-started':
+      debugPrint(`Server has started/restarted at: ${data.timestamp}`);
+      
+      // Reload the page to get fresh code
+      setTimeout(() => {
+        window.location.reload();
+      }, 1000);
+      break;
+    
+    case 'uv-update':
+      debugPrint(`Received UV update from server: ${data.timestamp}`);
+      if (data.data) {
+        renderUvIndexData(data.data);
+      } else {
+        fetchUvIndexData(false, true);
+      }
+      break;
+    
+    // An alert fired or resolved
+    case 'alert':
+      handleAlertEvent(data);
+      break;
+    
+    // config.json or public/config.json changed on the server
+    case 'config-update':
+      debugPrint(`Received config update from server: ${data.timestamp}`);
+      if (data.config && configUpdateHandler) {
+        configUpdateHandler(data.config);
+      }
+      break;
+    
+    // The server couldn't replay all the events missed while disconnected
+    case 'resync':
+      debugPrint('Missed too many updates, fetching the latest data');
+      fetchAirQualityData();
+      fetchUvIndexData();
+      fetchAlerts();
+      break;
   }
-  
+}
+
+// Set up live updates from the server, over the first transport that gets
+// through (or the one set with liveTransport in the config)
+export function setupEventSource(isReconnection = false) { // Add flag parameter
   // Start connection monitoring regardless of SSE state
   // Only start monitoring if it hasn't been started already
   if (!connectionMonitor) {
       startConnectionMonitoring();
   }
   
+  if (!config?.sseEnabled) {
+    debugPrint('Live updates disabled in config, skipping setup.');
+    return;
+  }
+  
   // Don't set up a new connection if one exists
-  if (eventSource) {
+  if (hasLiveConnection()) {
     return;
   }
   
+  let transports = LIVE_TRANSPORTS;
+  if (workingTransport) {
+    transports = LIVE_TRANSPORTS.slice(LIVE_TRANSPORTS.indexOf(workingTransport));
+  } else if (LIVE_TRANSPORTS.includes(config.liveTransport)) {
+    transports = [config.liveTransport];
+  }
+  connectTransport(transports, isReconnection);
+}
+
+// Connect with the first of the transports, falling back to the next ones
+// if it doesn't get through
+function connectTransport(transports, isReconnection) {
+  const [transport, ...fallbacks] = transports;
+  
+  const fallBack = () => {
+    closeLiveConnection();
+    if (fallbacks.length > 0) {
+      console.warn(`Live updates over ${transport} aren't getting through, trying ${fallbacks[0]}`);
+      connectTransport(fallbacks, isReconnection);
+    }
+  };
+  
+  // Give up on the transport if nothing arrives in time (the server sends a
+  // ping as soon as a client connects)
+  clearTimeout(transportTimer);
+  if (transport !== 'polling') {
+    transportTimer = setTimeout(fallBack, TRANSPORT_TIMEOUT);
+  }
+  
   try {
-    eventSource = new EventSource('/api/events');
-    
-    // Connection opened
-    eventSource.addEventListener('open', () => {
-      console.log(`✅ SSE connection established successfully ${isReconnection ? '(reconnected)' : ''}`);
-      debugPrint(`SSE connection established ${isReconnection ? '(reconnected)' : ''}`);
-      // If this was a reconnection, force a data refresh
-      if (isReconnection) {
-          console.log('Forcing data refresh after SSE reconnection.');
-          fetchAirQualityData(true); // Force refresh AQI
-          fetchUvIndexData(true, true); // Force refresh UV
-      }
-    });
-    
-    // Listen for AQI updates
-    eventSource.addEventListener('aqi-update', (event) => {
-      const data = JSON.parse(event.data);
-      debugPrint(`Received AQI update from server: ${data.timestamp}`);
-      fetchAirQualityData(true);
-    });
-    
-    // Listen for server restart notifications
-    eventSource.addEventListener('server-started', (event) => {
-      const data = JSON.parse(event.data);
-      debugPrint(`Server has started/restarted at: ${data.timestamp}`);
-      
-      // Reload the page to get fresh code
-      setTimeout(() => {
-        window.location.reload();
-      }, 1000);
-    });
+    if (transport === 'websocket') {
+      connectWebSocket(isReconnection, fallBack);
+    } else if (transport === 'sse') {
+      connectServerSentEvents(isReconnection);
+    } else {
+      startPolling();
+    }
+  } catch (error) {
+    console.error(`Failed to set up live updates over ${transport}:`, error);
+    fallBack();
+  }
+}
+
+// Note that a transport is getting messages through
+function markTransportWorking(transport, isReconnection) {
+  if (workingTransport === transport && !transportTimer) {
+    return;
+  }
+  clearTimeout(transportTimer);
+  transportTimer = null;
+  workingTransport = transport;
+  
+  debugPrint(`Live updates over ${transport} established ${isReconnection ? '(reconnected)' : ''}`);
+  
+  const liveIndicator = document.querySelector('.live-indicator');
+  if (liveIndicator) {
+    liveIndicator.title = `Live updates via ${transport}`;
+  }
+  
+  // A reconnection resumes after the last event seen, and the server replays
+  // what was missed (or sends resync). Without one to resume from, fetch the
+  // latest data instead; the cached data will do.
+  if (isReconnection && !lastEventId) {
+    debugPrint('Fetching the latest data after reconnection');
+    fetchAirQualityData();
+    fetchUvIndexData(false, true);
+    fetchAlerts();
+  }
+}
+
+// Live updates over a WebSocket, subscribed to the displayed station
+function connectWebSocket(isReconnection, fallBack) {
+  const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+  const socket = new WebSocket(`${protocol}//${window.location.host}/api/ws`);
+  let gotMessage = false;
+  webSocket = socket;
+  
+  socket.addEventListener('open', () => {
+    updateLiveSubscription();
+    // Catch up on what was missed while the socket was down
+    if (lastEventId) {
+      socket.send(JSON.stringify({ type: 'resume', lastEventId }));
+    }
+  });
+  
+  socket.addEventListener('message', (event) => {
+    const message = JSON.parse(event.data);
+    if (!gotMessage) {
+      gotMessage = true;
+      markTransportWorking('websocket', isReconnection);
+    }
+    if (message.id) {
+      lastEventId = message.id;
+    }
+    if (message.type === 'error') {
+      console.warn('WebSocket error from server:', message.data?.error);
+      return;
+    }
+    handleLiveEvent(message.type, message.data);
+  });
+  
+  socket.addEventListener('close', () => {
+    if (webSocket !== socket) {
+      return; // Closed on purpose
+    }
+    webSocket = null;
     
-    // Listen for UV updates
-    eventSource.addEventListener('uv-update', (event) => {
-      const data = JSON.parse(event.data);
-      debugPrint(`Received UV update from server: ${data.timestamp}`);
-      fetchUvIndexData(true, true);
-    });
+    // A socket that never got anything through won't do better next time
+    if (!gotMessage) {
+      fallBack();
+      return;
+    }
     
-    // Connection error handling - keep it simple, our monitoring will handle this
-    eventSource.addEventListener('error', () => {
-      // Let the connection monitor handle the state
-    });
-  } catch (error) {
-    console.error('Failed to create EventSource:', error);
+    // Otherwise reconnect, unless the server is down (the connection
+    // monitor reconnects once it's back)
+    setTimeout(() => {
+      const liveIndicator = document.querySelector('.live-indicator');
+      if (!hasLiveConnection() && !liveIndicator?.classList.contains('disconnected')) {
+        connectTransport(LIVE_TRANSPORTS, true);
+      }
+    }, WEBSOCKET_RECONNECT_DELAY);
+  });
+}
+
+// Tell the server which station's events to send over the WebSocket
+export function updateLiveSubscription() {
+  if (webSocket && webSocket.readyState === WebSocket.OPEN) {
+    webSocket.send(JSON.stringify({
+      type: 'subscribe',
+      stations: currentStationId ? [currentStationId] : null
+    }));
   }
 }
 
-// Clean up when the page is unloaded
-window.addEventListener('beforeunload', () => {
+// Live updates over server-sent events. The browser reconnects by itself,
+// sending the last event id so the server can replay what was missed.
+function connectServerSentEvents(isReconnection) {
+  // A new EventSource doesn't send Last-Event-ID, so resume with the query
+  eventSource = new EventSource(lastEventId ? `/api/events?lastEventId=${encodeURIComponent(lastEventId)}` : '/api/events');
+  
+  // The first event (the server's "connected" ping) shows events get through
+  eventSource.addEventListener('ping', () => {
+    markTransportWorking('sse', isReconnection);
+  });
+  
+  ['aqi-update', 'uv-update', 'upstream-status', 'alert', 'config-update', 'server-started', 'resync'].forEach(type => {
+    eventSource.addEventListener(type, (event) => {
+      if (event.lastEventId) {
+        lastEventId = event.lastEventId;
+      }
+      handleLiveEvent(type, JSON.parse(event.data));
+    });
+  });
+  
+  // Connection error handling - keep it simple, our monitoring will handle this
+  eventSource.addEventListener('error', () => {
+    // Let the connection monitor handle the state
+  });
+}
+
+// Last resort: poll for the latest data
+function startPolling() {
+  const interval = (config.livePollingIntervalSec || 60) * 1000;
+  pollingTimer = setInterval(() => {
+    fetchAirQualityData();
+    fetchUvIndexData();
+    fetchAlerts();
+  }, interval);
+  markTransportWorking('polling', false);
+}
+
+// Whether live updates are set up over any transport
+function hasLiveConnection() {
+  return Boolean(eventSource || webSocket || pollingTimer);
+}
+
+// Close the live update connection, whichever transport it uses
+function closeLiveConnection() {
+  clearTimeout(transportTimer);
+  transportTimer = null;
+  
   if (eventSource) {
     eventSource.close();
+    eventSource = null;
+  }
+  if (webSocket) {
+    const socket = webSocket;
+    webSocket = null;
+    socket.close();
+  }
+  if (pollingTimer) {
+    clearInterval(pollingTimer);
+    pollingTimer = null;
   }
+}
+
+// Clean up when the page is unloaded
+window.addEventListener('beforeunload', () => {
+  closeLiveConnection();
   
   if (connectionMonitor) {
     clearInterval(connectionMonitor);
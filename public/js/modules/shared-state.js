@@ -3,6 +3,8 @@
 export let config = null;
 export let lastAqiData = null;
 export let lastUvData = null;
+export let stations = [];
+export let currentStationId = null;
 
 // Function to update the shared config state
 export function setConfig(newConfig) {
@@ -16,4 +18,13 @@ export function setLastAqiData(data) {
 
 export function setLastUvData(data) {
   lastUvData = data;
-} 
\ No newline at end of file
+}
+
+// Functions to update the station list and the station being displayed
+export function setStations(newStations) {
+  stations = newStations;
+}
+
+export function setCurrentStationId(stationId) {
+  currentStationId = stationId;
+}
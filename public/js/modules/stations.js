@@ -0,0 +1,126 @@
+// Station module for choosing which air quality station is displayed
+
+import { debugPrint } from './utils.js';
+import { stations, currentStationId, setStations, setCurrentStationId } from './shared-state.js';
+
+const STATION_QUERY_PARAM = 'station';
+
+let stationChangeHandler = null;
+
+// Fetch the station list and pick the station named in the URL (or the first)
+// onStationChange is called whenever the user switches station
+export async function loadStations(onStationChange) {
+  stationChangeHandler = onStationChange;
+  await fetchStations();
+  
+  selectStation(getStationIdFromUrl());
+  renderStationSelector(onStationChange);
+  
+  // Follow the browser's back/forward buttons between stations
+  window.addEventListener('popstate', () => {
+    selectStation(getStationIdFromUrl());
+    onStationChange && onStationChange(getCurrentStation());
+  });
+}
+
+// Fetch the station list again after the server's config changed, keeping
+// the current station if it's still there
+export async function reloadStations() {
+  const previousStationId = currentStationId;
+  await fetchStations();
+  
+  selectStation(previousStationId);
+  document.getElementById('stationSelect')?.remove();
+  renderStationSelector(stationChangeHandler);
+  
+  if (currentStationId !== previousStationId && stationChangeHandler) {
+    stationChangeHandler(getCurrentStation());
+  }
+}
+
+async function fetchStations() {
+  try {
+    const response = await fetch('/api/stations');
+    if (!response.ok) {
+      throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    setStations(await response.json());
+  } catch (error) {
+    console.error('Error fetching station list:', error);
+    setStations([]);
+  }
+}
+
+// Get the station currently displayed
+export function getCurrentStation() {
+  return stations.find(station => station.id === currentStationId) || null;
+}
+
+// Get the air quality API URL for the current station
+export function getAirQualityUrl() {
+  return currentStationId ?
+    `/api/stations/${encodeURIComponent(currentStationId)}/airquality` :
+    '/api/airquality';
+}
+
+// Make a station current, falling back to the first one for unknown ids
+function selectStation(stationId) {
+  const station = stations.find(item => item.id === stationId) || stations[0] || null;
+  setCurrentStationId(station ? station.id : null);
+  
+  const select = document.getElementById('stationSelect');
+  if (select && station) {
+    select.value = station.id;
+  }
+  
+  updateStationHeader();
+  debugPrint(`Displaying station: ${currentStationId}`);
+}
+
+// Read the station id from the page URL
+function getStationIdFromUrl() {
+  return new URLSearchParams(window.location.search).get(STATION_QUERY_PARAM);
+}
+
+// Remember the station in the page URL so reloads and bookmarks keep it
+function setStationIdInUrl(stationId) {
+  const url = new URL(window.location.href);
+  url.searchParams.set(STATION_QUERY_PARAM, stationId);
+  window.history.pushState({ station: stationId }, '', url);
+}
+
+// Show the station's name in the page header
+function updateStationHeader() {
+  const station = getCurrentStation();
+  if (station && station.name) {
+    document.querySelector('h1').textContent = station.name;
+  }
+}
+
+// Add a station dropdown to the header when there is more than one station
+function renderStationSelector(onStationChange) {
+  if (stations.length < 2 || document.getElementById('stationSelect')) {
+    return;
+  }
+  
+  const select = document.createElement('select');
+  select.id = 'stationSelect';
+  select.className = 'station-select';
+  select.setAttribute('aria-label', 'Station');
+  
+  stations.forEach(station => {
+    const option = document.createElement('option');
+    option.value = station.id;
+    option.textContent = station.name || station.id;
+    select.appendChild(option);
+  });
+  select.value = currentStationId;
+  
+  select.addEventListener('change', () => {
+    selectStation(select.value);
+    setStationIdInUrl(select.value);
+    onStationChange && onStationChange(getCurrentStation());
+  });
+  
+  document.querySelector('.header-container').appendChild(select);
+}
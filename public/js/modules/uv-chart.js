@@ -1,22 +1,22 @@
 import { CubicSpline } from './spline.js';
 import { generateSmoothCurve as generateSmoothCurveLinear } from './uv-utils.js'; // Linear fallback
+import { getUvBand } from './uv-scale.js';
+import { withAlpha } from './aqi-standard.js';
+
+const WINDOW_BAND_ALPHA = 0.12;
 
 let uvChart = null; // Keep track of the chart instance locally within this module
 
-// Helper function to get color by segment
-function getSegmentColor(ctx, type, uvColors) {
-  const value = ctx.p0.parsed.y;
-  // Use standard UV index thresholds
-  if (value < 4) return type === 'line' ? uvColors.low.lineColor : uvColors.low.fillColor; // Green
-  if (value < 6) return type === 'line' ? uvColors.moderate.lineColor : uvColors.moderate.fillColor; // Yellow
-  if (value < 8) return type === 'line' ? uvColors.high.lineColor : uvColors.high.fillColor; // Orange
-  if (value < 11) return type === 'line' ? uvColors.veryHigh.lineColor : uvColors.veryHigh.fillColor; // Red/Pink
-  return type === 'line' ? uvColors.extreme.lineColor : uvColors.extreme.fillColor; // Purple
+// Helper function to get color by segment, from the UV band it's in (see uv-scale.js)
+function getSegmentColor(ctx, type) {
+  const band = getUvBand(ctx.p0.parsed.y);
+  if (!band) return undefined;
+  return type === 'line' ? band.lineColor : band.fillColor;
 }
 
 // Function to generate a smooth curve using cubic spline
 // Returns smooth values/times and specific timestamps for axis ticks
-function generateSmoothCurveWithSpline(uvReadings, uvRiseTime, uvFallTime) {
+function generateSmoothCurveWithSpline(uvReadings, crossingTimes) {
   if (!uvReadings || uvReadings.length < 2) {
     console.error('Cannot generate smooth curve: insufficient data');
     // Fall back to original data as points
@@ -85,15 +85,11 @@ function generateSmoothCurveWithSpline(uvReadings, uvRiseTime, uvFallTime) {
         currentHourTimestamp.setHours(currentHourTimestamp.getHours() + 1);
     }
 
-    // Ensure specific rise/fall times are included in the axis labels
-    if (uvRiseTime) {
-      const riseTimestamp = timeStringToTimestamp(uvRiseTime, start);
-      if (riseTimestamp) pointsToInclude.set(uvRiseTime, riseTimestamp);
-    }
-    if (uvFallTime) {
-        const fallTimestamp = timeStringToTimestamp(uvFallTime, start);
-        if (fallTimestamp) pointsToInclude.set(uvFallTime, fallTimestamp);
-    }
+    // Ensure the windows' rise/fall times are included in the axis labels
+    crossingTimes.forEach(crossingTime => {
+      const crossingTimestamp = timeStringToTimestamp(crossingTime, start);
+      if (crossingTimestamp) pointsToInclude.set(crossingTime, crossingTimestamp);
+    });
 
     // Add last point
     const endTimeStr = formatTime(end);
@@ -189,18 +185,19 @@ function formatTimeAmPm(timestamp) {
   return `${hours}${ampm}`; // Return format like "9am", "1pm"
 }
 
-// Update UV chart
-function updateUvChart(canvas, uvReadings, currentUv, currentTime, uvRiseTime, uvFallTime) {
+// Update UV chart. uvWindows are the exposure windows with their riseTime/fallTime.
+function updateUvChart(canvas, uvReadings, currentUv, currentTime, uvWindows = []) {
   if (!canvas) return null;
 
-  console.log('updateUvChart received times:', { uvRiseTime, uvFallTime });
+  const crossingTimes = uvWindows.flatMap(uvWindow => [uvWindow.riseTime, uvWindow.fallTime]).filter(Boolean);
+  console.log('updateUvChart received times:', crossingTimes);
 
   if (uvChart) {
     uvChart.destroy();
     uvChart = null;
   }
 
-  const smoothData = generateSmoothCurveWithSpline(uvReadings, uvRiseTime, uvFallTime);
+  const smoothData = generateSmoothCurveWithSpline(uvReadings, crossingTimes);
 
   console.log('Generated smoothData.times for curve:', smoothData.times);
   console.log('Generated axisTimestamps for ticks:', smoothData.axisTimestamps);
@@ -215,65 +212,40 @@ function updateUvChart(canvas, uvReadings, currentUv, currentTime, uvRiseTime, u
       };
   }).filter(p => p.x !== null); // Filter out any points that failed conversion
 
-  // Find visual crossing points from the plotData for annotation positioning
-  let visualRiseTimestamp = null;
-  let visualFallTimestamp = null;
-  let firstAboveThresholdIndex = -1;
-  let lastAboveThresholdIndex = -1;
-
-  for (let i = 0; i < plotData.length; i++) {
-      if (plotData[i].y >= 4) {
-          if (firstAboveThresholdIndex === -1) {
-              firstAboveThresholdIndex = i;
-          }
-          lastAboveThresholdIndex = i;
-      }
-  }
-
-  // Visual rise is the timestamp of the first point >= 4
-  if (firstAboveThresholdIndex > 0) { // Need point before it to confirm rise
-      visualRiseTimestamp = plotData[firstAboveThresholdIndex].x;
-  } else if (firstAboveThresholdIndex === 0 && plotData[0].y >=4) {
-       visualRiseTimestamp = plotData[0].x; // Rises at the very start
-  }
-  
-  // Visual fall is the timestamp of the point *before* the last point >= 4 becomes < 4
-  // So, it's the timestamp of the last point that was still >= 4
-  if (lastAboveThresholdIndex !== -1 && lastAboveThresholdIndex < plotData.length -1) {
-       visualFallTimestamp = plotData[lastAboveThresholdIndex].x; 
-  } else if (lastAboveThresholdIndex === plotData.length -1 && plotData[lastAboveThresholdIndex].y >=4) {
-      visualFallTimestamp = plotData[lastAboveThresholdIndex].x; // Ends above threshold
-  }
-  
-  console.log("Visual crossing timestamps for annotation positioning:", { visualRiseTimestamp: formatTime(visualRiseTimestamp), visualFallTimestamp: formatTime(visualFallTimestamp) });
-
   const ctx = canvas.getContext('2d');
 
-  const uvColors = {
-    low: { lineColor: 'rgba(76, 175, 80, 1)', fillColor: 'rgba(76, 175, 80, 0.8)' },       // Green
-    moderate: { lineColor: 'rgba(255, 235, 59, 1)', fillColor: 'rgba(255, 235, 59, 0.8)' }, // Yellow
-    high: { lineColor: 'rgba(255, 152, 0, 1)', fillColor: 'rgba(255, 152, 0, 0.8)' },      // Orange
-    veryHigh: { lineColor: 'rgba(233, 30, 99, 1)', fillColor: 'rgba(233, 30, 99, 0.8)' },   // Pink/red
-    extreme: { lineColor: 'rgba(156, 39, 176, 1)', fillColor: 'rgba(156, 39, 176, 0.8)' } // Purple
-  };
-
   const annotations = {};
 
-  // Threshold line (keep)
-  annotations.threshold = {
-      type: 'line', yMin: 4, yMax: 4,
-      borderColor: 'rgba(255, 152, 0, 0.8)', borderWidth: 2, borderDash: [5, 5],
-      label: { content: 'Protection Level', enabled: true, position: 'end',
-               backgroundColor: 'rgba(255, 152, 0, 0.8)', color: 'white', padding: 4, font: { size: 10 } }
-  };
+  uvWindows.forEach((uvWindow, index) => {
+      // Threshold line of each window
+      annotations[`threshold${index}`] = {
+          type: 'line', yMin: uvWindow.threshold, yMax: uvWindow.threshold,
+          borderColor: uvWindow.color, borderWidth: 2, borderDash: [5, 5],
+          label: { content: uvWindow.name, display: true, position: 'end',
+                   backgroundColor: uvWindow.color, color: 'white', padding: 4, font: { size: 10 } }
+      };
+
+      // Band over the part of the curve at or above it, from the plotData so it lines up with the curve
+      const aboveThreshold = plotData.filter(point => point.y >= uvWindow.threshold);
+      if (aboveThreshold.length > 0) {
+          annotations[`band${index}`] = {
+              type: 'box',
+              xMin: aboveThreshold[0].x, xMax: aboveThreshold[aboveThreshold.length - 1].x,
+              yMin: uvWindow.threshold,
+              backgroundColor: withAlpha(uvWindow.color, WINDOW_BAND_ALPHA), borderWidth: 0,
+              drawTime: 'beforeDatasetsDraw'
+          };
+          console.log(`Window "${uvWindow.name}" band:`, { from: formatTime(aboveThreshold[0].x), until: formatTime(aboveThreshold[aboveThreshold.length - 1].x) });
+      }
+  });
 
   // Prepare the datasets - Ensure marker dataset is added
   const datasets = [{
           label: '',
           data: plotData,
           segment: {
-            borderColor: ctx => getSegmentColor(ctx, 'line', uvColors),
-            backgroundColor: ctx => getSegmentColor(ctx, 'fill', uvColors),
+            borderColor: ctx => getSegmentColor(ctx, 'line'),
+            backgroundColor: ctx => getSegmentColor(ctx, 'fill'),
           },
           borderWidth: 2,
           pointRadius: 0,
@@ -339,6 +311,7 @@ function updateUvChart(canvas, uvReadings, currentUv, currentTime, uvRiseTime, u
       },
       plugins: {
         legend: { display: false },
+        annotation: { annotations },
         tooltip: {
             callbacks: {
                 title: function(tooltipItems) {
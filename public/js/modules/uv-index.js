@@ -11,6 +11,7 @@ import {
 import { updateUvChart } from './uv-chart.js'; // Import the new chart function
 import { debugPrint } from './utils.js'; // Import debugPrint
 import { lastUvData, setLastUvData } from './shared-state.js'; // Import shared state
+import { getUvBand, getUvWindows } from './uv-scale.js';
 
 // REMOVED: let uvChart = null; // Chart instance is now managed in uv-chart.js
 
@@ -125,26 +126,36 @@ export async function fetchUvIndexData(forceRefresh = false, isSseEvent = false)
       }
     });
     
+    // Too many forced refreshes: the cached data will do
+    if (response.status === 429 && forceRefresh) {
+      return fetchUvIndexData(false, isSseEvent);
+    }
+    
     if (!response.ok) {
       throw new Error(`HTTP error! Status: ${response.status}`);
     }
     
     const data = await response.json();
-    console.log("UV Data received:", data);
-    
-    // Store the data for future reference using shared state
-    setLastUvData(data);
-    
-    // Update the display - this creates the UV box if it doesn't exist
-    updateUvIndexDisplay(data);
-    
-    // Use imported debugPrint
-    debugPrint(`UV data updated: ${JSON.stringify(data)}`);
+    renderUvIndexData(data);
   } catch (error) {
     console.error('Error fetching UV index data:', error);
   }
 }
 
+// Show UV data, either fetched or received with a live update event
+export function renderUvIndexData(data) {
+  console.log("UV Data received:", data);
+  
+  // Store the data for future reference using shared state
+  setLastUvData(data);
+  
+  // Update the display - this creates the UV box if it doesn't exist
+  updateUvIndexDisplay(data);
+  
+  // Use imported debugPrint
+  debugPrint(`UV data updated: ${JSON.stringify(data)}`);
+}
+
 // Update the UV index display
 function updateUvIndexDisplay(data) {
   if (!data || data.error || !data.result || !data.result.length) {
@@ -162,7 +173,7 @@ function updateUvIndexDisplay(data) {
       uvInfo.innerHTML = '';
     }
     
-    // Clear below 4 info
+    // Clear below-threshold info
     const uvBelowInfo = document.getElementById('uvBelowInfo');
     if (uvBelowInfo) {
       uvBelowInfo.textContent = '';
@@ -179,9 +190,14 @@ function updateUvIndexDisplay(data) {
     uv: item.uv
   }));
   
-  // Find crossings for UV index of 4 (moderate threshold)
-  const uvRiseTime = findUvCrossing(uvReadings, 4, "rising");
-  const uvFallTime = findUvCrossing(uvReadings, 4, "falling");
+  // Find when the UV index crosses each exposure window's threshold (see uv-scale.js)
+  const maxUv = data.result.map(item => item.uv).reduce((max, val) => Math.max(max, val), 0); // Safer max calculation
+  const uvWindows = getUvWindows().map(uvWindow => ({
+    ...uvWindow,
+    reached: maxUv >= uvWindow.threshold,
+    riseTime: findUvCrossing(uvReadings, uvWindow.threshold, "rising"),
+    fallTime: findUvCrossing(uvReadings, uvWindow.threshold, "falling")
+  }));
   
   // Get current UV level
   const currentTime = new Date();
@@ -202,27 +218,28 @@ function updateUvIndexDisplay(data) {
       // Define a style for the time values
       const timeStyle = "font-weight: bold; font-size: calc(1em + 5px);";
 
-      if (uvRiseTime && uvFallTime) {
-          // Display the high UV period on two lines
-          timeRangeInfoEl.innerHTML = `High UV between<br><span style="${timeStyle}">${uvRiseTime} - ${uvFallTime}</span>`;
+      // One time range per window the UV index reaches, lowest threshold first
+      const ranges = uvWindows.filter(uvWindow => uvWindow.reached).map(uvWindow => {
+          if (uvWindow.riseTime && uvWindow.fallTime) {
+              return `${uvWindow.name} between<br><span style="${timeStyle}">${uvWindow.riseTime} - ${uvWindow.fallTime}</span>`;
+          } else if (uvWindow.fallTime) { // Case where only fall time is available (UV starts high)
+              return `${uvWindow.name} until<br><span style="${timeStyle}">${uvWindow.fallTime}</span>`;
+          } else if (uvWindow.riseTime) { // Case where only rise time is available (UV ends high or never drops)
+              return `${uvWindow.name} from<br><span style="${timeStyle}">${uvWindow.riseTime}</span>`;
+          }
+          return null; // Times missing but UV does reach the threshold
+      }).filter(Boolean);
+
+      if (ranges.length > 0) {
+          timeRangeInfoEl.innerHTML = ranges.join('<br>');
           timeRangeInfoEl.style.display = 'inline-block'; // Make visible
-      } else if (uvFallTime) { // Case where only fall time is available (UV starts high)
-          timeRangeInfoEl.innerHTML = `High UV until<br><span style="${timeStyle}">${uvFallTime}</span>`;
-          timeRangeInfoEl.style.display = 'inline-block'; 
-      } else if (uvRiseTime) { // Case where only rise time is available (UV ends high or never drops)
-          timeRangeInfoEl.innerHTML = `High UV from<br><span style="${timeStyle}">${uvRiseTime}</span>`;
-          timeRangeInfoEl.style.display = 'inline-block'; 
+      } else if (!uvWindows.some(uvWindow => uvWindow.reached)) {
+          // UV never reaches any of the windows
+          timeRangeInfoEl.innerHTML = `UV stays low all day`;
+          timeRangeInfoEl.style.display = 'inline-block';
       } else {
-          // Check if UV ever goes >= 4. If not, maybe say "UV stays low all day"
-          const maxUv = data.result.map(item => item.uv).reduce((max, val) => Math.max(max, val), 0); // Safer max calculation
-          if (maxUv < 4) {
-            timeRangeInfoEl.innerHTML = `UV stays low all day`;
-            timeRangeInfoEl.style.display = 'inline-block';
-          } else {
-            // Fallback if times missing but UV does reach 4
-            timeRangeInfoEl.innerHTML = ''; // Clear content
-            timeRangeInfoEl.style.display = 'none'; // Hide
-          }
+          timeRangeInfoEl.innerHTML = ''; // Clear content
+          timeRangeInfoEl.style.display = 'none'; // Hide
       }
       // Position the entire box absolutely to the top-right
       timeRangeInfoEl.style.position = 'absolute';
@@ -241,33 +258,10 @@ function updateUvIndexDisplay(data) {
   
   // Crossing times are now handled directly on the chart's x-axis ticks.
   
-  // Update the below 4 info
+  // The below-threshold info isn't shown
   const uvBelowInfo = document.getElementById('uvBelowInfo');
   if (uvBelowInfo) {
-    // Get current time in minutes for comparison
-    const currentHour = currentTime.getHours();
-    const currentMinute = currentTime.getMinutes();
-    const currentTimeMinutes = currentHour * 60 + currentMinute;
-    
-    // Only show the notification if:
-    // 1. We have a valid fall time
-    // 2. The current time is before the fall time
-    // 3. The current UV level is at or above the threshold
-    // if (uvFallTime && currentUv >= 4) { // Removed condition
-    //   const [fallHour, fallMinute] = uvFallTime.split(':').map(Number);
-    //   const fallTimeMinutes = fallHour * 60 + fallMinute;
-      
-    //   if (currentTimeMinutes < fallTimeMinutes) {
-    //     uvBelowInfo.textContent = `below 4 after ${uvFallTime}`;
-    //     uvBelowInfo.style.display = 'inline-block';
-    //   } else {
-    //     // Current time is already past the fall time, hide notification
-    //     uvBelowInfo.style.display = 'none';
-    //   }
-    // } else {
-      // No fall time or UV already below threshold, hide notification
-      uvBelowInfo.style.display = 'none';
-    // }
+    uvBelowInfo.style.display = 'none';
   }
   
   // Clear UV info text - we don't want any recommendations displayed
@@ -280,10 +274,10 @@ function updateUvIndexDisplay(data) {
   const canvas = document.getElementById('uvChart');
 
   // Update chart using the imported function
-  // Pass necessary data: canvas, readings, current UV, current time, rise/fall times
+  // Pass necessary data: canvas, readings, current UV, current time, windows with their rise/fall times
   // The chart instance is managed within the uv-chart module now.
   if (canvas) {
-      updateUvChart(canvas, uvReadings, currentUv, currentTime, uvRiseTime, uvFallTime);
+      updateUvChart(canvas, uvReadings, currentUv, currentTime, uvWindows);
   } else {
       console.error("UV Chart canvas element not found!");
   }
@@ -424,25 +418,13 @@ function getCurrentUvLevel(uvReadings, currentTime) {
 function getUvInfoAndRecommendations(uvValue) {
   if (uvValue === null) return '';
   
-  let recommendations = '';
-  
-  if (uvValue < 4) {
-    recommendations = 'Low risk. No protection needed for most people.';
-  } else if (uvValue < 6) {
-    recommendations = 'Wear sunscreen SPF 30+, hat, and sunglasses.';
-  } else if (uvValue < 8) {
-    recommendations = 'High risk. Stay in shade during midday hours. Use SPF 30+ sunscreen, hat, and sunglasses.';
-  } else if (uvValue < 11) {
-    recommendations = 'Very high risk. Minimize sun exposure between 10am and 4pm. Apply SPF 30+ every 2 hours.';
-  } else {
-    recommendations = 'Extreme risk. Avoid outdoors during midday hours. Shirt, sunscreen, hat, and sunglasses are essential.';
-  }
+  const band = getUvBand(uvValue);
+  const recommendations = band ? band.advice : '';
   
   return `<p>${recommendations}</p>`;
 }
 
 // Update the UV box with category styling and consistent font sizing
-// Also appends the UV>=4 time range if available.
 function updateUvCategoryDisplay(currentUv) {
   const uvCurrentClass = document.getElementById('uvCurrentClass');
   if (!uvCurrentClass) return;
@@ -450,30 +432,14 @@ function updateUvCategoryDisplay(currentUv) {
   // Get the current category styling
   let backgroundColor, textColor, borderColor;
   
-  if (currentUv === null) {
+  // Colours of the band the UV index falls into (see uv-scale.js)
+  const band = getUvBand(currentUv);
+  if (band) {
+    ({ backgroundColor, textColor, borderColor } = band);
+  } else {
     backgroundColor = 'rgba(200, 200, 200, 0.8)';  // Gray
     textColor = '#000000';
     borderColor = '#888888';
-  } else if (currentUv < 4) {
-    backgroundColor = 'rgba(76, 175, 80, 0.8)';  // Green
-    textColor = '#000000';
-    borderColor = '#2E7D32';
-  } else if (currentUv < 6) {
-    backgroundColor = 'rgba(255, 235, 59, 0.8)'; // Yellow
-    textColor = '#000000';
-    borderColor = '#F9A825';
-  } else if (currentUv < 8) {
-    backgroundColor = 'rgba(255, 152, 0, 0.8)';  // Orange
-    textColor = '#000000';
-    borderColor = '#E65100';
-  } else if (currentUv < 11) {
-    backgroundColor = 'rgba(233, 30, 99, 0.8)';  // Pink/red
-    textColor = '#FFFFFF';
-    borderColor = '#C2185B';
-  } else {
-    backgroundColor = 'rgba(156, 39, 176, 0.8)'; // Purple
-    textColor = '#FFFFFF';
-    borderColor = '#7B1FA2';
   }
   
   // Format the UV value clearly
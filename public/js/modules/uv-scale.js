@@ -0,0 +1,25 @@
+// UV scale module: UV index bands and exposure windows
+//
+// The server resolves uvThresholds, uvChartColors and uvWindows from
+// config.json and serves them as config.uvScale (see lib/uv-scale.js).
+
+import { config } from './shared-state.js';
+
+// Get the UV bands, lowest first
+export function getUvBands() {
+  return config?.uvScale?.bands || [];
+}
+
+// Get the exposure windows, lowest threshold first
+export function getUvWindows() {
+  return config?.uvScale?.windows || [];
+}
+
+// Get the band a UV index falls into (by its rounded value), or null if there is none
+export function getUvBand(value) {
+  if (value === null || value === undefined || isNaN(value)) {
+    return null;
+  }
+  const rounded = Math.round(value);
+  return getUvBands().find(band => band.max === null || rounded <= band.max) || null;
+}
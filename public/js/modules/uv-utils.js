@@ -1,5 +1,8 @@
 // Utility functions for UV index processing
 
+import { getUvBand } from './uv-scale.js';
+import { getBandClassName } from './aqi-standard.js';
+
 // Convert "HH:MM" string to minutes since midnight
 function timeToMinutes(timeStr) {
   if (!timeStr || typeof timeStr !== 'string') return 0;
@@ -21,22 +24,14 @@ function minutesToTime(minutes) {
 
 // Get UV category name
 function getUvCategoryName(uvValue) {
-  if (uvValue === null || uvValue === undefined || isNaN(uvValue)) return '-';
-  if (uvValue < 3) return 'Low';
-  if (uvValue < 6) return 'Moderate';
-  if (uvValue < 8) return 'High';
-  if (uvValue < 11) return 'Very High';
-  return 'Extreme';
+  const band = getUvBand(uvValue);
+  return band ? band.label : '-';
 }
 
-// Get UV index class for styling
+// Get UV index class for styling (veryHigh -> uv-very-high)
 function getUvClass(uvValue) {
-  if (uvValue === null || uvValue === undefined || isNaN(uvValue)) return '';
-  if (uvValue < 3) return 'uv-low';
-  if (uvValue < 6) return 'uv-moderate';
-  if (uvValue < 8) return 'uv-high';
-  if (uvValue < 11) return 'uv-very-high';
-  return 'uv-extreme';
+  const band = getUvBand(uvValue);
+  return band ? `uv-${getBandClassName(band.key)}` : '';
 }
 
 // Generate additional points for a smoother curve (fallback for linear interpolation)
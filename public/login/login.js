@@ -0,0 +1,43 @@
+// Login page: logs in with the dashboard password and goes back to the
+// page that sent us here
+
+const params = new URLSearchParams(window.location.search);
+
+// Only go back to pages on this server. Browsers read "\" as "/", so
+// "/\evil.com" would be another site; resolving it shows where it goes.
+function nextPage() {
+  const next = params.get('next') || '/';
+  if (!next.startsWith('/')) {
+    return '/';
+  }
+  const url = new URL(next, window.location.origin);
+  return url.origin === window.location.origin ? `${url.pathname}${url.search}${url.hash}` : '/';
+}
+
+function showMessage(text) {
+  document.getElementById('message').textContent = text;
+}
+
+if (params.has('expired')) {
+  showMessage('That share link has expired or is not valid. Log in to see the dashboard.');
+}
+
+document.getElementById('loginForm').addEventListener('submit', async (event) => {
+  event.preventDefault();
+  showMessage('');
+  try {
+    const response = await fetch('/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password: document.getElementById('password').value })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showMessage(data.error || `HTTP error! Status: ${response.status}`);
+      return;
+    }
+    window.location.replace(nextPage());
+  } catch (error) {
+    showMessage(`Failed to log in: ${error.message}`);
+  }
+});
@@ -4,6 +4,49 @@ const path = require('path');
 const fetch = require('node-fetch');
 const winston = require('winston');
 const cors = require('cors');
+const { normalizeReading, listAdapters } = require('./lib/adapters');
+const { loadStations, normalizeApiUrl, describeStation } = require('./lib/stations');
+const { createHistoryStore } = require('./lib/history-store');
+const { AQI_SOURCES, calculateNowCastAqi } = require('./lib/aqi');
+const { US_EPA, resolveStandard, getBand, describeStandard, listStandards } = require('./lib/aqi-standards');
+const { describeUvScale } = require('./lib/uv-scale');
+const { ValidationError, validateReading, createQuarantine } = require('./lib/validation');
+const {
+  CLOSED,
+  HALF_OPEN,
+  CircuitOpenError,
+  resolveUpstreamOptions,
+  withRetry,
+  withTimeout,
+  createCircuitBreaker
+} = require('./lib/upstream');
+const { createMetrics } = require('./lib/metrics');
+const { createEventBuffer } = require('./lib/event-buffer');
+const { attachWebSocketServer } = require('./lib/websocket');
+const { createMqttPublisher } = require('./lib/mqtt-publisher');
+const { createMqttIngest } = require('./lib/mqtt-ingest');
+const { parseRules, createAlertEngine } = require('./lib/alerts');
+const { parseSubscriptions, createWebhookDispatcher } = require('./lib/webhooks');
+const { checkEmailConfig, createEmailNotifier } = require('./lib/email');
+const { buildDailyDigest } = require('./lib/digest');
+const { resolveTimeZone, localDay } = require('./lib/time-zone');
+const { watchConfigFiles } = require('./lib/config-watcher');
+const { REDACTED, parseConfigFile, resolveConfig, resolveClientConfig, redactConfig } = require('./lib/config');
+const {
+  SERVER_SETTINGS,
+  CLIENT_SETTINGS,
+  createAdminAuth,
+  pickSettings,
+  restoreSecrets,
+  applySettings,
+  writeConfigFile
+} = require('./lib/admin');
+const { USER, createAuth } = require('./lib/auth');
+const { createRateLimiter } = require('./lib/rate-limit');
+const { canModel, forecastClearSkyUv } = require('./lib/uv-model');
+const { createOpenUvClient } = require('./lib/openuv');
+const { createUvScheduler } = require('./lib/uv-scheduler');
+const { createCacheStore } = require('./lib/cache-store');
 
 // Check if config.json exists, if not, copy from example
 const configPath = path.join(__dirname, 'config.json');
@@ -20,12 +63,112 @@ if (!fs.existsSync(configPath) && fs.existsSync(configExamplePath)) {
   }
 }
 
-// Load configuration
-const serverConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+// Client config, served with some of the server settings merged in
+const clientConfigPath = path.join(__dirname, 'public', 'config.json');
+
+// Read and check config.json and public/config.json, throwing if either
+// is invalid. Used at startup and again whenever one of them changes.
+function readConfig() {
+  return buildConfig(parseConfigFile(configPath), parseConfigFile(clientConfigPath));
+}
+
+// Check the content of config.json and public/config.json and work out
+// everything that depends on them
+function buildConfig(rawServerConfig, rawClientConfig) {
+  // Checked against the schema, with defaults and environment overrides
+  // (see lib/config.js)
+  const { config: serverConfig, warnings, overrides } = resolveConfig(rawServerConfig);
+  
+  // Air quality stations, in config order (the first one is the default)
+  const stations = loadStations(serverConfig);
+  
+  if (stations.some(station => station.source === 'mqtt') && !(serverConfig.mqtt && serverConfig.mqtt.url)) {
+    throw new Error('Stations with source "mqtt" need the broker set in mqtt.url');
+  }
+  
+  // Alert rules and webhooks, which may only name the stations above
+  const stationIds = stations.map(station => station.id);
+  parseRules(serverConfig.alerts || {}, stationIds);
+  parseSubscriptions(serverConfig.webhooks || {}, stationIds);
+  
+  // Access control needs some way in, and a secret for the sessions to
+  // outlast a restart
+  const authConfig = serverConfig.auth;
+  const authWarnings = [];
+  if (authConfig.enabled) {
+    if (!authConfig.password && !(authConfig.tokens || []).some(entry => entry.token) && !serverConfig.admin.password) {
+      throw new Error('auth.enabled needs auth.password, auth.tokens or admin.password, or no one can get in');
+    }
+    if (!authConfig.secret) {
+      authWarnings.push('auth.secret is not set, so logins and share links end when the server restarts');
+    }
+  }
+  
+  // Time zones, so a misspelt one stops here rather than where it's used
+  const timeZones = {
+    'location.timeZone.name': serverConfig.location && serverConfig.location.timeZone && serverConfig.location.timeZone.name,
+    'email.timeZone': serverConfig.email && serverConfig.email.timeZone,
+    'alerts.timeZone': serverConfig.alerts && serverConfig.alerts.timeZone
+  };
+  Object.entries(timeZones).forEach(([key, value]) => {
+    try {
+      resolveTimeZone(value);
+    } catch (error) {
+      throw new Error(`${key}: ${error.message}`);
+    }
+  });
+  
+  // Timeouts, retries and circuit breaker settings for upstream requests
+  const upstreamOptions = resolveUpstreamOptions(serverConfig.upstream);
+  
+  // Create client config with necessary server config included
+  const client = resolveClientConfig(rawClientConfig);
+  const clientConfig = { ...client.config, location: serverConfig.location };
+  
+  // AQI standard from the client config, with its thresholds and colours
+  const aqiStandard = resolveStandard(clientConfig.aqiStandard, {
+    thresholds: clientConfig.aqiThresholds,
+    colors: clientConfig.aqiColors
+  });
+  clientConfig.aqiScale = describeStandard(aqiStandard);
+  
+  // Email settings that depend on the AQI standard
+  const emailConfig = serverConfig.email || {};
+  if (emailConfig.enabled !== false && emailConfig.smtp) {
+    checkEmailConfig(emailConfig, aqiStandard);
+  }
+  
+  // UV bands and exposure windows, from uvThresholds, uvChartColors and
+  // uvWindows (see lib/uv-scale.js)
+  clientConfig.uvScale = describeUvScale(clientConfig);
+  
+  return { serverConfig, stations, upstreamOptions, clientConfig, aqiStandard, warnings: [...warnings, ...authWarnings, ...client.warnings], overrides };
+}
+
+// Load configuration, stopping with the problems if it's invalid. These are
+// replaced when the config files change (see reloadConfig).
+let serverConfig, stations, upstreamOptions, clientConfig, aqiStandard;
+try {
+  const loaded = readConfig();
+  ({ serverConfig, stations, upstreamOptions, clientConfig, aqiStandard } = loaded);
+  loaded.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  if (loaded.overrides.length > 0) {
+    console.log(`Settings from the environment: ${loaded.overrides.join(', ')}`);
+  }
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+// Print the effective config, with secrets redacted, and stop
+if (process.argv.includes('--print-config')) {
+  console.log(JSON.stringify(redactConfig(serverConfig), null, 2));
+  process.exit(0);
+}
 
 // Configure logger
 const logger = winston.createLogger({
-  level: serverConfig.logLevel || 'info',
+  level: serverConfig.logLevel,
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.json()
@@ -43,70 +186,249 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const app = express();
-const PORT = serverConfig.port || process.env.PORT || 3000;
+const PORT = serverConfig.port;
+const serverStartTime = Date.now();
 
-// Create client config with necessary server config included
-const clientConfigPath = path.join(__dirname, 'public', 'config.json');
-const clientConfig = JSON.parse(fs.readFileSync(clientConfigPath, 'utf8'));
-clientConfig.location = serverConfig.location;
-
-// Write updated client config
-fs.writeFileSync(clientConfigPath, JSON.stringify(clientConfig, null, 2));
-
-// Enable CORS
-app.use(cors());
-
-// Request stats tracking - just for monitoring, not for rate limiting
-const requestStats = {
-  totalRequests: 0,
-  apiCalls: 0,
-  clientRequests: new Map(),
-  lastLogTime: Date.now(),
-  logInterval: 60000, // Log stats every minute
-  
-  trackRequest: function(ip) {
-    this.totalRequests++;
-    this.clientRequests.set(ip, (this.clientRequests.get(ip) || 0) + 1);
-    
-    const now = Date.now();
-    if (now - this.lastLogTime > this.logInterval) {
-      const clientList = Array.from(this.clientRequests.entries())
-        .map(([ip, count]) => `${ip}: ${count}`)
-        .join(', ');
-      
-      logger.info(`Stats: ${this.totalRequests} client requests, ${this.apiCalls} external API calls. Clients: ${clientList}`);
-      
-      // Reset counters but keep the client list
-      this.totalRequests = 0;
-      this.apiCalls = 0;
-      this.lastLogTime = now;
-    }
-  },
-  
-  trackApiCall: function() {
-    this.apiCalls++;
+// Behind a reverse proxy (rateLimit.trustProxy), req.ip is the address the
+// proxy added to X-Forwarded-For; otherwise the header is ignored, as anyone
+// can send it. Read on each request, so a reload applies.
+app.set('trust proxy', (address, hop) => hop === 0 && serverConfig.rateLimit.trustProxy);
+
+// Prometheus metrics, with sensor values read from the latest readings
+const metrics = createMetrics({
+  getSseClientCount: () => sseClients.size,
+  getWebSocketClientCount: () => (webSockets ? webSockets.clientCount() : 0),
+  getReadings: () => stations
+    .filter(station => stationState.get(station.id).lastFetchedData)
+    .map(station => ({ station: station.id, reading: stationState.get(station.id).lastFetchedData })),
+  getUvIndex: () => getCurrentUvIndex(dataCache[UV_CACHE_KEY] && dataCache[UV_CACHE_KEY].data)
+});
+app.use(metrics.httpMiddleware);
+
+// Enable CORS, for any origin unless cors.origins lists the allowed ones
+// (which may then send cookies and credentials)
+app.use(cors((req, callback) => {
+  const { origins } = serverConfig.cors;
+  if (!origins || origins.length === 0) {
+    return callback(null, { origin: '*' });
+  }
+  const allowed = origins.includes(req.headers.origin);
+  callback(null, { origin: allowed, credentials: allowed });
+}));
+
+// Access control: identifies clients as req.access and, with auth.enabled,
+// turns away the ones it can't identify (ahead of everything it protects)
+const auth = createAuth(() => serverConfig.auth, () => serverConfig.admin);
+app.use(auth.middleware);
+
+// Rate limits on API requests, per API token or IP address, with a stricter
+// one for forced refreshes (after access control, which identifies tokens)
+const rateLimiter = createRateLimiter(() => serverConfig.rateLimit, {
+  onThrottle: (limit, client, retryAfterSec) => {
+    console.warn(`🚦 [${client}] Rate limited (${limit}), retry in ${retryAfterSec}s`);
+    logger.warn('Rate limited', { limit, client, retryAfterSec });
+    metrics.recordRateLimited(limit);
+  }
+});
+app.use('/api', rateLimiter.middleware);
+
+// Whether a request may do more than look: not from a share link, and
+// identified if auth is enabled
+function canWrite(req) {
+  return req.access ? req.access.role === USER : !auth.isEnabled();
+}
+
+// The location without its coordinates, for clients that aren't identified
+function withoutCoordinates(location) {
+  if (!location) {
+    return location;
+  }
+  const { latitude, longitude, ...rest } = location;
+  return rest;
+}
+
+// The client config as a request may see it
+function clientConfigFor(req) {
+  if (req && req.access && req.access.role === USER) {
+    return clientConfig;
+  }
+  return { ...clientConfig, location: withoutCoordinates(clientConfig.location) };
+}
+
+// Serve the client config with the server settings merged in (ahead of the
+// static files, which would serve public/config.json as it is on disk)
+app.get('/config.json', (req, res) => {
+  res.json(clientConfigFor(req));
+});
+
+// Log in with auth.password, setting the session cookie
+app.post('/api/auth/login', express.json(), (req, res) => {
+  const session = auth.login(req, res, req.body && req.body.password);
+  if (!session) {
+    console.warn(`🔒 [${getClientIp(req)}] Failed login`);
+    logger.warn('Failed login', { ip: getClientIp(req) });
+    return res.status(401).json({ error: 'Wrong password' });
+  }
+  console.log(`🔑 [${getClientIp(req)}] Logged in`);
+  logger.info('Logged in', { ip: getClientIp(req) });
+  res.json({ enabled: auth.isEnabled(), ...session });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.logout(res);
+  res.json({ enabled: auth.isEnabled(), role: null });
+});
+
+// Who the client is, so pages can show a login or logout link
+app.get('/api/auth/session', (req, res) => {
+  res.json({ enabled: auth.isEnabled(), ...(req.access || { role: null }) });
+});
+
+// Create a read-only share link: { hours }, optional
+app.post('/api/auth/share-links', auth.requireUser, express.json(), (req, res) => {
+  const { hours } = req.body || {};
+  try {
+    const link = auth.createShareLink(`${req.protocol}://${req.get('host')}`, { hours });
+    console.log(`🔗 [${getClientIp(req)}] Created a share link, expiring at ${link.expiresAt}`);
+    logger.info('Created a share link', { ip: getClientIp(req), expiresAt: link.expiresAt });
+    res.status(201).json(link);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
   }
-};
+});
 
 // Helper function to get client IP
 function getClientIp(req) {
-  return req.headers['x-forwarded-for'] || req.ip || 'unknown';
+  return req.ip || 'unknown';
+}
+
+// The client's address on a WebSocket upgrade, which doesn't go through
+// express, by the same rule as req.ip (see 'trust proxy' above)
+function getUpgradeClientIp(req) {
+  const forwarded = (req.headers['x-forwarded-for'] || '').split(',').map(hop => hop.trim()).filter(Boolean);
+  return serverConfig.rateLimit.trustProxy && forwarded.length > 0 ? forwarded[forwarded.length - 1] : req.socket.remoteAddress;
 }
 
+// The settings page and API, behind the admin password (ahead of the static
+// files, which include the page)
+const adminAuth = createAdminAuth(() => serverConfig.admin);
+app.use('/admin', adminAuth);
+app.use('/api/admin', adminAuth, express.json({ limit: '1mb' }));
+
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Data cache and control variables
-let lastFetchedData = null;
-let lastFetchTime = 0;
-let fetchPromise = null;
-let externalApiTimer = null;
-const externalApiInterval = (serverConfig.pollingIntervalSec || 20) * 1000;
+// Per-station polling state: the last reading, the polling timer and the
+// concentrations of the last 12 hours for the NowCast
+const NOWCAST_WINDOW_MS = 12 * 60 * 60 * 1000;
+const stationState = new Map();
+stations.forEach(station => {
+  stationState.set(station.id, { lastFetchedData: null, timer: null, recentSamples: [] });
+});
+
+// Look up a station by id
+function getStation(stationId) {
+  return stations.find(station => station.id === stationId) || null;
+}
+
+// Circuit breakers, one per upstream (each station's sensor and the UV API)
+const UV_UPSTREAM = 'uv';
+const upstreamBreakers = new Map();
+
+function getUpstreamBreaker(upstreamId) {
+  if (!upstreamBreakers.has(upstreamId)) {
+    upstreamBreakers.set(upstreamId, createCircuitBreaker(upstreamId, upstreamOptions, (state, status) => {
+      if (state === CLOSED) {
+        console.log(`✅ [${upstreamId}] Upstream reachable again`);
+      } else if (state !== HALF_OPEN) {
+        console.warn(`🔌 [${upstreamId}] Upstream unreachable since ${status.unreachableSince}, next attempt at ${status.nextAttemptAt}`);
+      }
+      logger.info('Upstream circuit breaker state changed', { upstream: upstreamId, ...status });
+      
+      // Let dashboards show the sensor as unreachable (or back)
+      if (stationState.has(upstreamId)) {
+        notifyClients('upstream-status', { station: upstreamId, upstream: status });
+      }
+    }));
+  }
+  return upstreamBreakers.get(upstreamId);
+}
+
+// A reading with the state of its station's upstream, so the dashboard can
+// tell a fresh reading from the last one before the sensor became unreachable
+function withUpstreamStatus(station, data) {
+  return { ...data, upstream: getUpstreamBreaker(station.id).status() };
+}
+
+// Validation of upstream payloads, with rejected ones kept in a quarantine file
+const validationConfig = serverConfig.validation;
+const quarantine = createQuarantine({
+  file: path.resolve(__dirname, validationConfig.quarantineFile),
+  logger
+});
+
+// Reading history, kept unless explicitly disabled
+const historyConfig = serverConfig.history;
+const historyStore = !historyConfig.enabled ? null : createHistoryStore({
+  directory: path.resolve(__dirname, historyConfig.directory),
+  retentionDays: historyConfig.retentionDays,
+  logger
+});
+
+// Threshold alerts on the readings and the UV index, kept in a log file
+const alertsConfig = serverConfig.alerts || {};
+const alertEngine = createAlertEngine(alertsConfig, {
+  stations,
+  file: path.resolve(__dirname, alertsConfig.file || 'data/alerts.jsonl'),
+  logger,
+  onChange: handleAlertChange
+});
+
+// Webhooks for the live update events, when any are subscribed
+const webhooksConfig = serverConfig.webhooks || {};
+const webhooks = (webhooksConfig.subscriptions || []).length > 0 ?
+  createWebhookDispatcher(webhooksConfig, { stations, logger }) : null;
+
+// Email notifications and the daily digest, when an SMTP server is set.
+// Times are in the location's time zone unless email.timeZone says otherwise.
+const emailConfig = serverConfig.email || {};
+const emailNotifier = emailConfig.enabled !== false && emailConfig.smtp ?
+  createEmailNotifier(emailConfig, {
+    standard: aqiStandard,
+    timeZone: resolveTimeZone(emailConfig.timeZone ||
+      (serverConfig.location && serverConfig.location.timeZone && serverConfig.location.timeZone.name)),
+    buildDigest: buildEmailDigest,
+    logger
+  }) : null;
+
+// Readings published to an MQTT broker, when one is configured
+const mqttConfig = serverConfig.mqtt || {};
+const mqttPublisher = mqttConfig.enabled !== false && mqttConfig.url ?
+  createMqttPublisher(mqttConfig, { logger }) : null;
+if (mqttPublisher) {
+  stations.forEach(station => mqttPublisher.addStation(station));
+}
+
+// Stations that push their readings over MQTT rather than being polled,
+// subscribed to once the server is listening
+let mqttStations = stations.filter(station => station.source === 'mqtt');
+let mqttIngest = null;
 
 // Keep track of connected SSE clients
 const sseClients = new Set();
 
-// Start a heartbeat timer to keep SSE connections alive
+// WebSocket clients at /api/ws, set up once the server is listening
+let webSockets = null;
+
+// Recent events, replayed to clients that reconnect after missing some
+const eventBuffer = createEventBuffer({ size: serverConfig.sse.replayBufferSize });
+
+// Write an event from the buffer to an SSE client
+function writeEvent(client, event) {
+  client.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Start a heartbeat timer to keep SSE and WebSocket connections alive
 let heartbeatTimer = null;
 
 function startHeartbeat() {
@@ -117,6 +439,10 @@ function startHeartbeat() {
   
   // Send a ping every 10 seconds to all connected clients
   heartbeatTimer = setInterval(() => {
+    if (webSockets) {
+      webSockets.ping();
+    }
+    
     if (sseClients.size > 0) {
       // Reduce log verbosity - only log heartbeats in debug mode
       if (serverConfig.logLevel === 'debug') {
@@ -157,10 +483,25 @@ app.get('/api/events', (req, res) => {
   // Send an initial ping
   res.write('event: ping\ndata: connected\n\n');
   
+  const clientIp = getClientIp(req);
+  
+  // Replay the events a reconnecting client missed. If they're no longer
+  // in the buffer, tell it to fetch everything again instead. A new
+  // EventSource can't set Last-Event-ID, so it may come in the query.
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventBuffer.since(lastEventId);
+    if (missed === null) {
+      res.write(`event: resync\ndata: ${JSON.stringify({ timestamp: new Date().toISOString() })}\n\n`);
+    } else {
+      missed.forEach(event => writeEvent(res, event));
+    }
+    console.log(`👋 Client ${clientIp} resumed SSE after event ${lastEventId}, ${missed === null ? 'too far behind, asked to resync' : `replayed ${missed.length} events`}`);
+  }
+  
   // Add this client to the set of connected clients
   sseClients.add(res);
   
-  const clientIp = getClientIp(req);
   console.log(`👋 Client ${clientIp} connected to SSE, total clients: ${sseClients.size}`);
   logger.info(`Client ${clientIp} connected to SSE`);
   
@@ -173,23 +514,29 @@ app.get('/api/events', (req, res) => {
 });
 
 // Function to notify all connected clients of a data update
-function notifyClients(eventType) {
-  const event = {
+// Extra details (such as the station id and the new data) are merged into
+// the event, which is kept in the replay buffer
+function notifyClients(eventType, details = {}) {
+  const event = eventBuffer.push(eventType, {
     type: eventType,
+    ...details,
     timestamp: new Date().toISOString()
-  };
+  });
   
   // Consolidate notification logs
   let logMessage = `📢 Notifying ${sseClients.size} clients of ${eventType} update`;
   
   // Add PM2.5 data if available
-  if (eventType === 'aqi-update' && lastFetchedData && lastFetchedData.current && lastFetchedData.current.pm25) {
-    logMessage += ` (PM2.5 AQI US: ${lastFetchedData.current.pm25.aqius}, conc: ${lastFetchedData.current.pm25.conc})`;
+  const lastFetchedData = details.station && stationState.has(details.station) ?
+    stationState.get(details.station).lastFetchedData : null;
+  if (eventType === 'aqi-update' && lastFetchedData && lastFetchedData.current) {
+    logMessage += ` for ${details.station} (AQI: ${lastFetchedData.aqi.value}, PM2.5: ${lastFetchedData.current.pm25})`;
     
     // Keep detailed structured logging for the log file but not console
     logger.info(`SSE ${eventType} notification data`, {
-      pm25_aqius: lastFetchedData.current.pm25.aqius,
-      pm25_conc: lastFetchedData.current.pm25.conc,
+      station: details.station,
+      aqi: lastFetchedData.aqi.value,
+      pm25: lastFetchedData.current.pm25,
       timestamp: new Date().toISOString()
     });
   }
@@ -201,7 +548,7 @@ function notifyClients(eventType) {
   let successCount = 0;
   sseClients.forEach(client => {
     try {
-      client.write(`event: ${eventType}\ndata: ${JSON.stringify(event)}\n\n`);
+      writeEvent(client, event);
       successCount++;
     } catch (error) {
       // If there's an error sending to a client, remove it from the set
@@ -217,135 +564,447 @@ function notifyClients(eventType) {
   }
   
   logger.info(`Sent ${eventType} event to ${sseClients.size} clients`);
+  
+  // And to WebSocket clients and webhooks subscribed to it
+  if (webSockets) {
+    webSockets.broadcast(event);
+  }
+  if (webhooks) {
+    webhooks.dispatch(event);
+  }
+  if (emailNotifier) {
+    emailNotifier.handleEvent(event);
+  }
 }
 
-// Start the polling for external API
+// Start the polling for external API, one poller per station
 function startExternalApiPolling() {
-  if (serverConfig.externalApiUrl) {
-    console.log(`Starting polling of external API at interval ${serverConfig.pollingIntervalSec || 20} seconds`);
-    // Initial fetch
-    fetchExternalData(serverConfig.externalApiUrl)
-      .then(data => {
-        // Log PM2.5 AQI US value if present (for initial fetch)
-        if (data && data.current && data.current.pm25 && data.current.pm25.aqius !== undefined) {
-          console.log(`PM2.5 AQI US: ${data.current.pm25.aqius} (conc: ${data.current.pm25.conc}) at ${new Date().toISOString()}`);
-          logger.info('Initial PM2.5 AQI US value', {
-            aqius: data.current.pm25.aqius,
-            concentration: data.current.pm25.conc,
-            timestamp: new Date().toISOString()
-          });
+  if (stations.length === 0) {
+    console.log('No air quality stations configured, polling disabled');
+    return;
+  }
+  
+  stations.forEach(startStationPolling);
+}
+
+// Start polling a single station
+function startStationPolling(station) {
+  const state = stationState.get(station.id);
+  
+  // Push sensors aren't polled, but still need their recent history
+  if (station.source === 'mqtt') {
+    console.log(`Waiting for readings of ${station.id} over MQTT`);
+    seedRecentSamples(station);
+    return;
+  }
+  
+  console.log(`Starting polling of ${station.id} (${station.adapter}) at interval ${station.pollingIntervalSec} seconds`);
+  
+  // Load the last 12 hours from history so the NowCast is available right
+  // away, then do the initial fetch
+  seedRecentSamples(station).then(() => pollStation(station));
+  
+  // Set up interval for polling
+  state.timer = setInterval(() => pollStation(station), station.pollingIntervalSec * 1000);
+}
+
+// Poll a station, logging rather than throwing on failure
+function pollStation(station) {
+  return refreshStation(station)
+    .catch(error => {
+      // The breaker already logged that the sensor is unreachable
+      if (error instanceof CircuitOpenError) {
+        if (serverConfig.logLevel === 'debug') {
+          console.log(`🔌 [${station.id}] Skipped poll: ${error.message}`);
         }
-        
-        lastFetchedData = data;
-        console.log('Initial data fetched from external API');
-        // Notify clients on initial fetch
-        notifyClients('aqi-update');
-      })
-      .catch(error => {
-        console.error('Failed to fetch initial data:', error.message);
-      });
+        return;
+      }
+      console.error(`❌ [${station.id}] Failed to update data:`, error.message);
+    });
+}
 
-    // Set up interval for polling
-    externalApiTimer = setInterval(() => {
-      fetchExternalData(serverConfig.externalApiUrl)
-        .then(data => {
-          // Check if the data has changed
-          const hasChanged = JSON.stringify(data) !== JSON.stringify(lastFetchedData);
-          
-          // Consolidate logging - only log detailed info when data changes
-          if (data && data.current && data.current.pm25 && data.current.pm25.aqius !== undefined) {
-            // Only log the value if it changed or in debug mode
-            if (hasChanged || serverConfig.logLevel === 'debug') {
-              console.log(`📊 PM2.5 AQI US: ${data.current.pm25.aqius} (conc: ${data.current.pm25.conc}) at ${new Date().toISOString()}`);
-            }
-            
-            // Keep structured logging for log files
-            logger.info('PM2.5 AQI US value', {
-              aqius: data.current.pm25.aqius,
-              concentration: data.current.pm25.conc,
-              timestamp: new Date().toISOString()
-            });
-          }
-          
-          // Update the cached data
-          lastFetchedData = data;
-          
-          if (hasChanged) {
-            console.log('📊 Data updated from external API');
-            // Invalidate the cache when data changes
-            const cacheKey = `airquality-data`;
-            if (dataCache[cacheKey]) {
-              dataCache[cacheKey].data = data;
-              dataCache[cacheKey].timestamp = Date.now();
-            }
-            // Notify clients on each update
-            notifyClients('aqi-update');
-          } else if (serverConfig.logLevel === 'debug') {
-            // Only log unchanged data in debug mode
-            console.log('📊 Data unchanged from external API');
-          }
-        })
-        .catch(error => {
-          console.error('❌ Failed to update data:', error.message);
-        });
-    }, externalApiInterval);
-  } else {
-    console.log('External API URL not configured, polling disabled');
+// Subscribe to the topics of the stations that push over MQTT
+function startMqttIngest() {
+  if (mqttStations.length === 0) {
+    return;
+  }
+  console.log(`Subscribing to MQTT topics of ${mqttStations.map(station => station.id).join(', ')}`);
+  mqttIngest = createMqttIngest(mqttConfig, mqttStations, {
+    logger,
+    onPayload: ingestStationPayload
+  });
+}
+
+// Process the messages an MQTT station has pushed like a polled reading
+function ingestStationPayload(station, payload) {
+  try {
+    processReading(station, validateStationPayload(station, payload));
+  } catch (error) {
+    // Rejected readings have already been logged and quarantined
+    if (!(error instanceof ValidationError)) {
+      console.error(`❌ [${station.id}] Failed to process MQTT reading:`, error.message);
+    }
+  }
+}
+
+// Fetch a station's sensor once, process the reading and publish it if it
+// changed. Resolves to the processed reading.
+async function refreshStation(station) {
+  const data = await fetchAirQualityReading(station);
+  return processReading(station, data);
+}
+
+// Process a station's validated reading, wherever it came from: work out
+// its AQI, cache it, store it, publish it and notify clients if it changed
+function processReading(station, data) {
+  const state = stationState.get(station.id);
+  
+  // Add the AQI computed from the concentrations
+  data.aqi = calculateStationAqi(station, data);
+  
+  // Check if the measurements have changed (devices without their own
+  // timestamp get a new one on every fetch, so leave it out). The first
+  // reading after startup always counts as a change, as does the first one
+  // replacing a restored reading.
+  const cacheKey = `${AIR_QUALITY_CACHE_PREFIX}${station.id}`;
+  const hasChanged = !state.lastFetchedData || Boolean(dataCache[cacheKey] && dataCache[cacheKey].restored) ||
+    JSON.stringify([data.current, data.aqi]) !==
+    JSON.stringify([state.lastFetchedData.current, state.lastFetchedData.aqi]);
+  
+  // Only log the value if it changed or in debug mode
+  if (hasChanged || serverConfig.logLevel === 'debug') {
+    console.log(`📊 [${station.id}] AQI: ${data.aqi.value} (${data.aqi.source}, PM2.5: ${data.current.pm25}) at ${new Date().toISOString()}`);
+  }
+  
+  // Keep structured logging for log files
+  logger.info('Air quality reading', {
+    station: station.id,
+    aqi: data.aqi.value,
+    aqiReported: data.aqi.reported,
+    aqiComputed: data.aqi.computed,
+    aqiNowcast: data.aqi.nowcast,
+    pm25: data.current.pm25,
+    timestamp: data.timestamp
+  });
+  
+  // Update the cached data
+  const previousBand = state.lastFetchedData && state.lastFetchedData.aqi.band;
+  state.lastFetchedData = data;
+  dataCache[cacheKey] = {
+    timestamp: Date.now(),
+    data: data
+  };
+  saveDataCache();
+  
+  // Record every reading, changed or not, so the history has no gaps
+  if (historyStore) {
+    historyStore.append(station.id, data);
+  }
+  
+  if (mqttPublisher) {
+    mqttPublisher.publishReading(station, data);
+  }
+  
+  alertEngine.evaluate(station.id, alertValues(data));
+  
+  if (hasChanged) {
+    console.log(`📊 [${station.id}] Data updated from external API`);
+    // Send the new reading to clients on each update
+    notifyClients('aqi-update', { station: station.id, data: withUpstreamStatus(station, data) });
+  } else if (serverConfig.logLevel === 'debug') {
+    // Only log unchanged data in debug mode
+    console.log(`📊 [${station.id}] Data unchanged from external API`);
+  }
+  
+  // Tell clients and webhooks when the AQI moves into another category
+  const band = data.aqi.band;
+  if (previousBand && band && previousBand.key !== band.key) {
+    console.log(`🎨 [${station.id}] AQI category changed from ${previousBand.label} to ${band.label}`);
+    notifyClients('category-change', {
+      station: station.id,
+      stationName: station.name,
+      aqi: data.aqi.value,
+      from: previousBand,
+      to: band
+    });
   }
+  
+  return data;
+}
+
+// The values alert rules are checked against: the reading's metrics, the
+// AQI it shows and the sub-indices of PM2.5 and PM10
+function alertValues(data) {
+  return {
+    ...data.current,
+    aqi: data.aqi.value,
+    pm25Aqi: aqiStandard.calculate({ pm25: data.current.pm25 }).value,
+    pm10Aqi: aqiStandard.calculate({ pm10: data.current.pm10 }).value
+  };
+}
+
+// Check the UV index rules against the current hour of the cached forecast
+function checkUvAlerts() {
+  const uvCached = dataCache[UV_CACHE_KEY];
+  alertEngine.evaluate(null, { uv: getCurrentUvIndex(uvCached && uvCached.data) });
+}
+
+// Log an alert firing or resolving and push it to the dashboards
+function handleAlertChange(event, alert) {
+  console.log(`${event === 'fired' ? '🚨' : '✅'} Alert ${event}: ${alert.message}`);
+  logger.info(`Alert ${event}`, alert);
+  notifyClients('alert', { station: alert.station, event, alert });
+}
+
+// Fill a station's recent samples from the history store
+async function seedRecentSamples(station) {
+  if (!historyStore) {
+    return;
+  }
+  try {
+    const now = Date.now();
+    const records = await historyStore.read(station.id, now - NOWCAST_WINDOW_MS, now);
+    stationState.get(station.id).recentSamples = records.map(record => ({
+      time: record.time,
+      pm25: record.current.pm25,
+      pm10: record.current.pm10
+    }));
+  } catch (error) {
+    logger.error('Failed to load recent readings from history', { station: station.id, error: error.message });
+  }
+}
+
+// Work out a reading's AQI values: the one the device reported (US scale),
+// the index of the selected standard computed from its concentrations and,
+// for US EPA, the NowCast over the last 12 hours. `value` is the one chosen by
+// the aqiSource setting, falling back to the others when it isn't available.
+// Other standards can only use the computed index, as the device's AQI and
+// the NowCast are on the US scale.
+function calculateStationAqi(station, data) {
+  const state = stationState.get(station.id);
+  const now = Date.now();
+  
+  // Keep 12 hours of concentrations for the NowCast
+  state.recentSamples.push({ time: now, pm25: data.current.pm25, pm10: data.current.pm10 });
+  state.recentSamples = state.recentSamples.filter(sample => sample.time > now - NOWCAST_WINDOW_MS);
+  
+  const isUsEpa = aqiStandard.id === US_EPA;
+  const computed = aqiStandard.calculate(data.current);
+  const nowcast = isUsEpa ? calculateNowCastAqi(state.recentSamples, now) : { value: null };
+  const values = {
+    reported: data.current.aqi,
+    computed: computed.value,
+    nowcast: nowcast.value
+  };
+  
+  const preferred = station.aqiSource || serverConfig.aqiSource;
+  const usable = isUsEpa ? [preferred, ...AQI_SOURCES] : ['computed'];
+  const source = usable.find(key => values[key] !== null) || usable[0];
+  const value = values[source];
+  const band = getBand(aqiStandard, value);
+  
+  return {
+    standard: aqiStandard.id,
+    ...values,
+    pollutant: computed.pollutant,
+    source,
+    value,
+    band: band ? { key: band.key, label: band.label } : null
+  };
 }
 
 // Stop polling for external API
 function stopExternalApiPolling() {
-  if (externalApiTimer) {
-    clearInterval(externalApiTimer);
-    externalApiTimer = null;
-    logger.info('Stopped external API polling');
+  stationState.forEach(state => {
+    if (state.timer) {
+      clearInterval(state.timer);
+      state.timer = null;
+    }
+  });
+  logger.info('Stopped external API polling');
+}
+
+// Stop polling a single station
+function stopStationPolling(stationId) {
+  const state = stationState.get(stationId);
+  if (state && state.timer) {
+    clearInterval(state.timer);
+    state.timer = null;
   }
 }
 
-// Fetch data from external API
-async function fetchExternalData(apiUrl) {
+// Watches the config files for changes once the server is listening
+let configWatcher = null;
+
+// Sections of config.json (or settings in them, as section.setting) that
+// are only read at startup (validation, alerts, webhooks, email, the OpenUV
+// quota file and so on are set up once from them), and the config they were
+// read from
+const RESTART_SECTIONS = ['port', 'sse', 'validation', 'history', 'cache', 'alerts', 'webhooks', 'email', 'mqtt', 'uvApi.quotaFile'];
+const startupServerConfig = serverConfig;
+
+// The sections changed since startup, which wait for a restart
+function pendingRestartSections() {
+  const settingAt = (config, key) => key.split('.').reduce((value, part) => value && value[part], config);
+  return RESTART_SECTIONS.filter(key =>
+    JSON.stringify(settingAt(startupServerConfig, key)) !== JSON.stringify(settingAt(serverConfig, key)));
+}
+
+// Apply changed config files without a restart: stations whose settings
+// changed are polled (or subscribed to) again, the client config and AQI
+// standard are replaced (in alerts and emails too), and dashboards are sent
+// a config-update event to apply them. An invalid config is logged and the running one kept.
+// Returns the sections that still need a restart, or null if not reloaded.
+function reloadConfig(changedFiles) {
+  const files = changedFiles.map(file => path.relative(__dirname, file)).join(', ');
+  let next;
   try {
-    // Handle the case when apiUrl is not provided
-    if (!apiUrl) {
-      apiUrl = serverConfig.externalApiUrl;
-      if (!apiUrl) {
-        throw new Error('External API URL not configured');
-      }
+    next = readConfig();
+  } catch (error) {
+    console.error(`❌ Not reloading ${files}: ${error.message}`);
+    logger.error('Invalid config, keeping the running one', { files, error: error.message });
+    return null;
+  }
+  
+  next.warnings.forEach(warning => console.warn(`⚠️ ${warning}`));
+  
+  const previous = { serverConfig, stations, upstreamOptions, aqiScale: clientConfig.aqiScale };
+  ({ serverConfig, stations, upstreamOptions, clientConfig, aqiStandard } = next);
+  logger.level = serverConfig.logLevel;
+  
+  const restartSections = pendingRestartSections();
+  if (restartSections.length > 0) {
+    console.warn(`⚠️ Changes to ${restartSections.join(', ')} in config.json take effect after a restart`);
+    logger.warn('Config changes waiting for a restart', { sections: restartSections });
+  }
+  
+  // Circuit breakers keep the settings they were created with
+  if (JSON.stringify(previous.upstreamOptions) !== JSON.stringify(upstreamOptions)) {
+    upstreamBreakers.clear();
+  }
+  
+  // Alerts name the stations from the new list, and email notifications
+  // use the new AQI standard unless the running email settings' category
+  // isn't one of it
+  alertEngine.setStations(stations);
+  if (emailNotifier) {
+    try {
+      emailNotifier.setStandard(aqiStandard);
+    } catch (error) {
+      console.warn(`⚠️ Email notifications keep the previous AQI standard until a restart: ${error.message}`);
+      logger.warn('Email notifications keep the previous AQI standard', { error: error.message });
     }
-    
-    // Ensure the API URL has a protocol
-    if (!apiUrl.startsWith('http://') && !apiUrl.startsWith('https://')) {
-      // For local network addresses, default to http
-      if (apiUrl.includes('192.168.') || apiUrl.includes('127.0.0.1') || apiUrl.includes('localhost')) {
-        apiUrl = 'http://' + apiUrl;
-      } else {
-        apiUrl = 'https://' + apiUrl;
-      }
+  }
+  
+  // A reading's AQI depends on the standard and source it was worked out
+  // with, so every station is polled again when they change
+  const aqiChanged = JSON.stringify(previous.aqiScale) !== JSON.stringify(clientConfig.aqiScale) ||
+    previous.serverConfig.aqiSource !== serverConfig.aqiSource;
+  
+  previous.stations
+    .filter(station => !getStation(station.id))
+    .forEach(station => {
+      stopStationPolling(station.id);
+      stationState.delete(station.id);
+      upstreamBreakers.delete(station.id);
+      delete dataCache[`${AIR_QUALITY_CACHE_PREFIX}${station.id}`];
+      saveDataCache();
+      console.log(`Stopped polling of removed station ${station.id}`);
+    });
+  
+  stations.forEach(station => {
+    const before = previous.stations.find(candidate => candidate.id === station.id);
+    const changed = !before || JSON.stringify(before) !== JSON.stringify(station);
+    if (!stationState.has(station.id)) {
+      stationState.set(station.id, { lastFetchedData: null, timer: null, recentSamples: [] });
     }
-    
-    // Use the API URL directly without appending lat/lon parameters
-    const url = apiUrl;
-    
-    // Reduce verbosity - combine DNS lookup and connection messages
-    console.log(`🔄 Fetching data from ${url}`);
-    
-    // Use a simple timeout approach instead of AbortController
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timed out after 10 seconds')), 10000);
+    if (mqttPublisher) {
+      mqttPublisher.addStation(station);
+    }
+    if (!changed && (!aqiChanged || station.source === 'mqtt')) {
+      return;
+    }
+    // A new URL may well be reachable where the old one wasn't
+    if (before && before.url !== station.url) {
+      upstreamBreakers.delete(station.id);
+    }
+    stopStationPolling(station.id);
+    startStationPolling(station);
+  });
+  
+  // Resubscribe when the stations pushing over MQTT changed
+  const nextMqttStations = stations.filter(station => station.source === 'mqtt');
+  if (JSON.stringify(nextMqttStations) !== JSON.stringify(mqttStations)) {
+    const previousIngest = mqttIngest;
+    mqttIngest = null;
+    mqttStations = nextMqttStations;
+    Promise.resolve(previousIngest && previousIngest.close()).then(() => {
+      if (mqttStations.length > 0 && !mqttConfig.url) {
+        console.warn('⚠️ Stations with source "mqtt" need a restart to connect to the broker in mqtt.url');
+        return;
+      }
+      startMqttIngest();
     });
-    
-    // Race the fetch against the timeout
-    const response = await Promise.race([
-      fetch(url),
-      timeoutPromise
-    ]);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! Status: ${response.status}`);
+  }
+  
+  // Fetch the UV forecast again when where it comes from changed, and
+  // otherwise work out its schedule again with the new settings
+  const uvChanged = ['uvApi', 'location'].some(key =>
+    JSON.stringify(previous.serverConfig[key]) !== JSON.stringify(serverConfig[key]));
+  if (!isUvScheduled()) {
+    uvScheduler.stop();
+  } else if (uvChanged) {
+    uvScheduler.start();
+  } else {
+    uvScheduler.reschedule();
+  }
+  
+  console.log(`🔄 Reloaded ${files}`);
+  logger.info('Reloaded config', { files });
+  notifyClients('config-update', { config: clientConfigFor(null) });
+  return restartSections;
+}
+
+// Fetch data from external API, with retries and through the circuit
+// breaker of the upstream (defaults to one per URL). fetchOptions (such as
+// headers) are passed on to fetch. beforeAttempt() is called before each
+// request, retries included, and may throw to stop them.
+async function fetchExternalData(apiUrl, upstreamId = apiUrl, fetchOptions = {}, beforeAttempt = null) {
+  try {
+    // Handle the case when apiUrl is not provided
+    if (!apiUrl) {
+      throw new Error('External API URL not configured');
     }
     
-    const data = await response.json();
+    // Ensure the API URL has a protocol, and use it directly without
+    // appending lat/lon parameters
+    const url = normalizeApiUrl(apiUrl);
+    
+    const breaker = getUpstreamBreaker(upstreamId);
+    const data = await breaker.execute(() => withRetry(async () => {
+      if (beforeAttempt) {
+        beforeAttempt();
+      }
+      // Reduce verbosity - combine DNS lookup and connection messages
+      console.log(`🔄 Fetching data from ${url}`);
+      
+      // Race the fetch against the timeout
+      return metrics.timeUpstreamFetch(upstreamId, async () => {
+        const response = await withTimeout(fetch(url, fetchOptions), upstreamOptions.timeoutSec * 1000);
+        
+        if (!response.ok) {
+          const httpError = new Error(`HTTP error! Status: ${response.status}`);
+          httpError.status = response.status;
+          // The start of the body, for callers that tell errors apart by it
+          httpError.body = (await response.text().catch(() => '')).slice(0, 1000);
+          throw httpError;
+        }
+        
+        return response.json();
+      });
+    }, upstreamOptions, (error, attempt, delay) => {
+      console.warn(`🔁 [${upstreamId}] ${error.message}, retry ${attempt}/${upstreamOptions.retries} in ${delay}ms`);
+    }));
     
     // Only log detailed data in debug mode
     if (serverConfig.logLevel === 'debug') {
@@ -353,239 +1012,848 @@ async function fetchExternalData(apiUrl) {
     }
     return data;
   } catch (error) {
-    console.error(`❌ Error in fetchExternalData: ${error.message}`);
+    metrics.recordUpstreamError(upstreamId, error);
+    if (!(error instanceof CircuitOpenError)) {
+      console.error(`❌ Error in fetchExternalData: ${error.message}`);
+    }
+    throw error;
+  }
+}
+
+// Fetch a reading from a station's sensor and validate it
+async function fetchAirQualityReading(station) {
+  const payload = await fetchExternalData(station.url, station.id);
+  return validateStationPayload(station, payload);
+}
+
+// Normalize a station's payload with its adapter (see lib/adapters for the
+// reading format) and validate it. Payloads that can't be parsed or fail
+// validation are quarantined and rejected with a ValidationError.
+function validateStationPayload(station, payload) {
+  let reasons;
+  let data = null;
+  try {
+    data = normalizeReading(station.adapter, payload, station.adapterOptions);
+    reasons = !validationConfig.enabled ? [] : validateReading(data, validationConfig.ranges);
+  } catch (error) {
+    reasons = [error.message];
+  }
+  
+  if (reasons.length > 0) {
+    console.warn(`⚠️ [${station.id}] Rejected upstream payload: ${reasons.join('; ')}`);
+    logger.warn('Rejected upstream payload', { station: station.id, reasons });
+    quarantine.add(station.id, payload, reasons);
+    const error = new ValidationError(`Invalid reading from ${station.id}: ${reasons.join('; ')}`, reasons);
+    metrics.recordUpstreamError(station.id, error);
     throw error;
   }
+  
+  return data;
 }
 
 // Cache for API requests
 const dataCache = {};
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes default TTL
+const AIR_QUALITY_CACHE_PREFIX = 'airquality-data:';
+const UV_CACHE_KEY = 'uv-index-data';
 
-// API endpoint to fetch air quality data
-app.get('/api/airquality', async (req, res) => {
-  try {
-    const clientIp = getClientIp(req);
-    const forceRefresh = req.query.force === '1';
-    
-    // Consolidate client request logging
-    const requestType = forceRefresh ? 'forced refresh' : 'regular';
-    
-    if (!serverConfig.externalApiUrl) {
-      console.warn('⚠️ External API URL is not configured');
-      return res.json({ 
-        error: 'Air quality API not configured',
-        current: null
-      });
+// The cache is restored from the snapshot saved before the last shutdown
+// (see lib/cache-store.js). Restored entries are served marked as stale
+// until fresh data replaces them.
+const cacheConfig = serverConfig.cache;
+const cacheStore = !cacheConfig.enabled ? null : createCacheStore({
+  file: path.resolve(__dirname, cacheConfig.file),
+  maxAgeHours: cacheConfig.maxAgeHours,
+  logger
+});
+if (cacheStore) {
+  let restored = 0;
+  Object.entries(cacheStore.load()).forEach(([key, entry]) => {
+    const stationId = key.startsWith(AIR_QUALITY_CACHE_PREFIX) ? key.slice(AIR_QUALITY_CACHE_PREFIX.length) : null;
+    if (stationId !== null && !stationState.has(stationId)) {
+      return;
     }
-
-    // Ensure the API URL has a protocol
-    let apiUrl = serverConfig.externalApiUrl;
-    if (!apiUrl.startsWith('http://') && !apiUrl.startsWith('https://')) {
-      // For local network addresses, default to http
-      if (apiUrl.includes('192.168.') || apiUrl.includes('127.0.0.1') || apiUrl.includes('localhost')) {
-        apiUrl = 'http://' + apiUrl;
-      } else {
-        apiUrl = 'https://' + apiUrl;
-      }
+    if (stationId !== null) {
+      stationState.get(stationId).lastFetchedData = entry.data;
     }
+    dataCache[key] = { timestamp: entry.timestamp, data: entry.data, restored: true };
+    restored++;
+  });
+  if (restored > 0) {
+    console.log(`💾 Restored ${restored} cached entries from ${cacheConfig.file}`);
+  }
+}
+
+// Save a snapshot of the cache once it's stopped changing
+function saveDataCache() {
+  if (!cacheStore) {
+    return;
+  }
+  cacheStore.save(() => {
+    const entries = {};
+    Object.entries(dataCache).forEach(([key, { timestamp, data }]) => {
+      entries[key] = { timestamp, data };
+    });
+    return entries;
+  });
+}
+
+// A cache entry's data, marked as stale with the time it was fetched while
+// it's the one restored at startup
+function cachedData(cacheKey) {
+  const entry = dataCache[cacheKey];
+  if (!entry) {
+    return null;
+  }
+  return entry.restored ? { ...entry.data, stale: true, fetchedAt: new Date(entry.timestamp).toISOString() } : entry.data;
+}
+
+// Send a station's air quality reading, from the cache when it's fresh
+async function sendStationAirQuality(station, req, res) {
+  try {
+    const clientIp = getClientIp(req);
+    const forceRefresh = req.query.force === '1' && canWrite(req);
     
-    // Create a simple cache key for the data
-    const cacheKey = `airquality-data`;
+    // Cache the data per station
+    const cacheKey = `${AIR_QUALITY_CACHE_PREFIX}${station.id}`;
     
-    // Check if we have cached data and it's not expired (and not a forced refresh)
-    if (!forceRefresh && dataCache[cacheKey] && Date.now() - dataCache[cacheKey].timestamp < CACHE_TTL) {
+    // Check if we have cached data and it's not expired (and not a forced
+    // refresh). Data restored at startup is served straight away, while the
+    // first poll fetches a fresh reading.
+    if (!forceRefresh && dataCache[cacheKey] &&
+        (dataCache[cacheKey].restored || Date.now() - dataCache[cacheKey].timestamp < CACHE_TTL)) {
+      metrics.recordCacheHit('airquality');
       
       // Only log in debug mode or if it's a forced refresh
       if (serverConfig.logLevel === 'debug') {
-        console.log(`👤 [${clientIp}] Using cached air quality data`);
+        console.log(`👤 [${clientIp}] Using cached air quality data for ${station.id}`);
       }
       
       // Consolidate logging for client responses
-      if (dataCache[cacheKey].data && dataCache[cacheKey].data.current && dataCache[cacheKey].data.current.pm25 && serverConfig.logLevel === 'debug') {
-        console.log(`📤 To [${clientIp}]: Cached PM2.5 AQI US: ${dataCache[cacheKey].data.current.pm25.aqius} (conc: ${dataCache[cacheKey].data.current.pm25.conc})`);
+      if (dataCache[cacheKey].data && dataCache[cacheKey].data.current && serverConfig.logLevel === 'debug') {
+        console.log(`📤 To [${clientIp}]: Cached AQI: ${dataCache[cacheKey].data.aqi.value} (PM2.5: ${dataCache[cacheKey].data.current.pm25})`);
       }
       
       // Keep detailed structured logging for log files
       logger.info(`Sent cached data to client ${clientIp}`, {
-        pm25_aqius: dataCache[cacheKey].data.current?.pm25?.aqius,
-        pm25_conc: dataCache[cacheKey].data.current?.pm25?.conc,
+        station: station.id,
+        aqi: dataCache[cacheKey].data.aqi?.value,
+        pm25: dataCache[cacheKey].data.current?.pm25,
         cached: true,
         timestamp: new Date().toISOString()
       });
       
-      return res.json(dataCache[cacheKey].data);
+      return res.json(withUpstreamStatus(station, cachedData(cacheKey)));
     }
     
-    console.log(`👤 [${clientIp}] ${forceRefresh ? 'Forced refresh' : 'Cache expired'}, fetching new air quality data`);
+    // Push sensors can't be asked for a reading; serve the last one they sent
+    if (station.source === 'mqtt') {
+      const lastData = stationState.get(station.id).lastFetchedData;
+      if (!lastData) {
+        return res.json({
+          error: `No reading received from ${station.id} over MQTT yet`,
+          current: null
+        });
+      }
+      return res.json(withUpstreamStatus(station, cachedData(cacheKey) || lastData));
+    }
+    
+    metrics.recordCacheMiss('airquality');
+    console.log(`👤 [${clientIp}] ${forceRefresh ? 'Forced refresh' : 'Cache expired'}, fetching new air quality data for ${station.id}`);
     
-    // Fetch data directly from the API without appending lat/lon
-    const data = await fetchExternalData(apiUrl);
+    // Fetch and process a new reading, which also refreshes the cache
+    const data = await refreshStation(station);
     
     // Consolidate client response logging
-    if (data && data.current && data.current.pm25 && data.current.pm25.aqius !== undefined) {
-      console.log(`📤 To [${clientIp}]: Fresh PM2.5 AQI US: ${data.current.pm25.aqius} (conc: ${data.current.pm25.conc})`);
-      
-      // Keep detailed structured logging for log files
-      logger.info(`Sent fresh data to client ${clientIp}`, {
-        pm25_aqius: data.current.pm25.aqius,
-        pm25_conc: data.current.pm25.conc,
-        cached: false,
-        timestamp: new Date().toISOString()
-      });
-    }
+    console.log(`📤 To [${clientIp}]: Fresh AQI: ${data.aqi.value} (PM2.5: ${data.current.pm25})`);
     
-    // Cache the response
-    dataCache[cacheKey] = {
-      timestamp: Date.now(),
-      data: data
-    };
+    // Keep detailed structured logging for log files
+    logger.info(`Sent fresh data to client ${clientIp}`, {
+      station: station.id,
+      aqi: data.aqi.value,
+      pm25: data.current.pm25,
+      cached: false,
+      timestamp: new Date().toISOString()
+    });
     
-    return res.json(data);
+    return res.json(withUpstreamStatus(station, data));
   } catch (error) {
-    console.error('❌ Error fetching air quality data:', error.message);
+    // Keep serving the last good reading when the sensor is unreachable or
+    // sends a bad one; its upstream status tells the dashboard it's old
+    const lastGoodData = stationState.get(station.id).lastFetchedData;
+    if (lastGoodData) {
+      console.warn(`⚠️ [${station.id}] Serving last good reading: ${error.message}`);
+      return res.json(withUpstreamStatus(station, cachedData(`${AIR_QUALITY_CACHE_PREFIX}${station.id}`) || lastGoodData));
+    }
+    
+    console.error(`❌ Error fetching air quality data for ${station.id}:`, error.message);
     return res.json({ 
       error: 'Failed to fetch air quality data: ' + error.message,
-      current: null 
+      current: null,
+      upstream: getUpstreamBreaker(station.id).status()
+    });
+  }
+}
+
+// API endpoint to list the configured stations
+app.get('/api/stations', (req, res) => {
+  const showCoordinates = Boolean(req.access && req.access.role === USER);
+  res.json(stations.map(station => {
+    const description = describeStation(station);
+    return {
+      ...description,
+      location: showCoordinates ? description.location : withoutCoordinates(description.location),
+      upstream: getUpstreamBreaker(station.id).status()
+    };
+  }));
+});
+
+// API endpoint to fetch air quality data for one station
+app.get('/api/stations/:id/airquality', (req, res) => {
+  const station = getStation(req.params.id);
+  if (!station) {
+    return res.status(404).json({
+      error: `Unknown station: ${req.params.id}`,
+      current: null
+    });
+  }
+  return sendStationAirQuality(station, req, res);
+});
+
+// API endpoint to fetch air quality data for the default (first) station
+app.get('/api/airquality', (req, res) => {
+  if (stations.length === 0) {
+    console.warn('⚠️ External API URL is not configured');
+    return res.json({ 
+      error: 'Air quality API not configured',
+      current: null
+    });
+  }
+  return sendStationAirQuality(stations[0], req, res);
+});
+
+// Parse a time query parameter given as ISO 8601 or ms since epoch
+function parseTimeParam(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (isNaN(time)) {
+    throw new RangeError(`Invalid time: ${value}`);
+  }
+  return time;
+}
+
+// API endpoint to query the reading history of a station
+// e.g. /api/history?station=office&metric=pm25&from=2024-05-01&resolution=1h
+app.get('/api/history', async (req, res) => {
+  if (!historyStore) {
+    return res.status(404).json({ error: 'History is disabled' });
+  }
+  
+  const station = req.query.station ? getStation(req.query.station) : stations[0];
+  if (!station) {
+    return res.status(404).json({ error: `Unknown station: ${req.query.station || '(none configured)'}` });
+  }
+  
+  try {
+    const metric = req.query.metric || 'aqi';
+    const resolution = req.query.resolution || 'raw';
+    const to = parseTimeParam(req.query.to, Date.now());
+    const from = parseTimeParam(req.query.from, to - 24 * 60 * 60 * 1000);
+    if (from > to) {
+      throw new RangeError('"from" must be before "to"');
+    }
+    
+    const points = await historyStore.query({ stationId: station.id, metric, from, to, resolution });
+    return res.json({
+      station: station.id,
+      metric,
+      resolution,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      points
     });
+  } catch (error) {
+    if (error instanceof RangeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('❌ Error querying history:', error.message);
+    logger.error('Error querying history', { error: error.message });
+    return res.status(500).json({ error: 'Failed to query history' });
+  }
+});
+
+// API endpoint to list active and past alerts, most recent first
+// e.g. /api/alerts?station=office&limit=20 (UV alerts are always included)
+app.get('/api/alerts', (req, res) => {
+  if (req.query.station && !getStation(req.query.station)) {
+    return res.status(404).json({ error: `Unknown station: ${req.query.station}` });
+  }
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: `Invalid limit: ${req.query.limit}` });
+  }
+  
+  res.set('Cache-Control', 'no-store');
+  res.json(alertEngine.list({ station: req.query.station, limit }));
+});
+
+// API endpoint to list recent webhook deliveries, most recent first
+// e.g. /api/webhooks/deliveries?webhook=slack&status=failed&limit=20
+app.get('/api/webhooks/deliveries', (req, res) => {
+  if (!webhooks) {
+    return res.status(404).json({ error: 'No webhooks configured' });
+  }
+  const { webhook, status } = req.query;
+  if (webhook && !webhooks.hasSubscription(webhook)) {
+    return res.status(404).json({ error: `Unknown webhook: ${webhook}` });
+  }
+  if (status && !['pending', 'retrying', 'delivered', 'failed'].includes(status)) {
+    return res.status(400).json({ error: `Invalid status: ${status}` });
+  }
+  const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    return res.status(400).json({ error: `Invalid limit: ${req.query.limit}` });
+  }
+  
+  res.set('Cache-Control', 'no-store');
+  res.json({ deliveries: webhooks.listDeliveries({ webhook, status, limit }) });
+});
+
+// API endpoint to report rejected upstream payloads per station
+app.get('/api/validation', (req, res) => {
+  res.json(quarantine.stats());
+});
+
+// Read the version information (re-read on each request so edits show up
+// without a restart)
+function readVersionInfo() {
+  const versionPath = path.join(__dirname, 'version.json');
+  return JSON.parse(fs.readFileSync(versionPath, 'utf8'));
+}
+
+// Seconds since a time in ms, or null without one
+function ageSeconds(time) {
+  return time ? Math.round((Date.now() - time) / 1000) : null;
+}
+
+// Liveness check: answers as long as the server is up (the dashboard polls
+// it to show when it has lost the server)
+app.get('/api/health', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ status: 'ok' });
+});
+
+// Status of the server and each of its parts: the upstreams, the age of the
+// cached data, connected clients and the history store. `status` is
+// "degraded" when any upstream is unreachable or history can't be written.
+app.get('/api/status', (req, res) => {
+  let version = null;
+  try {
+    version = readVersionInfo().version;
+  } catch (error) {
+    logger.error('Error reading version information', { error: error.message });
   }
+  
+  const stationStatus = stations.map(station => {
+    const cached = dataCache[`${AIR_QUALITY_CACHE_PREFIX}${station.id}`];
+    return {
+      id: station.id,
+      name: station.name,
+      upstream: getUpstreamBreaker(station.id).status(),
+      lastReadingAt: cached ? new Date(cached.timestamp).toISOString() : null,
+      lastReadingAgeSec: ageSeconds(cached && cached.timestamp)
+    };
+  });
+  
+  const uvCached = dataCache[UV_CACHE_KEY];
+  const uvStatus = {
+    upstream: getUpstreamBreaker(UV_UPSTREAM).status(),
+    lastUpdatedAt: uvCached ? new Date(uvCached.timestamp).toISOString() : null,
+    lastUpdatedAgeSec: ageSeconds(uvCached && uvCached.timestamp),
+    schedule: uvScheduler.status(),
+    quota: usesOpenUv() ? openUv.status(serverConfig.uvApi.dailyQuota) : null
+  };
+  
+  const historyStatus = historyStore ? { enabled: true, ...historyStore.status() } : { enabled: false };
+  
+  const isDegraded = stationStatus.some(station => station.upstream.state !== CLOSED) ||
+    uvStatus.upstream.state !== CLOSED ||
+    Boolean(historyStatus.lastError);
+  
+  res.set('Cache-Control', 'no-store');
+  res.json({
+    status: isDegraded ? 'degraded' : 'ok',
+    version,
+    startedAt: new Date(serverStartTime).toISOString(),
+    uptimeSec: ageSeconds(serverStartTime),
+    stations: stationStatus,
+    uv: uvStatus,
+    sseClients: sseClients.size,
+    webSocketClients: webSockets ? webSockets.clientCount() : 0,
+    history: historyStatus,
+    mqtt: mqttPublisher ? { enabled: true, ...mqttPublisher.status() } : { enabled: false },
+    mqttIngest: mqttIngest ? { enabled: true, ...mqttIngest.status() } : { enabled: false },
+    alerts: alertEngine.status(),
+    webhooks: webhooks ? { enabled: true, ...webhooks.status() } : { enabled: false },
+    email: emailNotifier ? { enabled: true, ...emailNotifier.status() } : { enabled: false },
+    rejectedReadings: quarantine.stats().total,
+    rateLimit: rateLimiter.status()
+  });
+});
+
+// The settings that can be changed from /admin, as they are in the config
+// files (without defaults or environment overrides), with secrets redacted
+function describeAdminSettings() {
+  return {
+    server: redactConfig(pickSettings(parseConfigFile(configPath), SERVER_SETTINGS)),
+    client: pickSettings(parseConfigFile(clientConfigPath), CLIENT_SETTINGS),
+    adapters: listAdapters(),
+    standards: listStandards(),
+    restartRequired: pendingRestartSections()
+  };
+}
+
+// API endpoint for the settings shown on /admin
+app.get('/api/admin/config', (req, res) => {
+  try {
+    res.json(describeAdminSettings());
+  } catch (error) {
+    logger.error('Error reading config for admin', { error: error.message });
+    res.status(500).json({ error: 'Failed to read the config files' });
+  }
+});
+
+// API endpoint to change settings: { server: { ... }, client: { ... } }, each
+// replacing the settings it has. They're checked like the config files, and
+// applied straight away.
+app.put('/api/admin/config', (req, res) => {
+  const clientIp = getClientIp(req);
+  const { server: serverChanges, client: clientChanges } = req.body || {};
+  
+  let rawServerConfig;
+  let rawClientConfig;
+  try {
+    rawServerConfig = parseConfigFile(configPath);
+    rawClientConfig = parseConfigFile(clientConfigPath);
+  } catch (error) {
+    logger.error('Error reading config for admin', { error: error.message });
+    return res.status(500).json({ error: 'Failed to read the config files' });
+  }
+  
+  const changedFiles = [];
+  let nextServerConfig = rawServerConfig;
+  let nextClientConfig = rawClientConfig;
+  try {
+    if (serverChanges !== undefined) {
+      nextServerConfig = applySettings(rawServerConfig,
+        restoreSecrets(serverChanges, rawServerConfig, REDACTED), SERVER_SETTINGS, 'config.json');
+      changedFiles.push(configPath);
+    }
+    if (clientChanges !== undefined) {
+      nextClientConfig = applySettings(rawClientConfig, clientChanges, CLIENT_SETTINGS, 'public/config.json');
+      changedFiles.push(clientConfigPath);
+    }
+    buildConfig(nextServerConfig, nextClientConfig);
+  } catch (error) {
+    return res.status(400).json({ error: error.message.split('\n')[0].replace(/:$/, ''), problems: error.problems || [] });
+  }
+  
+  if (changedFiles.length === 0) {
+    return res.status(400).json({ error: 'Nothing to change; send server and/or client settings' });
+  }
+  
+  try {
+    if (changedFiles.includes(configPath)) {
+      writeConfigFile(configPath, nextServerConfig);
+    }
+    if (changedFiles.includes(clientConfigPath)) {
+      writeConfigFile(clientConfigPath, nextClientConfig);
+    }
+  } catch (error) {
+    logger.error('Error writing config from admin', { error: error.message });
+    return res.status(500).json({ error: 'Failed to write the config files' });
+  }
+  
+  const keys = [...Object.keys(serverChanges || {}), ...Object.keys(clientChanges || {})];
+  console.log(`🛠️ [${clientIp}] Changed settings: ${keys.join(', ')}`);
+  logger.info('Settings changed from admin', { clientIp, settings: keys });
+  
+  // Apply them now rather than when the watcher notices
+  if (configWatcher) {
+    configWatcher.refresh();
+  }
+  reloadConfig(changedFiles);
+  
+  res.json(describeAdminSettings());
 });
 
 // API endpoint to fetch version information
 app.get('/api/version', (req, res) => {
   try {
-    const versionPath = path.join(__dirname, 'version.json');
-    const versionInfo = JSON.parse(fs.readFileSync(versionPath, 'utf8'));
-    res.json(versionInfo);
+    res.json(readVersionInfo());
   } catch (error) {
     logger.error('Error reading version information', { error: error.message });
     res.status(500).json({ error: 'Failed to fetch version information' });
   }
 });
 
+// The UV API URL to fetch from, or null if none is configured. Without an
+// OpenUV API key the cached server is used.
+function getUvApiUrl() {
+  const uvApi = serverConfig.uvApi;
+  if (!uvApi || (!uvApi.url && !uvApi.cachedServerUrl)) {
+    return null;
+  }
+  
+  let apiUrl = uvApi.useCachedServer ? uvApi.cachedServerUrl : uvApi.url;
+  if (!uvApi.useCachedServer && !uvApi.apiKey) {
+    apiUrl = uvApi.cachedServerUrl;
+    console.log('No UV API key provided, falling back to cached server');
+  }
+  
+  // Ensure the API URL has a protocol
+  return apiUrl ? normalizeApiUrl(apiUrl) : null;
+}
+
+// OpenUV, with its daily quota use kept in a file (see lib/openuv.js)
+const openUv = createOpenUvClient({
+  file: path.resolve(__dirname, serverConfig.uvApi.quotaFile),
+  logger
+});
+
+// Whether the UV API is OpenUV itself, rather than the cached server
+function usesOpenUv() {
+  const uvApi = serverConfig.uvApi;
+  return Boolean(uvApi.url && uvApi.apiKey && !uvApi.useCachedServer);
+}
+
+// Fetch from the UV API: OpenUV with the API key and the location, or the
+// cached server as it is
+function fetchUvApi(apiUrl) {
+  if (!usesOpenUv()) {
+    return fetchExternalData(apiUrl, UV_UPSTREAM);
+  }
+  return openUv.fetchForecast(serverConfig.uvApi, serverConfig.location,
+    (url, options, beforeAttempt) => fetchExternalData(url, UV_UPSTREAM, options, beforeAttempt));
+}
+
+// Whether there's somewhere to get the UV forecast from (see uvApi.source)
+function hasUvSource() {
+  const { source } = serverConfig.uvApi;
+  const hasApi = source !== 'model' && Boolean(getUvApiUrl());
+  const hasModel = source !== 'api' && canModel(serverConfig.location);
+  return hasApi || hasModel;
+}
+
+// Fetch the UV forecast from uvApi.source: the UV API ("api"), the clear-sky
+// model for the location ("model", see lib/uv-model.js), or by default the
+// UV API with the model standing in while there's none configured or it
+// can't be reached ("auto")
+async function fetchUvForecast() {
+  const { source } = serverConfig.uvApi;
+  const location = serverConfig.location;
+  const apiUrl = source === 'model' ? null : getUvApiUrl();
+  if (source === 'api' || (apiUrl && !canModel(location))) {
+    return fetchUvApi(apiUrl);
+  }
+  
+  if (apiUrl) {
+    try {
+      return await fetchUvApi(apiUrl);
+    } catch (error) {
+      console.warn(`⚠️ UV API failed, using the clear-sky model: ${error.message}`);
+      logger.warn('UV API failed, using the clear-sky model', { error: error.message });
+    }
+  }
+  return forecastClearSkyUv(location, { timeZone: location.timeZone && location.timeZone.name });
+}
+
+// Fetch fresh UV data, cache it and publish it. Clients are notified if it
+// changed, unless notify is false. Refreshes asked for while one is under
+// way share it, so they don't each use up a request of the UV API's quota.
+let uvRefresh = null;
+function refreshUvData(notify = true) {
+  if (!uvRefresh) {
+    uvRefresh = fetchUvData(notify).finally(() => {
+      uvRefresh = null;
+    });
+  }
+  return uvRefresh;
+}
+
+async function fetchUvData(notify) {
+  const cacheKey = UV_CACHE_KEY;
+  const data = await fetchUvForecast();
+  
+  // Check if the data has actually changed from what's in the cache (data
+  // restored at startup is replaced either way, to drop its stale marker)
+  let dataChanged = true;
+  if (dataCache[cacheKey] && dataCache[cacheKey].data && !dataCache[cacheKey].restored) {
+    // Compare the old and new data
+    dataChanged = JSON.stringify(data) !== JSON.stringify(dataCache[cacheKey].data);
+  }
+  
+  // Cache the response
+  dataCache[cacheKey] = {
+    timestamp: Date.now(),
+    data: data
+  };
+  saveDataCache();
+  
+  if (mqttPublisher) {
+    mqttPublisher.publishUvIndex(getCurrentUvIndex(data));
+  }
+  
+  checkUvAlerts();
+  
+  if (dataChanged && notify) {
+    console.log(`Data changed, notifying clients of UV update`);
+    notifyClients('uv-update', { data });
+  }
+  
+  return data;
+}
+
+// Server-side UV refreshes around sunrise and sunset (see
+// lib/uv-scheduler.js), while uvApi.schedule is enabled and the location's
+// coordinates say when those are
+const uvScheduler = createUvScheduler({
+  refresh: () => refreshUvData(),
+  getOptions: () => {
+    const { uvApi, location } = serverConfig;
+    if (!isUvScheduled()) {
+      return null;
+    }
+    return {
+      location,
+      timeZone: resolveTimeZone(location.timeZone && location.timeZone.name),
+      intervalSec: serverConfig.uvRefreshIntervalSec,
+      leadMinutes: uvApi.schedule.sunriseLeadMinutes,
+      remaining: usesOpenUv() && uvApi.source !== 'model' ? openUv.remaining(uvApi.dailyQuota) : Infinity
+    };
+  },
+  logger
+});
+
+// Whether the cached UV forecast was fetched today, in the location's time zone
+function hasTodaysUvForecast() {
+  const cached = dataCache[UV_CACHE_KEY];
+  if (!cached) {
+    return false;
+  }
+  const location = serverConfig.location;
+  const today = localDay(Date.now(), resolveTimeZone(location.timeZone && location.timeZone.name));
+  return cached.timestamp >= today.from;
+}
+
+function isUvScheduled() {
+  return serverConfig.uvApi.schedule.enabled && canModel(serverConfig.location) && hasUvSource();
+}
+
+// UV data for the digest: the cached forecast if it's fresh (or kept fresh
+// by the schedule), or fetched now (falling back to a stale one)
+async function getFreshUvData() {
+  const cached = dataCache[UV_CACHE_KEY];
+  if (cached && (isUvScheduled() || Date.now() - cached.timestamp < serverConfig.uvRefreshIntervalSec * 1000)) {
+    return cached.data;
+  }
+  try {
+    return hasUvSource() ? await refreshUvData() : null;
+  } catch (error) {
+    logger.error('Failed to fetch UV data for the digest', { error: error.message });
+    return cached ? cached.data : null;
+  }
+}
+
+// Build the daily digest from the reading history and today's UV forecast
+async function buildEmailDigest({ timeZone, uvThreshold }) {
+  return buildDailyDigest({
+    stations,
+    historyStore,
+    standard: aqiStandard,
+    uvData: await getFreshUvData(),
+    uvThreshold,
+    timeZone
+  });
+}
+
 // API endpoint to fetch UV index data
 app.get('/api/uvindex', async (req, res) => {
   try {
     const clientIp = getClientIp(req);
-    const forceRefresh = req.query.force === '1';
+    // While the UV forecast is refreshed on a schedule, dashboards get the
+    // cached one, so they don't add to the UV API's quota use
+    const isScheduled = isUvScheduled();
+    const forceRefresh = req.query.force === '1' && canWrite(req) && !isScheduled;
     
     // Consolidate client request logging
     const requestType = forceRefresh ? 'forced refresh' : 'regular';
     console.log(`👤 [${clientIp}] Requesting UV index data (${requestType})`);
 
     // Create a cache key for UV data
-    const cacheKey = 'uv-index-data';
+    const cacheKey = UV_CACHE_KEY;
     
     // Check if we have cached data and it's not expired (and not forced refresh)
     if (!forceRefresh && dataCache[cacheKey] && 
-        Date.now() - dataCache[cacheKey].timestamp < (serverConfig.uvRefreshIntervalSec || 1800) * 1000) {
+        (isScheduled || Date.now() - dataCache[cacheKey].timestamp < serverConfig.uvRefreshIntervalSec * 1000)) {
+      metrics.recordCacheHit('uv');
       
       if (serverConfig.logLevel === 'debug') {
         console.log(`👤 [${clientIp}] Using cached UV data`);
       }
       
       logger.info(`Sent cached UV data to client ${clientIp}`);
-      return res.json(dataCache[cacheKey].data);
+      return res.json(cachedData(cacheKey));
     }
     
+    metrics.recordCacheMiss('uv');
     console.log(`👤 [${clientIp}] ${forceRefresh ? 'Forced refresh' : 'Cache expired'}, fetching new UV data`);
     
-    // Check if UV API is configured
-    if (!serverConfig.uvApi || (!serverConfig.uvApi.url && !serverConfig.uvApi.cachedServerUrl)) {
+    // Check if there's a UV API or coordinates for the model
+    if (!hasUvSource()) {
       console.warn('⚠️ UV API is not configured');
       return res.json({ 
-        error: 'UV API not configured',
+        error: 'UV API not configured and no location coordinates for the UV model',
         result: []
       });
     }
-
-    let apiUrl = serverConfig.uvApi.useCachedServer ? 
-                 serverConfig.uvApi.cachedServerUrl : 
-                 serverConfig.uvApi.url;
-    
-    // Default to cached server if using OpenUV but no API key
-    if (!serverConfig.uvApi.useCachedServer && !serverConfig.uvApi.apiKey) {
-      apiUrl = serverConfig.uvApi.cachedServerUrl;
-      console.log('No UV API key provided, falling back to cached server');
-    }
     
-    if (!apiUrl) {
-      return res.json({ 
-        error: 'UV API URL not configured',
-        result: []
-      });
-    }
-    
-    // Ensure the API URL has a protocol
-    if (!apiUrl.startsWith('http://') && !apiUrl.startsWith('https://')) {
-      if (apiUrl.includes('192.168.') || apiUrl.includes('127.0.0.1') || apiUrl.includes('localhost')) {
-        apiUrl = 'http://' + apiUrl;
-      } else {
-        apiUrl = 'https://' + apiUrl;
-      }
-    }
-    
-    // Fetch data from UV API
-    const data = await fetchExternalData(apiUrl);
+    // Only notify clients if this isn't a forced refresh initiated by an
+    // SSE event. This prevents the notification loop
+    const data = await refreshUvData(!req.query._sse);
     
     console.log(`📤 To [${clientIp}]: Fresh UV data`);
     logger.info(`Sent fresh UV data to client ${clientIp}`);
     
-    // Check if the data has actually changed from what's in the cache
-    let dataChanged = true;
-    if (dataCache[cacheKey] && dataCache[cacheKey].data) {
-      // Compare the old and new data
-      dataChanged = JSON.stringify(data) !== JSON.stringify(dataCache[cacheKey].data);
-    }
-    
-    // Cache the response
-    dataCache[cacheKey] = {
-      timestamp: Date.now(),
-      data: data
-    };
-    
-    // Only notify clients if there was a real data change and 
-    // this isn't a forced refresh initiated by an SSE event
-    // This prevents the notification loop
-    if (dataChanged && !req.query._sse) {
-      console.log(`Data changed, notifying clients of UV update`);
-      notifyClients('uv-update');
-    }
-    
     return res.json(data);
   } catch (error) {
     console.error('❌ Error fetching UV data:', error.message);
     return res.json({ 
       error: 'Failed to fetch UV data: ' + error.message,
-      result: []
+      result: [],
+      upstream: getUpstreamBreaker(UV_UPSTREAM).status()
     });
   }
 });
 
+// UV index for the current hour from cached UV data ({ result: [{ uv, uv_time }] }):
+// the latest forecast entry that has started, or null
+function getCurrentUvIndex(uvData) {
+  if (!uvData || !Array.isArray(uvData.result)) {
+    return null;
+  }
+  const now = Date.now();
+  const current = uvData.result
+    .filter(entry => typeof entry.uv === 'number' && Date.parse(entry.uv_time) <= now)
+    .sort((a, b) => Date.parse(b.uv_time) - Date.parse(a.uv_time))[0];
+  return current ? current.uv : null;
+}
+
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics', { error: error.message });
+    res.status(500).json({ error: 'Failed to collect metrics' });
+  }
+});
+
 // Serve index.html for all routes to support SPA
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   logger.info(`Server started on port ${PORT}`);
   
   // Log configuration
   logger.info('Server configuration:', {
-    apiUrl: serverConfig.externalApiUrl,
-    pollingInterval: `${serverConfig.pollingIntervalSec || 20}s`
+    stations: stations.map(station => ({
+      id: station.id,
+      apiUrl: station.url,
+      adapter: station.adapter,
+      pollingInterval: `${station.pollingIntervalSec}s`
+    }))
   });
   
-  // Start the polling timers
+  // Start the polling timers, and listen to the sensors that push
   startExternalApiPolling();
+  startMqttIngest();
+  
+  // Fetch the UV forecast now and then around sunrise and sunset. A
+  // forecast restored from today will do until the next scheduled fetch.
+  if (isUvScheduled()) {
+    if (hasTodaysUvForecast()) {
+      uvScheduler.reschedule();
+    } else {
+      uvScheduler.start();
+    }
+  }
+  
+  // Apply changes to the config files as they're saved
+  configWatcher = watchConfigFiles([configPath, clientConfigPath], reloadConfig, { logger });
+  
+  // Drop history past its retention period now and once a day
+  if (historyStore) {
+    historyStore.prune();
+    setInterval(() => historyStore.prune(), 24 * 60 * 60 * 1000);
+  }
   
   // Start the heartbeat
   startHeartbeat();
   
+  // Schedule the daily digest email
+  if (emailNotifier) {
+    emailNotifier.start();
+  }
+  
+  // The UV index changes by the hour, so keep checking its alert rules and
+  // republishing it from the cache
+  setInterval(checkUvAlerts, 60 * 1000);
+  if (mqttPublisher) {
+    setInterval(() => {
+      const uvCached = dataCache[UV_CACHE_KEY];
+      mqttPublisher.publishUvIndex(getCurrentUvIndex(uvCached && uvCached.data));
+    }, 5 * 60 * 1000);
+  }
+  
   // Emit a server-started event after a delay to allow clients to connect
   setTimeout(() => {
     notifyClients('server-started');
     logger.info('Sent server-started event to any connected clients');
   }, 5000);
-}); 
\ No newline at end of file
+});
+
+// WebSocket endpoint carrying the same events as /api/events
+webSockets = attachWebSocketServer(server, {
+  path: '/api/ws',
+  eventBuffer,
+  logger,
+  authorize: req => !auth.isEnabled() || Boolean(auth.identify(req)),
+  clientIp: getUpgradeClientIp,
+  onConnectionChange: (change, clientIp, count) => {
+    console.log(`👋 Client ${clientIp} ${change} ${change === 'connected' ? 'to' : 'from'} WebSocket, total clients: ${count}`);
+    logger.info(`Client ${clientIp} ${change} ${change === 'connected' ? 'to' : 'from'} WebSocket`);
+  }
+});
+
+// Shut down cleanly, saving the cache and letting MQTT subscribers see the
+// server go offline
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, async () => {
+    console.log(`${signal} received, shutting down`);
+    if (cacheStore) {
+      cacheStore.flush();
+    }
+    await Promise.all([
+      mqttPublisher && mqttPublisher.close(),
+      mqttIngest && mqttIngest.close()
+    ]);
+    process.exit(0);
+  });
+});
@@ -0,0 +1,142 @@
+// Alert rules from the config, and the alerts they fire and resolve
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseRules, createAlertEngine } = require('../lib/alerts');
+
+const RULE = { id: 'co2-high', metric: 'co2', operator: '>', threshold: 1200, stations: ['office'] };
+const START = Date.UTC(2026, 9, 19, 12, 0);
+const MINUTE_MS = 60 * 1000;
+const STATIONS = [{ id: 'office', name: 'Office' }];
+
+test('rejects alert rules with unknown stations, metrics or thresholds', () => {
+  const rules = rule => ({ rules: [{ ...RULE, ...rule }] });
+  assert.throws(() => parseRules(rules({ stations: ['garage'] }), ['office']), /refers to unknown stations: garage/);
+  assert.throws(() => parseRules(rules({ stations: 'office' }), ['office']), /needs stations as a list/);
+  assert.throws(() => parseRules(rules({ metric: 'radon' }), ['office']), /unknown metric "radon"/);
+  assert.throws(() => parseRules(rules({ threshold: '1200' }), ['office']), /needs a numeric threshold/);
+  assert.throws(() => parseRules({ rules: [RULE, RULE] }, ['office']), /"co2-high" is used more than once/);
+});
+
+test('fills in the defaults of valid rules', () => {
+  const [rule] = parseRules({ rules: [RULE], cooldownMinutes: 30 }, ['office']);
+  assert.strictEqual(rule.name, 'co2-high');
+  assert.strictEqual(rule.severity, 'warning');
+  assert.strictEqual(rule.cooldownMs, 30 * 60 * 1000);
+  assert.deepStrictEqual(rule.stations, ['office']);
+  assert.deepStrictEqual(parseRules({}, []), []);
+});
+
+// An engine with one rule, collecting the alerts it fires and resolves
+function createEngine(rule, options = {}) {
+  const events = [];
+  const engine = createAlertEngine({ rules: [{ ...RULE, ...rule }], timeZone: 'UTC' }, {
+    stations: STATIONS,
+    onChange: (event, alert) => events.push([event, alert.value, alert.resolvedValue]),
+    ...options
+  });
+  // Readings at minutes after START
+  const feed = readings => readings.forEach(([minutes, co2]) => engine.evaluate('office', { co2 }, START + minutes * MINUTE_MS));
+  return { engine, events, feed };
+}
+
+test('fires once the condition has held for forMinutes', () => {
+  const { engine, events, feed } = createEngine({ forMinutes: 10 });
+  feed([[0, 1300], [5, 1400]]);
+  assert.deepStrictEqual(engine.status(), { rules: 1, active: 0, pending: 1 });
+  assert.deepStrictEqual(events, []);
+
+  // Dropping back below the threshold starts the wait over
+  feed([[6, 1100], [7, 1300], [16, 1300]]);
+  assert.deepStrictEqual(events, []);
+  feed([[17, 1350]]);
+  assert.deepStrictEqual(events, [['fired', 1350, null]]);
+
+  const [alert] = engine.list().active;
+  assert.strictEqual(alert.firedAt, new Date(START + 17 * MINUTE_MS).toISOString());
+  assert.strictEqual(alert.message, 'co2-high: CO2 1350 (> 1200) at Office');
+  assert.deepStrictEqual(engine.status(), { rules: 1, active: 1, pending: 0 });
+});
+
+test('resolves only once the value is back past the threshold by the hysteresis', () => {
+  const { engine, events, feed } = createEngine({ hysteresis: 100 });
+  feed([[0, 1300], [1, 1500], [2, 1150], [3, 1101]]);
+  assert.deepStrictEqual(events, [['fired', 1300, null]]);
+  assert.strictEqual(engine.list().active[0].peakValue, 1500);
+
+  feed([[4, 1100]]);
+  assert.deepStrictEqual(events, [['fired', 1300, null], ['resolved', 1300, 1100]]);
+  const { active, history } = engine.list();
+  assert.deepStrictEqual(active, []);
+  assert.strictEqual(history[0].resolvedAt, new Date(START + 4 * MINUTE_MS).toISOString());
+});
+
+test('names stations from the list it was last given', () => {
+  const { engine, feed } = createEngine({});
+  engine.setStations([{ id: 'office', name: 'Front office' }]);
+  feed([[0, 1300]]);
+  assert.strictEqual(engine.list().active[0].message, 'co2-high: CO2 1300 (> 1200) at Front office');
+});
+
+test('waits out the cooldown after an alert resolves before firing again', () => {
+  const { events, feed } = createEngine({ cooldownMinutes: 30 });
+  feed([[0, 1300], [1, 1000], [10, 1300], [30, 1300]]);
+  assert.deepStrictEqual(events.map(([event]) => event), ['fired', 'resolved']);
+
+  // Still held when the cooldown is over, so it fires then
+  feed([[31, 1300]]);
+  assert.deepStrictEqual(events.map(([event]) => event), ['fired', 'resolved', 'fired']);
+});
+
+test('holds alerts back during quiet hours that run past midnight', () => {
+  const { events, feed } = createEngine({ quietHours: { start: '22:00', end: '07:00' } });
+  const at = (hours, minutes) => (Date.UTC(2026, 9, 19, hours, minutes) - START) / MINUTE_MS;
+
+  feed([[at(23, 0), 1300], [at(24 + 3, 0), 1300], [at(24 + 6, 59), 1300]]);
+  assert.deepStrictEqual(events, []);
+  feed([[at(24 + 7, 0), 1300]]);
+  assert.deepStrictEqual(events, [['fired', 1300, null]]);
+
+  // An alert that already fired still resolves in quiet hours
+  feed([[at(24 + 22, 30), 1000]]);
+  assert.deepStrictEqual(events.map(([event]) => event), ['fired', 'resolved']);
+});
+
+test('restores the active alerts and history from the alert log', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'alerts.jsonl');
+  const alert = (id, minutes, status) => ({
+    id, rule: 'co2-high', station: 'office', value: 1300, peakValue: 1300, status,
+    firedAt: new Date(START + minutes * MINUTE_MS).toISOString()
+  });
+  fs.writeFileSync(file, [
+    { event: 'fired', alert: alert('first', 0, 'active') },
+    { event: 'resolved', alert: alert('first', 0, 'resolved') },
+    { event: 'fired', alert: alert('second', 10, 'active') },
+    { event: 'fired', alert: { ...alert('removed', 5, 'active'), rule: 'removed-rule' } }
+  ].map(line => JSON.stringify(line)).join('\n') + '\n{"event":"fired","alert":{"id":\n');
+
+  const { engine, events, feed } = createEngine({ hysteresis: 100 }, { file });
+  assert.deepStrictEqual(engine.list().history.map(entry => [entry.id, entry.status]), [
+    ['second', 'active'], ['removed', 'active'], ['first', 'resolved']
+  ]);
+
+  // The restored alert carries on firing, without firing again, and
+  // resolves as before
+  feed([[20, 1400]]);
+  assert.deepStrictEqual(events, []);
+  feed([[21, 1000]]);
+  assert.deepStrictEqual(events, [['resolved', 1300, 1000]]);
+  assert.strictEqual(engine.list().history[0].peakValue, 1400);
+
+  // The resolution is appended to the log for the next restart
+  const logged = () => fs.readFileSync(file, 'utf8').split('\n').slice(-2)[0];
+  for (let tries = 0; tries < 50 && !logged().startsWith('{"event":"resolved"'); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.deepStrictEqual(JSON.parse(logged()).alert.id, 'second');
+});
@@ -0,0 +1,75 @@
+// AQI standards: each one's index from the concentrations, and overrides
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { STANDARDS, resolveStandard, getBand, describeStandard } = require('../lib/aqi-standards');
+
+// A standard's index for a set of concentrations
+function index(standardId, concentrations) {
+  return STANDARDS[standardId].calculate(concentrations);
+}
+
+test('EU CAQI interpolates between its grid breakpoints', () => {
+  assert.deepStrictEqual(index('eu-caqi', { pm25: 15 }), { value: 25, pollutant: 'pm25' });
+  assert.deepStrictEqual(index('eu-caqi', { pm25: 42.5 }), { value: 63, pollutant: 'pm25' });
+  assert.deepStrictEqual(index('eu-caqi', { pm25: 10, pm10: 50 }), { value: 50, pollutant: 'pm10' });
+});
+
+test('UK DAQI steps from 1 to 10', () => {
+  assert.strictEqual(index('uk-daqi', { pm25: 11 }).value, 1);
+  assert.strictEqual(index('uk-daqi', { pm25: 12 }).value, 2);
+  assert.strictEqual(index('uk-daqi', { pm25: 70 }).value, 9);
+  assert.strictEqual(index('uk-daqi', { pm25: 71 }).value, 10);
+  assert.deepStrictEqual(index('uk-daqi', { pm25: 5, pm10: 101 }), { value: 10, pollutant: 'pm10' });
+});
+
+test('India NAQI keeps values between rows in the upper band', () => {
+  assert.strictEqual(index('in-naqi', { pm25: 30 }).value, 50);
+  assert.strictEqual(index('in-naqi', { pm25: 30.5 }).value, 51);
+  assert.strictEqual(index('in-naqi', { pm25: 60 }).value, 100);
+  assert.strictEqual(index('in-naqi', { pm25: 90 }).value, 200);
+  assert.strictEqual(index('in-naqi', { pm10: 100 }).value, 100);
+});
+
+test('China HJ 633 rounds the IAQI up', () => {
+  assert.strictEqual(index('cn-hj633', { pm25: 75 }).value, 100);
+  assert.strictEqual(index('cn-hj633', { pm25: 76 }).value, 102);
+  assert.strictEqual(index('cn-hj633', { pm10: 150 }).value, 100);
+});
+
+test('Canada AQHI+ is a point per 10 μg/m³ of PM2.5, from 1', () => {
+  assert.deepStrictEqual(index('ca-aqhi', { pm25: 0 }), { value: 1, pollutant: 'pm25' });
+  assert.strictEqual(index('ca-aqhi', { pm25: 25 }).value, 3);
+  assert.strictEqual(index('ca-aqhi', { pm25: 101 }).value, 11);
+  assert.deepStrictEqual(index('ca-aqhi', { pm10: 40 }), { value: null, pollutant: null });
+});
+
+test('every standard has no index without concentrations', () => {
+  Object.keys(STANDARDS).forEach(standardId => {
+    assert.deepStrictEqual(index(standardId, {}), { value: null, pollutant: null }, standardId);
+    assert.deepStrictEqual(index(standardId, { pm25: -5 }), { value: null, pollutant: null }, standardId);
+  });
+});
+
+test('applies threshold and colour overrides, flat ones to US EPA only', () => {
+  const epa = resolveStandard('us-epa', { thresholds: { good: 40 }, colors: { good: { backgroundColor: '#00FF00' } } });
+  assert.strictEqual(epa.bands[0].max, 40);
+  assert.strictEqual(epa.bands[0].backgroundColor, '#00FF00');
+  assert.strictEqual(getBand(epa, 45).key, 'moderate');
+
+  assert.strictEqual(resolveStandard('eu-caqi', { thresholds: { low: 40 } }).bands[1].max, 50);
+  const caqi = resolveStandard('eu-caqi', { thresholds: { 'eu-caqi': { low: 40, veryHigh: 200 } } });
+  assert.strictEqual(caqi.bands[1].max, 40);
+  assert.strictEqual(caqi.bands[4].max, null);
+
+  assert.throws(() => resolveStandard('who'), /Unknown AQI standard "who"/);
+});
+
+test('finds the band of an index and describes a standard for the dashboard', () => {
+  const standard = resolveStandard('uk-daqi');
+  assert.strictEqual(getBand(standard, 3).key, 'low');
+  assert.strictEqual(getBand(standard, 10).key, 'veryHigh');
+  assert.strictEqual(getBand(standard, null), null);
+  assert.deepStrictEqual(Object.keys(describeStandard(standard)), ['id', 'name', 'bands']);
+  assert.strictEqual(typeof describeStandard(standard).calculate, 'undefined');
+});
@@ -0,0 +1,78 @@
+// US EPA AQI: breakpoint interpolation and the NowCast
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { calculateAqi, calculateOverallAqi, calculateNowCastConcentration, calculateNowCastAqi } = require('../lib/aqi');
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+
+// A sample in the hour `hoursAgo` hours before NOW (0 is the last hour)
+function sample(hoursAgo, value) {
+  return { time: NOW - hoursAgo * HOUR_MS - 60 * 1000, value };
+}
+
+test('interpolates PM2.5 between the 2024 EPA breakpoints', () => {
+  assert.strictEqual(calculateAqi('pm25', 0), 0);
+  assert.strictEqual(calculateAqi('pm25', 9.0), 50);
+  assert.strictEqual(calculateAqi('pm25', 9.1), 51);
+  assert.strictEqual(calculateAqi('pm25', 12.0), 56);
+  assert.strictEqual(calculateAqi('pm25', 35.4), 100);
+  assert.strictEqual(calculateAqi('pm25', 35.5), 101);
+  assert.strictEqual(calculateAqi('pm25', 55.4), 150);
+  assert.strictEqual(calculateAqi('pm25', 55.5), 151);
+  assert.strictEqual(calculateAqi('pm25', 125.4), 200);
+  assert.strictEqual(calculateAqi('pm25', 225.4), 300);
+  assert.strictEqual(calculateAqi('pm25', 325.4), 500);
+  // Truncated to one decimal, so 9.09 is still in the first band
+  assert.strictEqual(calculateAqi('pm25', 9.09), 50);
+});
+
+test('interpolates PM10 between the EPA breakpoints', () => {
+  assert.strictEqual(calculateAqi('pm10', 54), 50);
+  assert.strictEqual(calculateAqi('pm10', 54.9), 50);
+  assert.strictEqual(calculateAqi('pm10', 55), 51);
+  assert.strictEqual(calculateAqi('pm10', 154), 100);
+  assert.strictEqual(calculateAqi('pm10', 155), 101);
+  assert.strictEqual(calculateAqi('pm10', 604), 500);
+});
+
+test('has no AQI for missing or invalid concentrations', () => {
+  assert.strictEqual(calculateAqi('pm25', null), null);
+  assert.strictEqual(calculateAqi('pm25', -1), null);
+  assert.strictEqual(calculateAqi('pm25', NaN), null);
+  assert.strictEqual(calculateAqi('o3', 10), null);
+  assert.deepStrictEqual(calculateOverallAqi({}), { value: null, pollutant: null });
+  assert.deepStrictEqual(calculateOverallAqi({ pm25: 12.0, pm10: 155 }), { value: 101, pollutant: 'pm10' });
+});
+
+test('weights the NowCast hours by how much the concentration varies', () => {
+  const steady = Array.from({ length: 12 }, (_, hour) => sample(hour, 10));
+  assert.strictEqual(calculateNowCastConcentration(steady, NOW), 10);
+
+  // Weight factor 20/30: (30 + 2/3 * 20) / (1 + 2/3)
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 30), sample(1, 20)], NOW), 26);
+
+  // Hourly averages of the samples within each hour
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 20), sample(0, 40), sample(1, 20)], NOW), 26);
+});
+
+test('clamps the NowCast weight factor at 0.5', () => {
+  // min / max is 0.1, so the weight is 0.5: (100 + 0.5 * 10) / 1.5
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 100), sample(1, 10)], NOW), 70);
+  // Older hours count for less: (100 + 0.25 * 10) / 1.25
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 100), sample(2, 10)], NOW), 82);
+});
+
+test('needs two of the three most recent hours for a NowCast', () => {
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 10)], NOW), null);
+  assert.strictEqual(calculateNowCastConcentration([sample(0, 10), sample(3, 10), sample(4, 10)], NOW), null);
+  assert.strictEqual(calculateNowCastConcentration([sample(1, 10), sample(2, 10)], NOW), 10);
+  assert.strictEqual(calculateNowCastConcentration([], NOW), null);
+});
+
+test('computes the NowCast AQI from the pollutant with the highest index', () => {
+  const samples = [0, 1, 2].map(hour => ({ time: NOW - hour * HOUR_MS - 60 * 1000, pm25: 35.5, pm10: 40 }));
+  assert.deepStrictEqual(calculateNowCastAqi(samples, NOW), { value: 101, pollutant: 'pm25' });
+  assert.deepStrictEqual(calculateNowCastAqi(samples.slice(0, 1), NOW), { value: null, pollutant: null });
+});
@@ -0,0 +1,45 @@
+// Share links: signed, expiring and read-only
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { VIEWER, createAuth } = require('../lib/auth');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+function createShareLink(t, options) {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const auth = createAuth(() => ({ enabled: true, secret: 'test secret', shareLinkHours: 12 }), () => ({}));
+  return { auth, link: auth.createShareLink('https://aq.example.com', options) };
+}
+
+test('creates a link carrying only the signed share parameter', (t) => {
+  const { auth, link } = createShareLink(t, { hours: 2 });
+  const url = new URL(link.url);
+  assert.strictEqual(url.origin + url.pathname, 'https://aq.example.com/');
+  assert.deepStrictEqual(Array.from(url.searchParams.keys()), ['share']);
+  assert.strictEqual(link.expiresAt, new Date(NOW + 2 * HOUR_MS).toISOString());
+  assert.deepStrictEqual(auth.verify(url.searchParams.get('share')), { role: VIEWER, exp: NOW + 2 * HOUR_MS });
+});
+
+test('turns away share links that were changed or have expired', (t) => {
+  const { auth, link } = createShareLink(t);
+  const share = new URL(link.url).searchParams.get('share');
+  const [body, signature] = share.split('.');
+  const forged = Buffer.from(JSON.stringify({ role: 'user', exp: NOW + HOUR_MS })).toString('base64url');
+  assert.strictEqual(auth.verify(`${forged}.${signature}`), null);
+  assert.strictEqual(auth.verify(`${body}.${signature.slice(1)}`), null);
+
+  // Lasting shareLinkHours by default
+  t.mock.timers.tick(12 * HOUR_MS - 1);
+  assert.ok(auth.verify(share));
+  t.mock.timers.tick(1);
+  assert.strictEqual(auth.verify(share), null);
+});
+
+test('limits how long a share link lasts', (t) => {
+  const { auth } = createShareLink(t);
+  assert.throws(() => auth.createShareLink('https://aq.example.com', { hours: 0 }), /hours must be a number above 0 and at most 720/);
+  assert.throws(() => auth.createShareLink('https://aq.example.com', { hours: 721 }), /at most 720/);
+  assert.throws(() => auth.createShareLink('https://aq.example.com', { hours: '2' }), /hours must be a number/);
+});
@@ -0,0 +1,88 @@
+// Cache snapshots: saving them after a burst of changes and restoring them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createCacheStore } = require('../lib/cache-store');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const HOUR_MS = 60 * 60 * 1000;
+
+// A snapshot file in a temporary directory, with the clock at NOW
+function snapshotFile(t) {
+  t.mock.timers.enable({ apis: ['Date', 'setTimeout'], now: NOW });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return path.join(directory, 'data', 'cache.json');
+}
+
+function createLogger() {
+  const warnings = [];
+  return { warnings, warn: message => warnings.push(message), error: () => {} };
+}
+
+test('saves once the burst of changes is over and restores the entries', (t) => {
+  const file = snapshotFile(t);
+  const store = createCacheStore({ file, maxAgeHours: 24, saveDelayMs: 5000 });
+  const entries = { 'station:office': { timestamp: NOW - HOUR_MS, data: { aqi: 42 } } };
+
+  let reads = 0;
+  store.save(() => {
+    reads++;
+    return entries;
+  });
+  store.save(() => {
+    reads++;
+    return entries;
+  });
+  assert.strictEqual(fs.existsSync(file), false);
+
+  t.mock.timers.tick(5000);
+  assert.strictEqual(reads, 1);
+  const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(snapshot.savedAt, new Date(NOW + 5000).toISOString());
+  assert.deepStrictEqual(createCacheStore({ file, maxAgeHours: 24 }).load(), entries);
+});
+
+test('writes a pending snapshot on flush, and nothing without one', (t) => {
+  const file = snapshotFile(t);
+  const store = createCacheStore({ file, maxAgeHours: 24 });
+  store.flush();
+  assert.strictEqual(fs.existsSync(file), false);
+
+  store.save(() => ({ uv: { timestamp: NOW, data: { result: [] } } }));
+  store.flush();
+  assert.deepStrictEqual(Object.keys(store.load()), ['uv']);
+});
+
+test('leaves out entries older than maxAgeHours and ones without data', (t) => {
+  const file = snapshotFile(t);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({
+    savedAt: new Date(NOW).toISOString(),
+    entries: {
+      fresh: { timestamp: NOW - 23 * HOUR_MS, data: { aqi: 10 } },
+      expired: { timestamp: NOW - 25 * HOUR_MS, data: { aqi: 20 } },
+      noData: { timestamp: NOW },
+      noTimestamp: { data: { aqi: 30 } },
+      empty: null
+    }
+  }));
+
+  assert.deepStrictEqual(Object.keys(createCacheStore({ file, maxAgeHours: 24 }).load()), ['fresh']);
+  assert.deepStrictEqual(createCacheStore({ file, maxAgeHours: 0 }).load(), {});
+});
+
+test('starts empty from a missing or unreadable snapshot', (t) => {
+  const file = snapshotFile(t);
+  const logger = createLogger();
+  assert.deepStrictEqual(createCacheStore({ file, maxAgeHours: 24, logger }).load(), {});
+  assert.deepStrictEqual(logger.warnings, []);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, '{"savedAt":');
+  assert.deepStrictEqual(createCacheStore({ file, maxAgeHours: 24, logger }).load(), {});
+  assert.deepStrictEqual(logger.warnings, ['Ignoring unreadable cache snapshot']);
+});
@@ -0,0 +1,150 @@
+// Email notifications and the daily digest, sent through nodemailer's JSON
+// transport in place of an SMTP server
+
+const test = require('node:test');
+const assert = require('node:assert');
+const nodemailer = require('nodemailer');
+const { checkEmailConfig, createEmailNotifier } = require('../lib/email');
+const { buildDailyDigest } = require('../lib/digest');
+const { resolveStandard } = require('../lib/aqi-standards');
+
+const standard = resolveStandard('us-epa');
+const EMAIL_CONFIG = {
+  from: 'Air Quality <aq@example.com>',
+  recipients: ['home@example.com'],
+  dashboardUrl: 'https://aq.example.com/'
+};
+
+// A transport that keeps the messages nodemailer builds instead of sending them
+function createSink() {
+  const json = nodemailer.createTransport({ jsonTransport: true });
+  const messages = [];
+  return {
+    messages,
+    async sendMail(mail) {
+      const info = await json.sendMail(mail);
+      messages.push(JSON.parse(info.message));
+      return info;
+    },
+    close() {}
+  };
+}
+
+// Resolve once `count` messages have been sent
+async function waitForMessages(sink, count) {
+  while (sink.messages.length < count) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function categoryChange(from, to, aqi) {
+  const band = key => standard.bands.find(candidate => candidate.key === key);
+  return {
+    id: 1,
+    type: 'category-change',
+    data: {
+      station: 'balcony',
+      stationName: 'Balcony',
+      aqi,
+      from: { key: from, label: band(from).label },
+      to: { key: to, label: band(to).label },
+      timestamp: Date.UTC(2026, 9, 19, 8, 0)
+    }
+  };
+}
+
+test('rejects email settings the notifier can\'t work with', () => {
+  assert.throws(() => checkEmailConfig({}, standard), /email.from must be set/);
+  assert.throws(() => checkEmailConfig({ ...EMAIL_CONFIG, digest: { time: '7am' } }, standard), /email.digest.time must be HH:MM/);
+  assert.throws(() => checkEmailConfig({ ...EMAIL_CONFIG, notifications: { category: 'bad' } }, standard), /isn't a category of/);
+  assert.strictEqual(checkEmailConfig(EMAIL_CONFIG, standard), 3);
+});
+
+test('emails a station turning unhealthy and recovering, and fired alerts', async () => {
+  const sink = createSink();
+  const notifier = createEmailNotifier({ ...EMAIL_CONFIG, notifications: { alerts: true } }, {
+    standard,
+    timeZone: 'Asia/Dubai',
+    transport: sink
+  });
+
+  notifier.handleEvent(categoryChange('good', 'moderate', 60));
+  notifier.handleEvent(categoryChange('unhealthySensitive', 'unhealthy', 165));
+  await waitForMessages(sink, 1);
+  notifier.handleEvent(categoryChange('unhealthy', 'moderate', 80));
+  await waitForMessages(sink, 2);
+  notifier.handleEvent({
+    id: 2,
+    type: 'alert',
+    data: {
+      event: 'fired',
+      alert: { name: 'CO2 high', message: 'CO2 at Balcony is 1450 ppm', severity: 'critical', firedAt: Date.UTC(2026, 9, 19, 9, 0) }
+    }
+  });
+  await waitForMessages(sink, 3);
+
+  const [unhealthy, recovered, alert] = sink.messages;
+  assert.strictEqual(unhealthy.subject, 'Air quality at Balcony is Unhealthy');
+  assert.strictEqual(unhealthy.from.address, 'aq@example.com');
+  assert.deepStrictEqual(unhealthy.to.map(to => to.address), ['home@example.com']);
+  assert.match(unhealthy.text, /The AQI at Balcony has reached 165 \(Unhealthy\)/);
+  assert.match(unhealthy.text, /Time: {5}19 Oct 2026, 12:00/);
+  assert.match(unhealthy.html, /#F44336/);
+  assert.strictEqual(recovered.subject, 'Air quality at Balcony is back to Moderate');
+  assert.strictEqual(alert.subject, 'Critical alert: CO2 high');
+  assert.match(alert.text, /https:\/\/aq.example.com\//);
+  assert.strictEqual(notifier.status().sent, 3);
+});
+
+test('switches to another AQI standard\'s categories, keeping its own if it lacks the notified one', async () => {
+  const sink = createSink();
+  const notifier = createEmailNotifier({ ...EMAIL_CONFIG, notifications: { category: 'moderate' } }, {
+    standard,
+    timeZone: 'Asia/Dubai',
+    transport: sink
+  });
+  const daqi = resolveStandard('uk-daqi');
+  const lowToHigh = categoryChange('good', 'unhealthy', 5);
+  lowToHigh.data.from = { key: 'low', label: 'Low' };
+  lowToHigh.data.to = { key: 'high', label: 'High' };
+
+  notifier.setStandard(daqi);
+  notifier.handleEvent(lowToHigh);
+  await waitForMessages(sink, 1);
+  assert.strictEqual(sink.messages[0].subject, 'Air quality at Balcony is High');
+  assert.ok(sink.messages[0].html.includes(daqi.bands[2].backgroundColor));
+
+  const strict = createEmailNotifier(EMAIL_CONFIG, { standard, timeZone: 'Asia/Dubai', transport: createSink() });
+  assert.throws(() => strict.setStandard(daqi), /"unhealthy" isn't a category of/);
+});
+
+test('sends the daily digest built from yesterday\'s readings', async () => {
+  const sink = createSink();
+  const now = Date.UTC(2026, 9, 19, 3, 0); // 07:00 in Dubai
+  const records = [
+    { time: Date.UTC(2026, 9, 18, 6, 0), current: { pm25: 10 } },
+    { time: Date.UTC(2026, 9, 18, 12, 0), current: { pm25: 40 } }
+  ];
+  const notifier = createEmailNotifier({ ...EMAIL_CONFIG, digest: { uvThreshold: 6 } }, {
+    standard,
+    timeZone: 'Asia/Dubai',
+    transport: sink,
+    buildDigest: options => buildDailyDigest({
+      ...options,
+      stations: [{ id: 'balcony', name: 'Balcony' }],
+      historyStore: { read: async () => records },
+      standard,
+      uvData: null,
+      now
+    })
+  });
+
+  await notifier.sendDigest();
+
+  const [digest] = sink.messages;
+  assert.strictEqual(digest.subject, 'Air quality digest for 2026-10-18');
+  assert.match(digest.text, /Balcony\n {2}AQI: min 53, max 112, average 83\n {2}Moderate: 1 h\n {2}Unhealthy for Sensitive Groups: 1 h/);
+  assert.match(digest.text, /UV today: No UV forecast available/);
+  assert.strictEqual(notifier.status().sent, 1);
+  assert.strictEqual(notifier.status().failed, 0);
+});
@@ -0,0 +1,50 @@
+// Replay of missed live update events by Last-Event-ID
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createEventBuffer } = require('../lib/event-buffer');
+
+const START = Date.UTC(2026, 9, 19, 8, 0);
+
+test('numbers events from the start time up', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const buffer = createEventBuffer();
+  assert.deepStrictEqual(buffer.push('aqi-update', { aqi: 40 }), { id: START + 1, type: 'aqi-update', data: { aqi: 40 } });
+  assert.strictEqual(buffer.push('uv-update', {}).id, START + 2);
+  assert.strictEqual(buffer.lastId, START + 2);
+});
+
+test('replays the events after the last one a client saw', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const buffer = createEventBuffer();
+  const [first, second, third] = ['aqi-update', 'uv-update', 'alert'].map(type => buffer.push(type, {}));
+
+  assert.deepStrictEqual(buffer.since(String(first.id)), [second, third]);
+  assert.deepStrictEqual(buffer.since(third.id), []);
+  // A client that connected before any event was sent has missed nothing
+  assert.deepStrictEqual(buffer.since(START), [first, second, third]);
+  assert.deepStrictEqual(buffer.since('not a number'), []);
+});
+
+test('asks for a resync when the missed events are no longer kept', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const buffer = createEventBuffer({ size: 3 });
+  const events = Array.from({ length: 5 }, (_, index) => buffer.push('aqi-update', { index }));
+
+  // The first two were dropped, so a client that last saw the first one
+  // can't be caught up
+  assert.strictEqual(buffer.since(events[0].id), null);
+  assert.deepStrictEqual(buffer.since(events[1].id), events.slice(2));
+});
+
+test('asks for a resync from a client of the previous server', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const before = createEventBuffer();
+  const seen = before.push('aqi-update', {});
+  before.push('aqi-update', {});
+
+  t.mock.timers.tick(60 * 1000);
+  const restarted = createEventBuffer();
+  restarted.push('server-started', {});
+  assert.strictEqual(restarted.since(seen.id), null);
+});
@@ -0,0 +1,78 @@
+// Reading history: day files, range queries and aggregation
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createHistoryStore } = require('../lib/history-store');
+
+const NOW = Date.UTC(2026, 9, 19, 12, 0);
+const MINUTE_MS = 60 * 1000;
+
+// A store in a temporary directory, with the clock at NOW
+function createStore(t, options = {}) {
+  t.mock.timers.enable({ apis: ['Date'], now: NOW });
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return { directory, store: createHistoryStore({ directory, ...options }) };
+}
+
+function reading(time, current) {
+  return { timestamp: new Date(time).toISOString(), current };
+}
+
+test('keeps readings in a file per station per UTC day', async (t) => {
+  const { directory, store } = createStore(t);
+  await store.append('office', reading(Date.UTC(2026, 9, 18, 23, 59), { pm25: 10 }));
+  await store.append('office', reading(Date.UTC(2026, 9, 19, 0, 1), { pm25: 12 }));
+
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'office')).sort(), ['2026-10-18.jsonl', '2026-10-19.jsonl']);
+  const records = await store.read('office', Date.UTC(2026, 9, 18), NOW);
+  assert.deepStrictEqual(records.map(record => record.current.pm25), [10, 12]);
+  assert.strictEqual(store.status().writeCount, 2);
+});
+
+test('aggregates a metric into buckets with min, average and max', async (t) => {
+  const { store } = createStore(t);
+  const start = Date.UTC(2026, 9, 19, 10, 0);
+  const values = [10, 20, 31, 40, null, 50];
+  for (const [index, value] of values.entries()) {
+    await store.append('office', reading(start + index * 2 * MINUTE_MS, { pm25: value, co2: 500 }));
+  }
+
+  const buckets = await store.query({ stationId: 'office', metric: 'pm25', from: start, to: NOW, resolution: '5m' });
+  assert.deepStrictEqual(buckets, [
+    { timestamp: '2026-10-19T10:00:00.000Z', min: 10, avg: 20.33, max: 31, count: 3 },
+    { timestamp: '2026-10-19T10:05:00.000Z', min: 40, avg: 40, max: 40, count: 1 },
+    { timestamp: '2026-10-19T10:10:00.000Z', min: 50, avg: 50, max: 50, count: 1 }
+  ]);
+
+  const hourly = await store.query({ stationId: 'office', metric: 'pm25', from: start, to: NOW, resolution: '1h' });
+  assert.deepStrictEqual(hourly.map(bucket => [bucket.count, bucket.avg]), [[5, 30.2]]);
+
+  const raw = await store.query({ stationId: 'office', metric: 'pm25', from: start, to: start + 3 * MINUTE_MS });
+  assert.deepStrictEqual(raw, [
+    { timestamp: '2026-10-19T10:00:00.000Z', value: 10 },
+    { timestamp: '2026-10-19T10:02:00.000Z', value: 20 }
+  ]);
+});
+
+test('rejects unknown metrics and resolutions', async (t) => {
+  const { store } = createStore(t);
+  await assert.rejects(store.query({ stationId: 'office', metric: 'radon', from: 0, to: NOW }), RangeError);
+  await assert.rejects(store.query({ stationId: 'office', metric: 'pm25', from: 0, to: NOW, resolution: '2h' }), /Unknown resolution "2h"/);
+});
+
+test('skips lines cut short and deletes days past the retention period', async (t) => {
+  const { directory, store } = createStore(t, { retentionDays: 7 });
+  await store.append('office', reading(NOW - MINUTE_MS, { pm25: 8 }));
+  fs.appendFileSync(path.join(directory, 'office', '2026-10-19.jsonl'), '{"timestamp":"2026-10-19T11:');
+  fs.writeFileSync(path.join(directory, 'office', '2026-10-01.jsonl'), JSON.stringify(reading(Date.UTC(2026, 9, 1), { pm25: 5 })) + '\n');
+
+  const records = await store.read('office', Date.UTC(2026, 9, 1), NOW);
+  assert.deepStrictEqual(records.map(record => record.current.pm25), [8]);
+
+  await store.prune();
+  assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'office')), ['2026-10-19.jsonl']);
+});
@@ -0,0 +1,74 @@
+// MQTT ingest: topic filters, station checks and subscribing through an
+// in-process broker (aedes)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const createBroker = require('aedes');
+const { isValidTopicFilter, topicMatches, createMqttIngest } = require('../lib/mqtt-ingest');
+const { loadStations } = require('../lib/stations');
+const adapters = require('../lib/adapters');
+
+test('matches topics against filters with wildcards', () => {
+  assert.strictEqual(topicMatches('sensors/balcony/pm25', 'sensors/balcony/pm25'), true);
+  assert.strictEqual(topicMatches('sensors/+/pm25', 'sensors/balcony/pm25'), true);
+  assert.strictEqual(topicMatches('sensors/+/pm25', 'sensors/balcony/pm10'), false);
+  assert.strictEqual(topicMatches('sensors/+', 'sensors/balcony/pm25'), false);
+  assert.strictEqual(topicMatches('sensors/#', 'sensors/balcony/pm25'), true);
+  assert.strictEqual(topicMatches('sensors/#', 'sensors'), true);
+  assert.strictEqual(topicMatches('#', '$SYS/broker/uptime'), false);
+
+  assert.strictEqual(isValidTopicFilter('sensors/+/state'), true);
+  assert.strictEqual(isValidTopicFilter('sensors/#'), true);
+  assert.strictEqual(isValidTopicFilter('sensors/#/state'), false);
+  assert.strictEqual(isValidTopicFilter('sensors/bal+/state'), false);
+});
+
+test('rejects MQTT stations without topics or with invalid ones', () => {
+  const config = topics => ({ stations: [{ id: 'balcony', source: 'mqtt', adapterOptions: { topics } }] });
+  assert.throws(() => loadStations({ stations: [{ id: 'balcony', source: 'mqtt' }] }), /no adapterOptions.topics/);
+  assert.throws(() => loadStations(config({ 'sensors/#/pm25': 'pm25' })), /isn't a valid MQTT topic/);
+  assert.strictEqual(loadStations(config({ 'sensors/+/pm25': 'pm25' }))[0].adapter, 'mqtt');
+});
+
+test('collects messages on wildcard topics into a reading', { timeout: 5000 }, async () => {
+  const broker = createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `mqtt://127.0.0.1:${server.address().port}`;
+  const [station] = loadStations({
+    stations: [{
+      id: 'balcony',
+      source: 'mqtt',
+      adapterOptions: { topics: { 'esphome/+/pm_2_5/state': 'pm25', 'tele/balcony/#': { temperature: 'BME280.Temperature' } } }
+    }]
+  });
+
+  let received = null;
+  const ingest = createMqttIngest({ url }, [station], { settleMs: 50, onPayload: (_, payload) => { received = payload; } });
+  const sensor = mqtt.connect(url, { reconnectPeriod: 0 });
+  try {
+    await new Promise(resolve => sensor.once('connect', resolve));
+    while (!ingest.status().connected) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => setTimeout(resolve, 100)); // Let the subscription settle
+    sensor.publish('esphome/balcony/pm_2_5/state', '12.4');
+    sensor.publish('tele/balcony/SENSOR', JSON.stringify({ BME280: { Temperature: 31.5 } }));
+    sensor.publish('esphome/balcony/pm_10/state', '40');
+    while (!received || Object.keys(received.messages).length < 2) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    const reading = adapters.normalizeReading(station.adapter, received, station.adapterOptions);
+    assert.strictEqual(reading.current.pm25, 12.4);
+    assert.strictEqual(reading.current.temperature, 31.5);
+    assert.strictEqual(ingest.status().messageCount, 2);
+  } finally {
+    await new Promise(resolve => sensor.end(true, {}, resolve));
+    await ingest.close();
+    await new Promise(resolve => broker.close(resolve));
+    await new Promise(resolve => server.close(resolve));
+  }
+});
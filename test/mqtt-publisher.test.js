@@ -0,0 +1,139 @@
+// The MQTT publisher against an in-process broker (aedes)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const mqtt = require('mqtt');
+const createBroker = require('aedes');
+const { createMqttPublisher } = require('../lib/mqtt-publisher');
+
+const STATION = { id: 'office', name: 'Office', adapter: 'airgradient' };
+const READING = {
+  timestamp: '2026-10-19T08:00:00.000Z',
+  current: { pm25: 12.5, co2: 640, temperature: 24.1 },
+  aqi: { value: 52, band: { key: 'moderate', label: 'Moderate' } }
+};
+
+// A broker listening on `port` (a free one if 0)
+async function startBroker(port = 0) {
+  const broker = createBroker();
+  const server = net.createServer(broker.handle);
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    broker,
+    url: `mqtt://127.0.0.1:${server.address().port}`,
+    port: server.address().port,
+    async stop() {
+      await new Promise(resolve => broker.close(resolve));
+      await new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+// Resolve when `check` holds, polling every 20 ms
+async function waitFor(check, timeoutMs = 3000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// Connect a client that records the messages it gets as topic -> { payload, retain }
+async function subscribe(url, topic) {
+  const client = mqtt.connect(url, { reconnectPeriod: 0 });
+  const messages = new Map();
+  client.on('message', (messageTopic, payload, packet) => {
+    messages.set(messageTopic, { payload: payload.toString(), retain: packet.retain });
+  });
+  await new Promise((resolve, reject) => {
+    client.once('connect', () => client.subscribe(topic, error => (error ? reject(error) : resolve())));
+    client.once('error', reject);
+  });
+  return { client, messages, end: () => new Promise(resolve => client.end(true, {}, resolve)) };
+}
+
+test('publishes readings retained, with Home Assistant discovery', async () => {
+  const broker = await startBroker();
+  const publisher = createMqttPublisher({ url: broker.url, baseTopic: 'aq' });
+  try {
+    await waitFor(() => publisher.status().connected);
+    publisher.publishReading(STATION, READING);
+    publisher.publishUvIndex(6.2);
+    await waitFor(() => publisher.status().publishedCount >= 10);
+
+    // A subscriber that comes later gets the retained messages
+    const subscriber = await subscribe(broker.url, '#');
+    await waitFor(() => subscriber.messages.has('aq/uv/uv') && subscriber.messages.has('aq/office/state'));
+
+    assert.deepStrictEqual(subscriber.messages.get('aq/status'), { payload: 'online', retain: true });
+    const state = JSON.parse(subscriber.messages.get('aq/office/state').payload);
+    assert.strictEqual(state.aqi, 52);
+    assert.strictEqual(state.pm25, 12.5);
+    assert.strictEqual(state.aqiCategory, 'Moderate');
+    assert.strictEqual(subscriber.messages.get('aq/office/co2').payload, '640');
+    assert.strictEqual(subscriber.messages.has('aq/office/humidity'), false);
+    assert.strictEqual(subscriber.messages.get('aq/uv/uv').payload, '6.2');
+
+    const discovery = JSON.parse(subscriber.messages.get('homeassistant/sensor/airquality_office/pm25/config').payload);
+    assert.strictEqual(discovery.state_topic, 'aq/office/state');
+    assert.strictEqual(discovery.availability_topic, 'aq/status');
+    assert.strictEqual(discovery.device.name, 'Office');
+    assert.ok(subscriber.messages.has('homeassistant/sensor/airquality_uv/uv/config'));
+    await subscriber.end();
+  } finally {
+    await publisher.close();
+    await broker.stop();
+  }
+});
+
+test('republishes the retained state after reconnecting to a new broker', async () => {
+  let broker = await startBroker();
+  const { port } = broker;
+  const publisher = createMqttPublisher({ url: broker.url, reconnectPeriodSec: 0.1 });
+  try {
+    await waitFor(() => publisher.status().connected);
+    publisher.publishReading(STATION, READING);
+
+    // The broker restarts without its retained messages
+    await broker.stop();
+    await waitFor(() => !publisher.status().connected);
+    publisher.publishUvIndex(3.4);
+    broker = await startBroker(port);
+    await waitFor(() => publisher.status().connected);
+
+    const subscriber = await subscribe(broker.url, '#');
+    await waitFor(() => subscriber.messages.has('airquality/office/state') && subscriber.messages.has('airquality/uv/uv'));
+    assert.strictEqual(subscriber.messages.get('airquality/status').payload, 'online');
+    assert.strictEqual(JSON.parse(subscriber.messages.get('airquality/office/state').payload).co2, 640);
+    assert.strictEqual(subscriber.messages.get('airquality/uv/uv').payload, '3.4');
+    assert.ok(subscriber.messages.has('homeassistant/sensor/airquality_office/co2/config'));
+    await subscriber.end();
+  } finally {
+    await publisher.close();
+    await broker.stop();
+  }
+});
+
+test('publishes offline on close and as its last will', async () => {
+  const broker = await startBroker();
+  const subscriber = await subscribe(broker.url, 'airquality/status');
+  try {
+    const publisher = createMqttPublisher({ url: broker.url, discovery: { enabled: false } });
+    await waitFor(() => subscriber.messages.get('airquality/status')?.payload === 'online');
+    await publisher.close();
+    await waitFor(() => subscriber.messages.get('airquality/status')?.payload === 'offline');
+
+    // Dropped without closing: the broker publishes the will
+    const dropped = createMqttPublisher({ url: broker.url, discovery: { enabled: false } });
+    await waitFor(() => subscriber.messages.get('airquality/status')?.payload === 'online');
+    broker.broker.clients[Object.keys(broker.broker.clients).find(id => id.startsWith('airquality-dashboard-'))].conn.destroy();
+    await waitFor(() => subscriber.messages.get('airquality/status')?.payload === 'offline');
+    await dropped.close();
+  } finally {
+    await subscriber.end();
+    await broker.stop();
+  }
+});
@@ -0,0 +1,88 @@
+// OpenUV quota: quota errors stop requests for the day, API key errors don't
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QuotaExceededError, createOpenUvClient } = require('../lib/openuv');
+const { withRetry } = require('../lib/upstream');
+
+const UV_API = { url: 'https://api.openuv.io/api/v1', apiKey: 'key', dailyQuota: 50 };
+const LOCATION = { latitude: 25.2, longitude: 55.3 };
+
+const FORECAST = { result: [{ uv: 3.2, uv_time: '2026-10-19T08:00:00.000Z' }] };
+
+// A fetchJson that retries like fetchExternalData in server.js, answering
+// with the given responses in turn: a body, or { status, error } for an
+// HTTP error with OpenUV's error body
+function answer(...responses) {
+  return (url, options, beforeAttempt) => withRetry(async () => {
+    beforeAttempt();
+    const response = responses.shift();
+    if (response.status) {
+      const error = new Error(`HTTP error! Status: ${response.status}`);
+      error.status = response.status;
+      error.body = JSON.stringify({ error: response.error });
+      throw error;
+    }
+    return response;
+  }, { retries: 2, retryDelayMs: 1, maxRetryDelayMs: 1 });
+}
+
+// A fetchJson answering 403 with OpenUV's error body
+function refuse(message) {
+  return answer({ status: 403, error: message });
+}
+
+function createClient(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'openuv-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return createOpenUvClient({ file: path.join(directory, 'quota.json') });
+}
+
+test('stops for the day when OpenUV says the quota is used up', async (t) => {
+  const openUv = createClient(t);
+  await assert.rejects(
+    openUv.fetchForecast(UV_API, LOCATION, refuse('Daily API quota exceeded. Please upgrade your plan.')),
+    QuotaExceededError);
+  assert.strictEqual(openUv.status(UV_API.dailyQuota).exhausted, true);
+  assert.strictEqual(openUv.remaining(UV_API.dailyQuota), 0);
+  await assert.rejects(openUv.fetchForecast(UV_API, LOCATION, answer(FORECAST)), QuotaExceededError);
+  assert.strictEqual(openUv.status(UV_API.dailyQuota).used, 1);
+});
+
+test('carries on after a 403 for a wrong API key', async (t) => {
+  const openUv = createClient(t);
+  await assert.rejects(
+    openUv.fetchForecast(UV_API, LOCATION, refuse('User with API Key not found')),
+    error => !(error instanceof QuotaExceededError) && /check uvApi.apiKey: User with API Key not found/.test(error.message));
+  assert.strictEqual(openUv.status(UV_API.dailyQuota).exhausted, false);
+
+  const forecast = await openUv.fetchForecast(UV_API, LOCATION, answer(FORECAST));
+  assert.deepStrictEqual(forecast, FORECAST);
+  assert.strictEqual(openUv.remaining(UV_API.dailyQuota), 48);
+});
+
+test('counts each retried request against the quota', async (t) => {
+  const openUv = createClient(t);
+  const forecast = await openUv.fetchForecast(UV_API, LOCATION, answer({ status: 503, error: 'Unavailable' }, FORECAST));
+  assert.deepStrictEqual(forecast, FORECAST);
+  assert.strictEqual(openUv.status(UV_API.dailyQuota).used, 2);
+
+  // Retries stop when the quota runs out
+  const lastRequest = { ...UV_API, dailyQuota: 3 };
+  await assert.rejects(
+    openUv.fetchForecast(lastRequest, LOCATION, answer({ status: 503, error: 'Unavailable' }, { status: 503, error: 'Unavailable' }, FORECAST)),
+    QuotaExceededError);
+  assert.strictEqual(openUv.status(lastRequest.dailyQuota).used, 3);
+});
+
+test('doesn\'t retry a used-up quota', async () => {
+  let attempts = 0;
+  await assert.rejects(withRetry(async () => {
+    attempts++;
+    throw new QuotaExceededError('used up');
+  }, { retries: 3, retryDelayMs: 1 }), QuotaExceededError);
+  assert.strictEqual(attempts, 1);
+});
@@ -0,0 +1,79 @@
+// Rate limiting of API requests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createRateLimiter } = require('../lib/rate-limit');
+
+const CONFIG = {
+  enabled: true,
+  requests: { burst: 3, perMinute: 1 },
+  tokenRequests: { burst: 10, perMinute: 1 },
+  forcedRefreshes: { burst: 1, perMinute: 1 }
+};
+
+// Send a request through the middleware, resolving to its status and headers
+function request(limiter, { ip = '10.0.0.1', path = '/stations', query = {}, headers = {} } = {}) {
+  return new Promise(resolve => {
+    const response = { headers: {} };
+    const res = {
+      set: (name, value) => Object.assign(response.headers, typeof name === 'object' ? name : { [name]: value }),
+      status: status => ({ json: () => resolve({ ...response, status }) })
+    };
+    limiter.middleware({ ip, baseUrl: '/api', path, query, headers, socket: {} }, res, () => resolve({ ...response, status: 200 }));
+  });
+}
+
+test('a refused forced refresh doesn\'t use up a request', async () => {
+  const limiter = createRateLimiter(() => CONFIG);
+  try {
+    assert.strictEqual((await request(limiter, { query: { force: '1' } })).status, 200);
+    const refused = await request(limiter, { query: { force: '1' } });
+    assert.strictEqual(refused.status, 429);
+    assert.strictEqual(refused.headers['RateLimit-Limit'], '1');
+    assert.strictEqual(refused.headers['Retry-After'], '60');
+
+    // Two of the three requests are left
+    assert.strictEqual((await request(limiter)).headers['RateLimit-Remaining'], '1');
+    assert.strictEqual((await request(limiter)).status, 200);
+    assert.strictEqual((await request(limiter)).status, 429);
+    assert.deepStrictEqual(limiter.status().throttled, { requests: 1, forcedRefreshes: 1 });
+  } finally {
+    limiter.close();
+  }
+});
+
+test('tells clients apart by req.ip, not X-Forwarded-For', async () => {
+  const limiter = createRateLimiter(() => CONFIG);
+  try {
+    for (let i = 0; i < 3; i++) {
+      await request(limiter, { headers: { 'x-forwarded-for': `192.0.2.${i}` } });
+    }
+    assert.strictEqual((await request(limiter, { headers: { 'x-forwarded-for': '192.0.2.9' } })).status, 429);
+    assert.strictEqual((await request(limiter, { ip: '10.0.0.2' })).status, 200);
+  } finally {
+    limiter.close();
+  }
+});
+
+test('never limits the health check, status or event stream', async () => {
+  const limiter = createRateLimiter(() => ({ ...CONFIG, requests: { burst: 1, perMinute: 1 } }));
+  const app = express();
+  app.use('/api', limiter.middleware);
+  app.all('/api/*', (req, res) => res.json({ status: 'ok' }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = path => `http://127.0.0.1:${server.address().port}${path}`;
+  try {
+    for (let i = 0; i < 5; i++) {
+      assert.strictEqual((await fetch(url('/api/health'), { method: 'HEAD' })).status, 200);
+      assert.strictEqual((await fetch(url('/api/status'))).status, 200);
+    }
+    assert.strictEqual((await fetch(url('/api/stations'))).status, 200);
+    assert.strictEqual((await fetch(url('/api/stations'))).status, 429);
+    assert.strictEqual((await fetch(url('/api/health'))).status, 200);
+  } finally {
+    limiter.close();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
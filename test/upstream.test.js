@@ -0,0 +1,106 @@
+// Upstream requests: retries and the circuit breaker
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { CLOSED, OPEN, HALF_OPEN, CircuitOpenError, resolveUpstreamOptions, withRetry, createCircuitBreaker } = require('../lib/upstream');
+
+const fail = async () => {
+  throw new Error('ECONNREFUSED');
+};
+const succeed = async () => 'ok';
+const START = Date.UTC(2026, 9, 19, 8, 0);
+const at = ms => new Date(START + ms).toISOString();
+
+test('opens after failureThreshold failures in a row, then half-opens after the reset timeout', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const changes = [];
+  const breaker = createCircuitBreaker('office', { failureThreshold: 3, resetTimeoutSec: 30 }, state => changes.push(state));
+
+  await assert.rejects(breaker.execute(fail));
+  await assert.rejects(breaker.execute(fail));
+  assert.strictEqual(breaker.state, CLOSED);
+  await assert.rejects(breaker.execute(fail), /ECONNREFUSED/);
+  assert.strictEqual(breaker.state, OPEN);
+  assert.strictEqual(breaker.status().nextAttemptAt, at(30000));
+
+  // Refused without trying until the reset timeout
+  let called = false;
+  await assert.rejects(breaker.execute(async () => {
+    called = true;
+  }), CircuitOpenError);
+  assert.strictEqual(called, false);
+
+  // Then one trial request closes it again
+  t.mock.timers.tick(30000);
+  assert.strictEqual(await breaker.execute(succeed), 'ok');
+  assert.strictEqual(breaker.state, CLOSED);
+  assert.deepStrictEqual(changes, [OPEN, HALF_OPEN, CLOSED]);
+  assert.strictEqual(breaker.status().consecutiveFailures, 0);
+  assert.strictEqual(breaker.status().unreachableSince, null);
+});
+
+test('reopens with double the reset timeout when the trial fails, up to the maximum', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const breaker = createCircuitBreaker('office', { failureThreshold: 1, resetTimeoutSec: 30, maxResetTimeoutSec: 90 });
+
+  await assert.rejects(breaker.execute(fail));
+  assert.strictEqual(breaker.status().nextAttemptAt, at(30000));
+  t.mock.timers.tick(30000);
+  await assert.rejects(breaker.execute(fail), /ECONNREFUSED/);
+  assert.strictEqual(breaker.state, OPEN);
+  assert.strictEqual(breaker.status().nextAttemptAt, at(90000));
+  t.mock.timers.tick(60000);
+  await assert.rejects(breaker.execute(fail), /ECONNREFUSED/);
+  assert.strictEqual(breaker.status().nextAttemptAt, at(180000));
+  assert.strictEqual(breaker.status().unreachableSince, at(0));
+});
+
+test('lets only one trial request through while half-open', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: START });
+  const breaker = createCircuitBreaker('office', { failureThreshold: 1, resetTimeoutSec: 30 });
+  await assert.rejects(breaker.execute(fail));
+  t.mock.timers.tick(30000);
+
+  let finishTrial;
+  const trial = breaker.execute(() => new Promise(resolve => {
+    finishTrial = resolve;
+  }));
+  assert.strictEqual(breaker.state, HALF_OPEN);
+  await assert.rejects(breaker.execute(succeed), CircuitOpenError);
+  finishTrial('ok');
+  assert.strictEqual(await trial, 'ok');
+  assert.strictEqual(breaker.state, CLOSED);
+});
+
+test('retries network errors, 5xx and 429 but not other HTTP errors', async () => {
+  const httpError = status => Object.assign(new Error(`HTTP error! Status: ${status}`), { status });
+  const attempts = async error => {
+    let count = 0;
+    await assert.rejects(withRetry(async () => {
+      count++;
+      throw error;
+    }, { retries: 2, retryDelayMs: 1, maxRetryDelayMs: 1 }));
+    return count;
+  };
+
+  assert.strictEqual(await attempts(new Error('ECONNRESET')), 3);
+  assert.strictEqual(await attempts(httpError(503)), 3);
+  assert.strictEqual(await attempts(httpError(429)), 3);
+  assert.strictEqual(await attempts(httpError(404)), 1);
+
+  let count = 0;
+  const result = await withRetry(async () => {
+    count++;
+    if (count < 2) {
+      throw httpError(502);
+    }
+    return 'ok';
+  }, { retries: 2, retryDelayMs: 1, maxRetryDelayMs: 1 });
+  assert.strictEqual(result, 'ok');
+});
+
+test('checks the upstream settings', () => {
+  assert.strictEqual(resolveUpstreamOptions({ retries: 0 }).retries, 0);
+  assert.strictEqual(resolveUpstreamOptions({ failureThreshold: 0 }).failureThreshold, 1);
+  assert.throws(() => resolveUpstreamOptions({ timeoutSec: -1 }), /upstream.timeoutSec must be a non-negative number/);
+});
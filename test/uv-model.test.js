@@ -0,0 +1,77 @@
+// Clear-sky UV model: the sun's position, the UV index and the forecast
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { solarPosition, totalOzone, clearSkyUvIndex, sunTimes, canModel, forecastClearSkyUv } = require('../lib/uv-model');
+
+const EQUATOR = { latitude: 0, longitude: 0 };
+const LONDON = { latitude: 51.5, longitude: -0.12 };
+const SVALBARD = { latitude: 78.2, longitude: 15.6 };
+const MINUTE_MS = 60 * 1000;
+
+function assertNear(actual, expected, tolerance, message) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not within ${tolerance} of ${expected}`);
+}
+
+test('puts the sun overhead at the equator at noon on the equinox', () => {
+  // Solar noon at 0° longitude is a few minutes after 12:00 UTC in March
+  const { zenith, distanceFactor } = solarPosition(Date.UTC(2026, 2, 20, 12, 7), 0, 0);
+  assertNear(zenith, 0, 1, 'zenith');
+  assertNear(distanceFactor, 1.008, 0.002, 'Earth-Sun distance factor');
+});
+
+test('follows the ozone climatology, with the hole over Antarctica in the spring', () => {
+  assertNear(totalOzone(0, Date.UTC(2026, 2, 20)), 258, 2, 'tropical ozone in March');
+  assertNear(totalOzone(-75, Date.UTC(2026, 9, 1)), 195, 5, 'Antarctic ozone in October');
+  assert.ok(totalOzone(45, Date.UTC(2026, 3, 15)) > 350);
+});
+
+test('gives the clear-sky UV index from the zenith angle and ozone', () => {
+  // 12.5 * (258 / 300)^-1.23 with the sun overhead, scaled for the distance
+  assertNear(clearSkyUvIndex(EQUATOR, Date.UTC(2026, 2, 20, 12, 7)), 15.1, 0.2, 'UVI at the equator');
+
+  const denver = { latitude: 39.74, longitude: -104.99 };
+  const solsticeNoon = Date.UTC(2026, 5, 21, 19, 0);
+  const atSeaLevel = clearSkyUvIndex(denver, solsticeNoon);
+  assertNear(atSeaLevel, 10, 0.3, 'UVI at 40°N on the solstice');
+  // 8% more per km of altitude
+  assertNear(clearSkyUvIndex({ ...denver, altitude: 1600 }, solsticeNoon) / atSeaLevel, 1.128, 0.001, 'altitude factor');
+
+  // Nothing at night
+  assert.strictEqual(clearSkyUvIndex(denver, Date.UTC(2026, 5, 21, 7, 0)), 0);
+});
+
+test('finds sunrise and sunset in the local day, or the midnight sun and polar night', () => {
+  const { sunrise, sunset, upAllDay } = sunTimes(LONDON, Date.UTC(2026, 5, 21, 12), 'Europe/London');
+  // 04:43 and 21:21 BST on the summer solstice
+  assertNear(sunrise, Date.UTC(2026, 5, 21, 3, 43), 2 * MINUTE_MS, 'sunrise');
+  assertNear(sunset, Date.UTC(2026, 5, 21, 20, 21), 2 * MINUTE_MS, 'sunset');
+  assert.strictEqual(upAllDay, false);
+
+  assert.deepStrictEqual(sunTimes(SVALBARD, Date.UTC(2026, 5, 21, 12), 'UTC'), { sunrise: null, sunset: null, upAllDay: true });
+  assert.deepStrictEqual(sunTimes(SVALBARD, Date.UTC(2026, 11, 21, 12), 'UTC'), { sunrise: null, sunset: null, upAllDay: false });
+});
+
+test('forecasts the daylight hours in the shape of OpenUV\'s', () => {
+  const forecast = forecastClearSkyUv(LONDON, { time: Date.UTC(2026, 5, 21, 12), timeZone: 'Europe/London' });
+  assert.strictEqual(forecast.source, 'model');
+
+  // From the last hour before sunrise to the first one after sunset
+  const { result } = forecast;
+  assert.deepStrictEqual(result[0], { uv: 0, uv_time: '2026-06-21T03:00:00.000Z' });
+  assert.deepStrictEqual(result[result.length - 1], { uv: 0, uv_time: '2026-06-21T21:00:00.000Z' });
+  assert.strictEqual(result.length, 19);
+  assertNear(Math.max(...result.map(slot => slot.uv)), 7.6, 0.2, 'peak UVI in London');
+
+  // The whole day in the polar night
+  const polarNight = forecastClearSkyUv(SVALBARD, { time: Date.UTC(2026, 11, 21, 12), timeZone: 'UTC' });
+  assert.strictEqual(polarNight.result.length, 24);
+  assert.ok(polarNight.result.every(slot => slot.uv === 0));
+});
+
+test('needs a latitude and longitude', () => {
+  assert.strictEqual(canModel(LONDON), true);
+  assert.strictEqual(canModel({ latitude: '51.5', longitude: -0.12 }), false);
+  assert.strictEqual(canModel(null), false);
+  assert.throws(() => forecastClearSkyUv({ latitude: 51.5 }), /The UV model needs location.latitude and location.longitude/);
+});
@@ -0,0 +1,64 @@
+// UV index bands and exposure windows from the dashboard's settings
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { UV_BANDS, resolveUvBands, resolveUvWindows, describeUvScale } = require('../lib/uv-scale');
+
+test('uses the WHO bands by default', () => {
+  const bands = resolveUvBands();
+  assert.deepStrictEqual(bands.map(band => [band.key, band.max]), [
+    ['low', 2], ['moderate', 5], ['high', 7], ['veryHigh', 10], ['extreme', null]
+  ]);
+  assert.deepStrictEqual(bands, UV_BANDS);
+});
+
+test('applies threshold and colour overrides, leaving the top band open', () => {
+  const bands = resolveUvBands({
+    thresholds: { moderate: 6, extreme: 14 },
+    colors: { low: { backgroundColor: '#00FF00' }, high: 'red' }
+  });
+  assert.strictEqual(bands[1].max, 6);
+  assert.strictEqual(bands[4].max, null);
+  assert.strictEqual(bands[0].backgroundColor, '#00FF00');
+  assert.strictEqual(bands[0].textColor, UV_BANDS[0].textColor);
+  // Colours that aren't an object of properties are ignored
+  assert.strictEqual(bands[2].backgroundColor, UV_BANDS[2].backgroundColor);
+});
+
+test('needs each band\'s upper limit above the one below', () => {
+  assert.throws(() => resolveUvBands({ thresholds: { moderate: 8 } }), /uvThresholds.high \(7\) must be above uvThresholds.moderate \(8\)/);
+  assert.throws(() => resolveUvBands({ thresholds: { low: 5 } }), /uvThresholds.moderate \(5\) must be above uvThresholds.low \(5\)/);
+});
+
+test('has one "High UV" window without uvWindows', () => {
+  assert.deepStrictEqual(resolveUvWindows(), [{ name: 'High UV', threshold: 4, color: 'rgba(255, 152, 0, 0.8)' }]);
+  assert.deepStrictEqual(resolveUvWindows({ threshold: 6, colors: { thresholdColor: 'orange' } }), [
+    { name: 'High UV', threshold: 6, color: 'orange' }
+  ]);
+});
+
+test('sorts the windows by threshold, naming and colouring ones without', () => {
+  const windows = resolveUvWindows({
+    windows: [
+      { name: 'Avoid outdoors', threshold: 8, color: 'purple' },
+      { threshold: 3 }
+    ],
+    colors: { thresholdColor: 'orange' }
+  });
+  assert.deepStrictEqual(windows, [
+    { name: 'UV 3+', threshold: 3, color: 'orange' },
+    { name: 'Avoid outdoors', threshold: 8, color: 'purple' }
+  ]);
+  assert.throws(() => resolveUvWindows({ windows: [{ threshold: 3 }, { name: 'Avoid outdoors' }] }), /uvWindows\[1\].threshold is required/);
+});
+
+test('describes the scale from public/config.json\'s settings', () => {
+  const scale = describeUvScale({
+    uvThresholds: { low: 3 },
+    uvChartColors: { thresholdColor: 'orange' },
+    displayOptions: { uvThreshold: 5 }
+  });
+  assert.strictEqual(scale.bands[0].max, 3);
+  assert.deepStrictEqual(scale.windows, [{ name: 'High UV', threshold: 5, color: 'orange' }]);
+  assert.strictEqual(describeUvScale({}).windows[0].threshold, 4);
+});
@@ -0,0 +1,55 @@
+// Validation of upstream readings and the quarantine of rejected ones
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateReading, createQuarantine } = require('../lib/validation');
+
+test('accepts a plausible reading', () => {
+  assert.deepStrictEqual(validateReading({ current: { pm1: 5, pm25: 8, pm10: 12, co2: 600, humidity: 45 } }), []);
+});
+
+test('rejects values that aren\'t numbers or are out of range', () => {
+  assert.deepStrictEqual(validateReading({ current: { pm25: 'n/a', co2: 120 } }), [
+    'pm25 is not a number ("n/a")',
+    'co2 120 is outside 250..10000'
+  ]);
+  assert.deepStrictEqual(validateReading({ current: { humidity: 101 } }, {}), ['humidity 101 is outside 0..100']);
+  // Ranges can be overridden a bound at a time
+  assert.deepStrictEqual(validateReading({ current: { co2: 120 } }, { co2: { min: 0 } }), []);
+  assert.deepStrictEqual(validateReading({ current: { pm25: 600 } }, { pm25: { max: 500 } }), ['pm25 600 is outside 0..500']);
+});
+
+test('rejects readings without measurements', () => {
+  assert.deepStrictEqual(validateReading(null), ['reading has no "current" measurements']);
+  assert.deepStrictEqual(validateReading({ current: { pm25: null } }), ['reading has no measurements']);
+});
+
+test('checks that larger particle sizes include the smaller ones', () => {
+  assert.deepStrictEqual(validateReading({ current: { pm25: 30, pm10: 20 } }), ['PM2.5 30 is greater than PM10 20']);
+  assert.deepStrictEqual(validateReading({ current: { pm1: 15, pm25: 10 } }), ['PM1 15 is greater than PM2.5 10']);
+  // Within the tolerance for rounding between channels (10% plus 1)
+  assert.deepStrictEqual(validateReading({ current: { pm25: 23, pm10: 20 } }), []);
+  // A missing size is skipped, comparing the ones on either side
+  assert.deepStrictEqual(validateReading({ current: { pm1: 30, pm10: 20 } }), ['PM1 30 is greater than PM10 20']);
+});
+
+test('keeps rejected payloads in the quarantine file with counts per station', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const file = path.join(directory, 'quarantine.jsonl');
+  const quarantine = createQuarantine({ file });
+
+  await quarantine.add('office', { pm25: -1 }, ['pm25 -1 is outside 0..1000']);
+  await quarantine.add('office', { pm25: 'x' }, ['pm25 is not a number ("x")']);
+
+  const stats = quarantine.stats();
+  assert.strictEqual(stats.total, 2);
+  assert.strictEqual(stats.stations.office.rejected, 2);
+  assert.deepStrictEqual(stats.stations.office.lastRejection.reasons, ['pm25 is not a number ("x")']);
+  const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepStrictEqual(lines.map(line => line.payload), [{ pm25: -1 }, { pm25: 'x' }]);
+  assert.strictEqual(lines[0].station, 'office');
+});
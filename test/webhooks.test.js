@@ -0,0 +1,26 @@
+// Webhook deliveries
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWebhookDispatcher } = require('../lib/webhooks');
+
+test('keeps only the origin of the webhook URL in the delivery log', async () => {
+  const sent = [];
+  const webhooks = createWebhookDispatcher({
+    subscriptions: [{ id: 'slack', url: 'https://hooks.slack.com/services/T000/B000/token123', events: ['alert'] }]
+  }, {
+    fetch: async (url, request) => {
+      sent.push({ url, request });
+      return { ok: true, status: 200 };
+    }
+  });
+
+  webhooks.dispatch({ id: 1, type: 'alert', data: { message: 'PM2.5 high' } });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(sent[0].url, 'https://hooks.slack.com/services/T000/B000/token123');
+  const [delivery] = webhooks.listDeliveries();
+  assert.strictEqual(delivery.status, 'delivered');
+  assert.strictEqual(delivery.origin, 'https://hooks.slack.com');
+  assert.doesNotMatch(JSON.stringify(delivery), /token123/);
+});
@@ -0,0 +1,43 @@
+// WebSocket transport: the address connections are logged with
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { once } = require('events');
+const { WebSocket } = require('ws');
+const { attachWebSocketServer } = require('../lib/websocket');
+
+// Connect once with an X-Forwarded-For header, resolving to the address the
+// server saw the connection come from
+async function connectedIp(t, options = {}) {
+  const server = http.createServer();
+  let resolveIp;
+  const ip = new Promise(resolve => {
+    resolveIp = resolve;
+  });
+  const webSockets = attachWebSocketServer(server, {
+    ...options,
+    onConnectionChange: (change, clientIp) => change === 'connected' && resolveIp(clientIp)
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/ws`, {
+    headers: { 'X-Forwarded-For': '203.0.113.7, 198.51.100.2' }
+  });
+  t.after(() => {
+    socket.terminate();
+    webSockets.close();
+    server.close();
+  });
+  const [address] = await Promise.all([ip, once(socket, 'open')]);
+  return address;
+}
+
+test('ignores X-Forwarded-For by default, as anyone can send it', async (t) => {
+  assert.strictEqual(await connectedIp(t), '127.0.0.1');
+});
+
+test('takes the address from clientIp(req) when given', async (t) => {
+  const clientIp = req => req.headers['x-forwarded-for'].split(',').pop().trim();
+  assert.strictEqual(await connectedIp(t, { clientIp }), '198.51.100.2');
+});